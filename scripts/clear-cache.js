@@ -6,9 +6,14 @@
 const fs = require('fs').promises;
 const path = require('path');
 const fsSync = require('fs');
+const config = require('../src/config');
+const { OUTPUT_FORMATS } = require('../src/config/outputFormats');
 
-// Cache directory path
-const cacheDir = path.join(__dirname, '../temp/cache');
+// Cache directory path, as configured for the disk cache store
+const cacheDir = config.cache.dir;
+
+// File extensions of cached outputs
+const cacheExtensions = Object.values(OUTPUT_FORMATS).map(format => `.${format.extension}`);
 
 async function clearCache() {
   try {
@@ -35,7 +40,7 @@ async function clearCache() {
     // Delete each file
     let deletedCount = 0;
     for (const file of files) {
-      if (file.endsWith('.png')) {
+      if (cacheExtensions.includes(path.extname(file))) {
         const filePath = path.join(cacheDir, file);
         try {
           await fs.unlink(filePath);
@@ -46,6 +51,12 @@ async function clearCache() {
       }
     }
     
+    // Remove the cache index and the entries' metadata files too, so a running service does not list the deleted files
+    await fs.unlink(path.join(cacheDir, 'index.json')).catch(() => {});
+    for (const file of files.filter(name => name.endsWith('.meta.json'))) {
+      await fs.unlink(path.join(cacheDir, file)).catch(() => {});
+    }
+    
     console.log(`Successfully cleared ${deletedCount} cached files.`);
     
   } catch (error) {
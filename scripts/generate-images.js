@@ -45,6 +45,7 @@ async function generateImagesFromInputs() {
   console.log(`📁 Input directory: ${inputDir}`);
   console.log(`📁 Output directory: ${outputDir}`);
   
+  let mermaidService;
   try {
     // Check if input directory exists
     try {
@@ -60,7 +61,7 @@ async function generateImagesFromInputs() {
     ensureDirExistsSync(outputDir);
     
     // Initialize Mermaid service
-    const mermaidService = new MermaidService({
+    mermaidService = new MermaidService({
       silent: false,
       maxCacheSize: 50,
       cacheTTL: 24 * 60 * 60 * 1000 // 24 hours
@@ -173,13 +174,18 @@ async function generateImagesFromInputs() {
       console.log('\n⚠️  Some diagrams generated with errors. Check the report for details.');
     } else {
       console.log('\n💥 No diagrams were generated successfully.');
-      process.exit(1);
+      process.exitCode = 1;
     }
     
   } catch (error) {
     console.error('❌ Script execution failed:', error.message);
     console.error(error.stack);
-    process.exit(1);
+    process.exitCode = 1;
+  } finally {
+    // process.exit would skip this, and open browsers keep the process alive
+    if (mermaidService) {
+      await mermaidService.close();
+    }
   }
 }
 
@@ -196,6 +202,8 @@ async function generateSingleImage(inputFile, outputFile, options = {}) {
   } catch (error) {
     console.error(`❌ Failed to generate ${outputFile}:`, error.message);
     return false;
+  } finally {
+    await mermaidService.close();
   }
 }
 
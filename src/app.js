@@ -1,20 +1,64 @@
 const express = require('express');
 const bodyParser = require('body-parser');
-const convertRoutes = require('./routes/convertRoutes');
+const routes = require('./routes');
 const errorHandler = require('./middleware/errorHandler');
+const requestMetrics = require('./middleware/requestMetrics');
+const requestId = require('./middleware/requestId');
+const config = require('./config');
+const logger = require('./config/logger');
+const { mermaidService } = require('./services');
+
+// Longest wait for in-flight requests on shutdown before exiting anyway, in ms
+const SHUTDOWN_TIMEOUT = 30000;
 
 const app = express();
-const PORT = process.env.PORT || 3000;
 
-app.use(bodyParser.json());
-app.use('/convert', convertRoutes);
+// Tag every request and its log lines with an ID, then count and time it,
+// including requests rejected by the body parser
+app.use(requestId);
+app.use(requestMetrics);
+
+// Batch requests carry many diagrams, so allow larger bodies than the 100kb default
+app.use(bodyParser.json({ limit: config.server.jsonBodyLimit }));
+app.use(routes);
 app.use(errorHandler);
 
+/**
+ * Stop accepting requests, let in-flight ones finish, then close the browsers
+ * and the cache store (the disk store flushes its index on close) and exit
+ * @param {http.Server} server - The listening server
+ * @param {string} signal - The signal that asked for the shutdown
+ */
+function shutdown(server, signal) {
+  logger.log(`Received ${signal}, shutting down`, { signal });
+  setTimeout(() => {
+    logger.error(`Shutdown took longer than ${SHUTDOWN_TIMEOUT}ms, exiting`);
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT).unref();
+
+  server.close(async () => {
+    try {
+      await mermaidService.close();
+      process.exit(0);
+    } catch (error) {
+      logger.error(`Error during shutdown: ${error.message}`);
+      process.exit(1);
+    }
+  });
+  // Keep-alive connections would otherwise hold the server open until they time out
+  if (typeof server.closeIdleConnections === 'function') {
+    server.closeIdleConnections();
+  }
+}
+
 // Only start the server if this file is run directly, not when imported for tests
 if (require.main === module) {
-  app.listen(PORT, () => {
-    console.log(`Server is running on port ${PORT}`);
+  const server = app.listen(config.server.port, () => {
+    logger.log(`Server is running on port ${config.server.port}`, { port: config.server.port });
   });
+
+  // A second signal falls back to the default handler and exits at once
+  ['SIGTERM', 'SIGINT'].forEach(signal => process.once(signal, () => shutdown(server, signal)));
 }
 
 module.exports = app;
\ No newline at end of file
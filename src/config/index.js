@@ -1,12 +1,22 @@
-const dotenv = require('dotenv');
+const loadConfig = require('./loadConfig');
+const { ConfigError } = require('../utils/errors');
 
-dotenv.config();
+/**
+ * The service's settings, loaded once at startup from the defaults in
+ * ./schema.js, the config file named in CONFIG_FILE and environment variables.
+ * Every module reads its settings from here.
+ */
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  if (!(error instanceof ConfigError) || process.env.NODE_ENV === 'test') {
+    throw error;
+  }
 
-const config = {
-  port: process.env.PORT || 3000,
-  tempDir: process.env.TEMP_DIR || 'temp',
-  outputDir: process.env.OUTPUT_DIR || 'temp/images',
-  mermaidCommand: process.env.MERMAID_COMMAND || 'npx mmdc',
-};
+  // Say what to fix instead of printing a stack trace, and refuse to start
+  console.error(error.message);
+  process.exit(1);
+}
 
-module.exports = config;
\ No newline at end of file
+module.exports = config;
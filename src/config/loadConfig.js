@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { SCHEMA, isSetting } = require('./schema');
+const { ConfigError } = require('../utils/errors');
+
+const PROJECT_ROOT = path.resolve(__dirname, '../..');
+
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Read a JSON or YAML config file
+ * @param {string} file - Path to a .json, .yaml or .yml file
+ * @returns {Object} - The settings in the file
+ */
+function readConfigFile(file) {
+  const extension = path.extname(file).toLowerCase();
+  if (!['.json', '.yaml', '.yml'].includes(extension)) {
+    throw new ConfigError(`Unsupported config file ${file}: expected a .json, .yaml or .yml file`);
+  }
+
+  let values;
+  try {
+    const content = fs.readFileSync(path.resolve(file), 'utf8');
+    values = extension === '.json' ? JSON.parse(content) : YAML.parse(content);
+  } catch (error) {
+    throw new ConfigError(`Cannot read config file ${file}: ${error.message}`);
+  }
+
+  // An empty YAML file parses to null
+  if (values === null || values === undefined) {
+    return {};
+  }
+  if (typeof values !== 'object' || Array.isArray(values)) {
+    throw new ConfigError(`Invalid config file ${file}: expected an object of settings`);
+  }
+  return values;
+}
+
+// Environment variables are strings; numbers are converted when they look like one,
+// anything else is kept so validation can report it
+function parseEnvValue(setting, value) {
+  if ((setting.type === 'integer' || setting.type === 'number') && NUMBER_PATTERN.test(value.trim())) {
+    return Number(value);
+  }
+  return value;
+}
+
+const formatValue = value => (typeof value === 'string' ? `"${value}"` : JSON.stringify(value));
+
+function describeRange(setting) {
+  if (setting.min !== undefined && setting.max !== undefined) return ` between ${setting.min} and ${setting.max}`;
+  if (setting.min !== undefined) return ` of at least ${setting.min}`;
+  if (setting.max !== undefined) return ` of at most ${setting.max}`;
+  return '';
+}
+
+/**
+ * Check a value against its setting
+ * @param {Object} setting - The setting in the schema
+ * @param {*} value - The value
+ * @returns {string|null} - What is wrong with the value, or null when it is valid
+ */
+function validateValue(setting, value) {
+  if (value === null && setting.nullable) {
+    return null;
+  }
+
+  switch (setting.type) {
+    case 'integer':
+    case 'number': {
+      const isValid = setting.type === 'integer' ? Number.isInteger(value) : typeof value === 'number' && Number.isFinite(value);
+      const inRange = isValid
+        && (setting.min === undefined || value >= setting.min)
+        && (setting.max === undefined || value <= setting.max);
+      return inRange ? null : `must be ${setting.type === 'integer' ? 'an integer' : 'a number'}${describeRange(setting)}, got ${formatValue(value)}`;
+    }
+    case 'enum':
+      return setting.values.includes(value) ? null : `must be one of ${setting.values.join(', ')}, got ${formatValue(value)}`;
+    case 'path':
+      return typeof value === 'string' && value !== '' ? null : `must be a path, got ${formatValue(value)}`;
+    case 'string':
+      if (typeof value !== 'string' || (value === '' && !setting.allowEmpty)) {
+        return `must be a non-empty string, got ${formatValue(value)}`;
+      }
+      if (setting.pattern && !setting.pattern.test(value)) {
+        return `must be ${setting.patternDescription}, got ${formatValue(value)}`;
+      }
+      return null;
+    default:
+      return `has an unsupported type ${setting.type}`;
+  }
+}
+
+// Build one group of settings from the schema, the config file and the environment
+function resolveGroup(schema, fileValues, env, prefix, problems) {
+  const group = {};
+
+  for (const [name, node] of Object.entries(schema)) {
+    const key = `${prefix}${name}`;
+    const fileValue = fileValues[name];
+
+    if (!isSetting(node)) {
+      if (fileValue !== undefined && (fileValue === null || typeof fileValue !== 'object' || Array.isArray(fileValue))) {
+        problems.push(`${key} (config file): must be a group of settings, got ${formatValue(fileValue)}`);
+      }
+      group[name] = resolveGroup(node, fileValue && typeof fileValue === 'object' ? fileValue : {}, env, `${key}.`, problems);
+      continue;
+    }
+
+    let value = typeof node.default === 'function' ? node.default(env) : node.default;
+    let source = 'default';
+    if (fileValue !== undefined) {
+      value = fileValue;
+      source = 'config file';
+    }
+    // Empty variables (e.g. `ADMIN_API_TOKEN=` copied from .env.example) count as unset
+    if (node.env && env[node.env] !== undefined && env[node.env] !== '') {
+      value = parseEnvValue(node, env[node.env]);
+      source = node.env;
+    }
+
+    const problem = validateValue(node, value);
+    if (problem) {
+      problems.push(`${key} (${source}): ${problem}`);
+    }
+
+    group[name] = node.type === 'path' && typeof value === 'string' ? path.resolve(PROJECT_ROOT, value) : value;
+  }
+
+  // Misspelled settings in the file would otherwise be ignored silently
+  for (const name of Object.keys(fileValues)) {
+    if (!(name in schema)) {
+      problems.push(`${prefix}${name} (config file): unknown setting`);
+    }
+  }
+
+  return group;
+}
+
+// Checks across settings, once each setting is valid on its own
+function checkConsistency(config, problems) {
+  const { render } = config;
+  if (render.minWidth > render.maxWidth) {
+    problems.push(`render.minWidth (${render.minWidth}) must not exceed render.maxWidth (${render.maxWidth})`);
+  }
+  if (render.minHeight > render.maxHeight) {
+    problems.push(`render.minHeight (${render.minHeight}) must not exceed render.maxHeight (${render.maxHeight})`);
+  }
+}
+
+/**
+ * Load the configuration: defaults, overridden by the config file named in
+ * CONFIG_FILE (JSON or YAML), overridden by environment variables
+ * @param {Object} [options]
+ * @param {Object} [options.env=process.env] - Environment variables
+ * @param {string} [options.file] - Config file, instead of CONFIG_FILE
+ * @returns {Object} - The validated settings
+ * @throws {ConfigError} - Listing every invalid setting
+ */
+function loadConfig({ env = process.env, file = env.CONFIG_FILE } = {}) {
+  const fileValues = file ? readConfigFile(file) : {};
+  const problems = [];
+
+  const config = resolveGroup(SCHEMA, fileValues, env, '', problems);
+  if (problems.length === 0) {
+    checkConsistency(config, problems);
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(`Invalid configuration${file ? ` (config file: ${file})` : ''}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`, problems);
+  }
+
+  return config;
+}
+
+module.exports = loadConfig;
@@ -1,20 +1,134 @@
-const isDev = process.env.NODE_ENV === 'development';
-
-// Simple colorized logger for development
-const devLogger = {
-  log: (message) => console.log(`\x1b[36m[INFO]\x1b[0m ${message}`),
-  error: (message) => console.error(`\x1b[31m[ERROR]\x1b[0m ${message}`),
-  warn: (message) => console.warn(`\x1b[33m[WARN]\x1b[0m ${message}`),
-  debug: (message) => isDev ? console.debug(`\x1b[35m[DEBUG]\x1b[0m ${message}`) : null
-};
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('./index');
+
+/**
+ * Structured logger writing one JSON object per line:
+ *   {"time":"...","level":"info","msg":"...","requestId":"...", ...fields}
+ *
+ * Fields come from three places, later ones winning: the logger (see child()),
+ * the current request context (see runWithContext()), and the log call itself.
+ * The request context follows async calls, so every log line written while
+ * handling a request, in controllers, services, the cache or file helpers,
+ * carries the request's ID without passing it around.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
 
-// Production logger (no colors, less verbose)
-const prodLogger = {
-  log: console.log,
-  error: console.error,
-  warn: console.warn,
-  debug: () => {} // No debug logs in production
+const COLORS = { debug: '\x1b[35m', info: '\x1b[36m', warn: '\x1b[33m', error: '\x1b[31m' };
+
+const requestContext = new AsyncLocalStorage();
+
+// Errors do not serialize to JSON on their own
+const serializeField = value => {
+  if (value instanceof Error) {
+    return { message: value.message, code: value.code, stack: value.stack };
+  }
+  return value;
 };
 
-// Export appropriate logger based on environment
-module.exports = isDev ? devLogger : prodLogger;
\ No newline at end of file
+class Logger {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.level='info'] - Lowest level written: debug, info, warn, error or silent
+   * @param {string} [options.format='json'] - json, or pretty for colored text in development
+   * @param {Object} [options.fields] - Fields added to every line
+   * @param {Function} [options.write] - Receives each line and its level; defaults to stdout, stderr for warnings and errors
+   */
+  constructor(options = {}) {
+    this.level = options.level || 'info';
+    this.format = options.format || 'json';
+    this.fields = options.fields || {};
+    this.write = options.write || ((line, level) => {
+      const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+      stream.write(`${line}\n`);
+    });
+
+    if (LEVELS[this.level] === undefined) {
+      throw new Error(`Unsupported log level: ${this.level} (expected one of: ${Object.keys(LEVELS).join(', ')})`);
+    }
+  }
+
+  /**
+   * A logger adding fields to every line, e.g. logger.child({ jobId })
+   * @param {Object} fields - Fields to add
+   * @returns {Logger} - The child logger
+   */
+  child(fields) {
+    return new Logger({ level: this.level, format: this.format, fields: { ...this.fields, ...fields }, write: this.write });
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(message, fields) {
+    this.emit('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.emit('info', message, fields);
+  }
+
+  // Alias of info, the name most of the service uses
+  log(message, fields) {
+    this.emit('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.emit('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.emit('error', message, fields);
+  }
+
+  emit(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const entry = { ...this.fields, ...requestContext.getStore(), ...fields };
+    Object.keys(entry).forEach(key => {
+      entry[key] = serializeField(entry[key]);
+    });
+
+    this.write(this.format === 'pretty' ? formatPretty(level, message, entry) : formatJson(level, message, entry), level);
+  }
+}
+
+function formatJson(level, message, fields) {
+  return JSON.stringify({ time: new Date().toISOString(), level, msg: String(message), ...fields });
+}
+
+function formatPretty(level, message, fields) {
+  const details = Object.keys(fields)
+    .filter(key => fields[key] !== undefined)
+    .map(key => `${key}=${typeof fields[key] === 'string' ? fields[key] : JSON.stringify(fields[key])}`);
+
+  return `${COLORS[level]}[${level.toUpperCase()}]\x1b[0m ${message}${details.length > 0 ? ` ${details.join(' ')}` : ''}`;
+}
+
+/**
+ * Run a function with fields added to every line logged during it, including
+ * from async work it starts
+ * @param {Object} fields - Fields to add, e.g. { requestId }
+ * @param {Function} fn - The function
+ * @returns {*} - The function's result
+ */
+function runWithContext(fields, fn) {
+  return requestContext.run({ ...requestContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * Fields of the current request context
+ * @returns {Object} - The fields; empty outside a request
+ */
+function getContext() {
+  return requestContext.getStore() || {};
+}
+
+const logger = new Logger({ level: config.logging.level, format: config.logging.format });
+
+module.exports = logger;
+module.exports.Logger = Logger;
+module.exports.LEVELS = LEVELS;
+module.exports.runWithContext = runWithContext;
+module.exports.getContext = getContext;
@@ -0,0 +1,89 @@
+/**
+ * Output formats supported by the conversion service.
+ * Each entry maps the public `format` option to the file extension used
+ * for mermaid-cli output and cache files, and the response Content-Type.
+ */
+const OUTPUT_FORMATS = {
+  png: {
+    extension: 'png',
+    contentType: 'image/png'
+  },
+  svg: {
+    extension: 'svg',
+    contentType: 'image/svg+xml'
+  },
+  pdf: {
+    extension: 'pdf',
+    contentType: 'application/pdf'
+  },
+  jpeg: {
+    extension: 'jpg',
+    contentType: 'image/jpeg',
+    lossy: true
+  },
+  webp: {
+    extension: 'webp',
+    contentType: 'image/webp',
+    lossy: true
+  }
+};
+
+const DEFAULT_FORMAT = 'png';
+
+// Encoder quality (1-100) for lossy formats
+const DEFAULT_QUALITY = 90;
+
+// PDF page layout options ('fit' sizes the page to the diagram)
+const PDF_PAGE_SIZES = ['A4', 'Letter', 'fit'];
+const PDF_ORIENTATIONS = ['portrait', 'landscape'];
+const DEFAULT_PDF_OPTIONS = {
+  pageSize: 'fit',
+  orientation: 'portrait',
+  margin: 0 // Millimetres on every side
+};
+
+const SUPPORTED_FORMATS = Object.keys(OUTPUT_FORMATS);
+
+/**
+ * Resolve a requested format name to its definition
+ * @param {string} [format] - The requested output format (case-insensitive)
+ * @returns {{name: string, extension: string, contentType: string, lossy: boolean}} - The format definition
+ */
+function getOutputFormat(format) {
+  const name = (format || DEFAULT_FORMAT).toLowerCase();
+  const definition = OUTPUT_FORMATS[name];
+
+  if (!definition) {
+    throw new Error(`Unsupported output format: ${format}`);
+  }
+
+  return { name, lossy: false, ...definition };
+}
+
+/**
+ * Resolve an output file extension to its format definition
+ * @param {string} extension - The file extension, with or without the leading dot
+ * @returns {{name: string, extension: string, contentType: string, lossy: boolean}} - The format definition
+ */
+function getOutputFormatByExtension(extension) {
+  const bareExtension = extension.replace(/^\./, '').toLowerCase();
+  const name = Object.keys(OUTPUT_FORMATS).find(key => OUTPUT_FORMATS[key].extension === bareExtension);
+
+  if (!name) {
+    throw new Error(`Unsupported output file extension: ${extension}`);
+  }
+
+  return getOutputFormat(name);
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  DEFAULT_FORMAT,
+  SUPPORTED_FORMATS,
+  DEFAULT_QUALITY,
+  PDF_PAGE_SIZES,
+  PDF_ORIENTATIONS,
+  DEFAULT_PDF_OPTIONS,
+  getOutputFormat,
+  getOutputFormatByExtension
+};
\ No newline at end of file
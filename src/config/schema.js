@@ -0,0 +1,101 @@
+/**
+ * Every setting of the service: its type and constraints, its default, and
+ * the environment variable overriding it. Settings are grouped as they
+ * appear in a config file, e.g. `render.timeout` is
+ *
+ *   render:
+ *     timeout: 60000
+ *
+ * Types: integer, number, string, enum (one of `values`), path (resolved
+ * against the project root). Defaults may be functions of the environment.
+ */
+
+const { SECURITY_LEVELS, DEFAULT_SECURITY_LEVEL } = require('./security');
+
+const isDev = env => env.NODE_ENV === 'development';
+
+const SCHEMA = {
+  server: {
+    port: { type: 'integer', min: 1, max: 65535, default: 3000, env: 'PORT' },
+    jsonBodyLimit: {
+      type: 'string',
+      pattern: /^\d+(\.\d+)?\s*(b|kb|mb|gb)?$/i,
+      patternDescription: 'a size such as 5mb',
+      default: '5mb',
+      env: 'JSON_BODY_LIMIT'
+    }
+  },
+  tempDir: { type: 'path', default: 'temp', env: 'TEMP_DIR' },
+  logging: {
+    level: {
+      type: 'enum',
+      values: ['debug', 'info', 'warn', 'error', 'silent'],
+      default: env => (isDev(env) ? 'debug' : 'info'),
+      env: 'LOG_LEVEL'
+    },
+    format: { type: 'enum', values: ['json', 'pretty'], default: env => (isDev(env) ? 'pretty' : 'json'), env: 'LOG_FORMAT' }
+  },
+  render: {
+    renderer: { type: 'enum', values: ['pool', 'cli'], default: 'pool', env: 'MERMAID_RENDERER' },
+    // mermaid-cli executable; .js files are run with the service's own Node.js
+    mermaidCliPath: { type: 'path', default: 'node_modules/@mermaid-js/mermaid-cli/src/cli.js', env: 'MERMAID_CLI_PATH' },
+    // Mermaid securityLevel; loose lets diagrams run script and is an explicit opt-in
+    securityLevel: { type: 'enum', values: SECURITY_LEVELS, default: DEFAULT_SECURITY_LEVEL, env: 'MERMAID_SECURITY_LEVEL' },
+    defaultWidth: { type: 'integer', min: 1, default: 1920, env: 'IMAGE_WIDTH' },
+    defaultHeight: { type: 'integer', min: 1, default: 1080, env: 'IMAGE_HEIGHT' },
+    defaultScaleFactor: { type: 'number', min: 0.1, max: 10, default: 2, env: 'IMAGE_SCALE_FACTOR' },
+    minWidth: { type: 'integer', min: 1, default: 800, env: 'RENDER_MIN_WIDTH' },
+    maxWidth: { type: 'integer', min: 1, default: 8000, env: 'RENDER_MAX_WIDTH' },
+    minHeight: { type: 'integer', min: 1, default: 400, env: 'RENDER_MIN_HEIGHT' },
+    maxHeight: { type: 'integer', min: 1, default: 8000, env: 'RENDER_MAX_HEIGHT' },
+    timeout: { type: 'integer', min: 1000, default: 120000, env: 'RENDER_TIMEOUT' },
+    maxConcurrency: { type: 'integer', min: 1, default: 2, env: 'RENDER_MAX_CONCURRENCY' },
+    maxQueueLength: { type: 'integer', min: 0, default: 20, env: 'RENDER_MAX_QUEUE' },
+    queueTimeout: { type: 'integer', min: 1, default: 30000, env: 'RENDER_QUEUE_TIMEOUT' }
+  },
+  browserPool: {
+    size: { type: 'integer', min: 1, default: 2, env: 'BROWSER_POOL_SIZE' },
+    maxRendersPerPage: { type: 'integer', min: 1, default: 100, env: 'BROWSER_POOL_MAX_RENDERS' }
+  },
+  cache: {
+    store: { type: 'enum', values: ['disk', 'memory', 'redis'], default: 'disk', env: 'CACHE_STORE' },
+    ttl: { type: 'integer', min: 1, default: 24 * 60 * 60 * 1000, env: 'CACHE_TTL' },
+    dir: { type: 'path', default: 'temp/cache', env: 'CACHE_DIR' },
+    memoryMaxMb: { type: 'number', min: 1, default: 64, env: 'CACHE_MEMORY_MAX_MB' },
+    diskMaxMb: { type: 'number', min: 1, default: 512, env: 'CACHE_DISK_MAX_MB' },
+    redisUrl: {
+      type: 'string',
+      pattern: /^rediss?:\/\//,
+      patternDescription: 'a redis:// or rediss:// URL',
+      default: 'redis://127.0.0.1:6379',
+      env: 'CACHE_REDIS_URL'
+    },
+    redisPrefix: { type: 'string', allowEmpty: true, default: 'mermaid:cache:', env: 'CACHE_REDIS_PREFIX' },
+    sweepInterval: { type: 'integer', min: 1000, default: 10 * 60 * 1000, env: 'CACHE_SWEEP_INTERVAL' }
+  },
+  httpCache: {
+    maxAge: { type: 'integer', min: 0, default: 24 * 60 * 60, env: 'HTTP_CACHE_MAX_AGE' }
+  },
+  jobs: {
+    ttl: { type: 'integer', min: 1, default: 60 * 60 * 1000, env: 'JOB_TTL' },
+    callbackTimeout: { type: 'integer', min: 1, default: 10000, env: 'JOB_CALLBACK_TIMEOUT' },
+    maxJobs: { type: 'integer', min: 1, default: 1000, env: 'JOB_MAX_JOBS' },
+    // Comma-separated callback hosts that may resolve to private addresses
+    callbackAllowedHosts: { type: 'string', allowEmpty: true, default: '', env: 'JOB_CALLBACK_ALLOWED_HOSTS' }
+  },
+  readiness: {
+    minFreeDiskMb: { type: 'number', min: 0, default: 100, env: 'READY_MIN_FREE_DISK_MB' },
+    checkTimeout: { type: 'integer', min: 1, default: 10000, env: 'READY_CHECK_TIMEOUT' }
+  },
+  admin: {
+    apiToken: { type: 'string', nullable: true, default: null, env: 'ADMIN_API_TOKEN' }
+  }
+};
+
+// Leaves of the schema have a type; everything else is a group of settings
+const isSetting = node => typeof node.type === 'string';
+
+module.exports = {
+  SCHEMA,
+  isSetting
+};
@@ -0,0 +1,30 @@
+/**
+ * Mermaid security levels a deployment can render with. `strict` encodes
+ * HTML in labels and disables click handlers, so diagrams cannot run script.
+ * `loose` lets labels carry HTML and script; it is only used when a
+ * deployment opts into it. Mermaid's `sandbox` level renders into an iframe
+ * that neither the browser pool nor mermaid-cli can export, so it is not offered.
+ */
+const SECURITY_LEVELS = ['strict', 'antiscript', 'loose'];
+
+// Mermaid's own default, for configs that do not set a level
+const DEFAULT_SECURITY_LEVEL = 'strict';
+
+/**
+ * A Mermaid config rendering at a security level
+ * @param {Object} mermaidConfig - The Mermaid config
+ * @param {string} securityLevel - One of SECURITY_LEVELS
+ * @returns {Object} - The config, unchanged when it already has that level
+ */
+function withSecurityLevel(mermaidConfig, securityLevel) {
+  if ((mermaidConfig.securityLevel || DEFAULT_SECURITY_LEVEL) === securityLevel) {
+    return mermaidConfig;
+  }
+  return { ...mermaidConfig, securityLevel };
+}
+
+module.exports = {
+  SECURITY_LEVELS,
+  DEFAULT_SECURITY_LEVEL,
+  withSecurityLevel
+};
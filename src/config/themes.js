@@ -0,0 +1,88 @@
+/**
+ * Built-in Mermaid themes that can be requested per render.
+ * Renders without a theme use the one in mermaid.config.json.
+ */
+const SUPPORTED_THEMES = ['default', 'dark', 'forest', 'neutral', 'base'];
+
+// Background behind diagrams unless a request sets one
+const DEFAULT_BACKGROUND_COLOR = '#ffffff';
+
+// Background colors a request may set: hex (#rgb, #rgba, #rrggbb, #rrggbbaa),
+// rgb()/rgba() or transparent
+const BACKGROUND_COLOR_PATTERN = /^(#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})|rgba?\(\s*\d{1,3}\s*,\s*\d{1,3}\s*,\s*\d{1,3}\s*(,\s*(0|1|0?\.\d+)\s*)?\)|transparent)$/i;
+
+// Limits on per-request theme customisation
+const MAX_THEME_VARIABLES = 100;
+const MAX_CSS_LENGTH = 20000;
+
+// CSS functions that load images or other resources. mermaid-cli's browser
+// cannot intercept requests, so request CSS must not name a URL at all
+const CSS_RESOURCE_FUNCTION_PATTERN = /(^|[^\w-])(url|image-set|-webkit-image-set|image|cross-fade|element|src)\s*\(/i;
+
+/**
+ * Whether CSS loads resources, e.g. background: url(http://...). Escapes are
+ * decoded first, since `u\72l(` is url( to a browser; comments separate tokens
+ * @param {string} css - The CSS
+ * @returns {boolean} - Whether it uses a resource-loading function
+ */
+function loadsCssResources(css) {
+  const normalized = css
+    .replace(/\/\*[\s\S]*?(\*\/|$)/g, ' ')
+    .replace(/\\([0-9a-f]{1,6})\s?/gi, (match, hex) => {
+      const codePoint = parseInt(hex, 16);
+      return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '\ufffd';
+    })
+    .replace(/\\(.)/g, '$1');
+  return CSS_RESOURCE_FUNCTION_PATTERN.test(normalized);
+}
+
+/**
+ * Whether render options change the Mermaid config for that render
+ * @param {Object} options - Render options
+ * @returns {boolean} - Whether a theme, theme variables or CSS were requested
+ */
+function hasConfigOverrides(options = {}) {
+  return Boolean(options.theme || options.themeVariables || options.css);
+}
+
+/**
+ * Merge per-request theme options over a base Mermaid config
+ * @param {Object} baseConfig - The configured Mermaid config
+ * @param {Object} options - Render options with optional theme, themeVariables and css
+ * @returns {Object} - The Mermaid config for this render
+ */
+function getRenderConfig(baseConfig, options = {}) {
+  if (!hasConfigOverrides(options)) {
+    return baseConfig;
+  }
+
+  const config = { ...baseConfig };
+
+  if (options.theme && options.theme !== baseConfig.theme) {
+    config.theme = options.theme;
+    // The configured theme variables are tuned for the configured theme,
+    // so another theme starts from its own palette instead
+    delete config.themeVariables;
+  }
+
+  if (options.themeVariables) {
+    config.themeVariables = { ...config.themeVariables, ...options.themeVariables };
+  }
+
+  if (options.css) {
+    config.themeCSS = `${baseConfig.themeCSS || ''}\n${options.css}`.trim();
+  }
+
+  return config;
+}
+
+module.exports = {
+  SUPPORTED_THEMES,
+  DEFAULT_BACKGROUND_COLOR,
+  BACKGROUND_COLOR_PATTERN,
+  MAX_THEME_VARIABLES,
+  MAX_CSS_LENGTH,
+  hasConfigOverrides,
+  getRenderConfig,
+  loadsCssResources
+};
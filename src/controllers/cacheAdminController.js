@@ -0,0 +1,97 @@
+const logger = require('../config/logger');
+const { CacheEntryNotFoundError, toServiceError, sendError } = require('../utils/errors');
+const { getBatchItems } = require('../utils/renderOptions');
+
+class CacheAdminController {
+  constructor(mermaidService, options = {}) {
+    this.mermaidService = mermaidService;
+    this.cacheHelper = mermaidService.cacheHelper;
+    this.logger = options.logger || logger;
+    this.silent = options.silent || false;
+  }
+
+  async getStats(req, res) {
+    try {
+      res.json({ success: true, ...await this.cacheHelper.getStats() });
+    } catch (error) {
+      sendError(res, error, 'Failed to read cache statistics');
+    }
+  }
+
+  async listEntries(req, res) {
+    try {
+      const limit = req.query.limit || 100;
+      const offset = req.query.offset || 0;
+      const { total, entries } = await this.cacheHelper.listEntries({ diagramType: req.query.diagramType, limit, offset });
+
+      res.json({ success: true, total, limit, offset, entries });
+    } catch (error) {
+      sendError(res, error, 'Failed to list cache entries');
+    }
+  }
+
+  async evictEntry(req, res) {
+    try {
+      const evicted = await this.cacheHelper.evict(req.params.key);
+      if (!evicted) {
+        return sendError(res, new CacheEntryNotFoundError(`Cache entry ${req.params.key} not found`));
+      }
+
+      if (!this.silent) {
+        this.logger.log(`Evicted cache entry ${req.params.key}`);
+      }
+
+      res.json({ success: true, key: req.params.key });
+    } catch (error) {
+      sendError(res, error, 'Failed to evict cache entry');
+    }
+  }
+
+  async purge(req, res) {
+    try {
+      const purged = await this.cacheHelper.purge({
+        olderThan: req.body.olderThan !== undefined ? req.body.olderThan * 1000 : undefined,
+        diagramType: req.body.diagramType
+      });
+
+      res.json({ success: true, purged });
+    } catch (error) {
+      sendError(res, error, 'Failed to purge cache entries');
+    }
+  }
+
+  async warm(req, res) {
+    try {
+      const items = getBatchItems(req.body.items);
+      const results = await this.mermaidService.warmCache(items);
+
+      const entries = items.map((item, index) => {
+        const { key, status, error } = results[index];
+        return error
+          ? { id: item.id, key, status, error: toServiceError(error, 'Failed to convert Mermaid syntax to image').toJSON() }
+          : { id: item.id, key, status };
+      });
+      const count = status => entries.filter(entry => entry.status === status).length;
+
+      if (!this.silent) {
+        this.logger.log(`Warmed cache with ${entries.length} diagrams (${count('rendered')} rendered, ${count('cached')} already cached, ${count('failed')} failed)`);
+      }
+
+      res.json({
+        success: true,
+        rendered: count('rendered'),
+        cached: count('cached'),
+        failed: count('failed'),
+        results: entries
+      });
+    } catch (error) {
+      if (!this.silent) {
+        this.logger.error(`Error warming cache: ${error.message}`);
+      }
+
+      sendError(res, error, 'Failed to warm the cache');
+    }
+  }
+}
+
+module.exports = CacheAdminController;
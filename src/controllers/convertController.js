@@ -1,104 +1,245 @@
+const archiver = require('archiver');
+const config = require('../config');
 const logger = require('../config/logger');
+const { getOutputFormat } = require('../config/outputFormats');
+const { SUPPORTED_THEMES } = require('../config/themes');
+const { ValidationError, toServiceError, sendError } = require('../utils/errors');
+const { decodeDiagram } = require('../utils/diagramEncoding');
+const { getRenderOptions, getBatchItems, hasWideAspectRatio, getDiagramType } = require('../utils/renderOptions');
+const { toETag, matchesETag, setCacheHeaders } = require('../utils/httpCache');
 
 class ConvertController {
   constructor(mermaidService, options = {}) {
     this.mermaidService = mermaidService;
     this.logger = options.logger || logger;
     this.silent = options.silent || false;
+    // Cache-Control max-age of rendered images, in seconds
+    this.cacheMaxAge = options.cacheMaxAge !== undefined ? options.cacheMaxAge : config.httpCache.maxAge;
   }
 
   async convertImage(req, res) {
+    return this.renderImage(req.body, req, res);
+  }
+  
+  // Render a diagram given its syntax and rendering options: a POST body or decoded GET link
+  async renderImage(params, req, res) {
     try {
-      const mermaidCode = req.body.mermaidSyntax;
-      const width = req.body.width ? parseInt(req.body.width) : undefined;
-      const height = req.body.height ? parseInt(req.body.height) : undefined;
-      const scaleFactor = req.body.scaleFactor ? parseFloat(req.body.scaleFactor) : undefined;
+      const mermaidCode = params.mermaidSyntax;
+      const renderOptions = getRenderOptions(params);
+      const { width, height, scaleFactor, diagramType } = renderOptions;
+      const outputFormat = getOutputFormat(renderOptions.format);
       
       // Detect potential wide diagrams based on requested dimensions or syntax
-      const isWideAspectRatio = width && height && (width / height > 2.5);
-      const diagramType = this.getDiagramType(mermaidCode);
+      const isWideAspectRatio = hasWideAspectRatio(width, height);
       
-      // Enhanced debugging - log the full request body and dimensions
+      // One line per request, so concurrent renders never interleave their details
       if (!this.silent) {
-        this.logger.debug(`Received convert image request with dimensions: ${width}x${height}${scaleFactor ? `, scale: ${scaleFactor}` : ''}`);
-        this.logger.debug(`Diagram type detected: ${diagramType}`);
-        this.logger.debug(`Is wide aspect ratio: ${isWideAspectRatio ? 'Yes' : 'No'}`);
-        this.logger.debug(`Request body: ${JSON.stringify({
-          mermaidSyntax: mermaidCode ? 
-            (mermaidCode.length > 100 ? mermaidCode.substring(0, 100) + '...' : mermaidCode) : null,
+        this.logger.debug('Received convert image request', {
+          diagramType,
           width,
           height,
-          scaleFactor
-        })}`);
+          scaleFactor,
+          format: outputFormat.name,
+          wideAspectRatio: isWideAspectRatio,
+          syntaxLength: mermaidCode ? mermaidCode.length : 0
+        });
       }
       
       if (!mermaidCode) {
         this.logger.warn('Request missing required mermaidSyntax');
-        return res.status(400).json({ error: 'Mermaid syntax is required' });
+        return sendError(res, new ValidationError('Mermaid syntax is required'));
+      }
+      
+      // Renders are deterministic, so clients holding the image for this key need no new copy
+      const etag = toETag(this.mermaidService.getCacheKey(mermaidCode, renderOptions));
+      if (matchesETag(req.get('If-None-Match'), etag)) {
+        setCacheHeaders(res, etag, this.cacheMaxAge);
+        return res.status(304).end();
       }
       
-      // Set default scale factor for wide diagrams if not explicitly provided
-      const renderOptions = { 
-        width, 
-        height,
-        scaleFactor: scaleFactor || (isWideAspectRatio ? 2.5 : undefined),
-        // Pass through diagram type for optimizations
-        diagramType
-      };
-
       const imageBuffer = await this.mermaidService.convertMermaidToImage(mermaidCode, renderOptions);
       
       if (!this.silent) {
-        this.logger.log(`Successfully converted ${diagramType} diagram to PNG (${imageBuffer.length} bytes)`);
-        if (isWideAspectRatio) {
-          this.logger.log(`Used enhanced rendering for wide aspect ratio (${width}x${height})`);
-        }
+        this.logger.log(`Successfully converted ${diagramType} diagram to ${outputFormat.name.toUpperCase()}`, {
+          diagramType,
+          format: outputFormat.name,
+          bytes: imageBuffer.length,
+          wideAspectRatio: isWideAspectRatio
+        });
       }
       
-      res.set('Content-Type', 'image/png');
+      res.set('Content-Type', outputFormat.contentType);
+      setCacheHeaders(res, etag, this.cacheMaxAge);
       res.set('X-Diagram-Type', diagramType);
       res.set('X-Rendering-Options', JSON.stringify({
         width: renderOptions.width || 'default',
         height: renderOptions.height || 'default',
-        scaleFactor: renderOptions.scaleFactor || 'default'
+        scaleFactor: renderOptions.scaleFactor || 'default',
+        format: renderOptions.format,
+        ...(outputFormat.lossy ? { quality: renderOptions.quality } : {}),
+        theme: renderOptions.theme || 'default',
+        backgroundColor: renderOptions.backgroundColor || 'default',
+        ...(renderOptions.format === 'pdf' ? {
+          pageSize: renderOptions.pageSize || 'default',
+          orientation: renderOptions.orientation || 'default',
+          margin: renderOptions.margin !== undefined ? renderOptions.margin : 'default'
+        } : {})
       }));
       res.send(imageBuffer);
     } catch (error) {
       if (!this.silent) {
-        this.logger.error(`Error converting image: ${error.message}`);
+        this.logger.error(`Error converting image: ${error.message}`, {
+          code: error.code,
+          diagramType: getDiagramType(params?.mermaidSyntax),
+          syntaxLength: params?.mermaidSyntax?.length || 0,
+          width: params?.width,
+          height: params?.height
+        });
+      }
+      
+      // Syntax errors, timeouts and a full queue keep their status and code;
+      // anything unexpected is reported as an internal error. None of them may be cached
+      res.set('Cache-Control', 'no-store');
+      sendError(res, error, 'Failed to convert Mermaid syntax to image');
+    }
+  }
+  
+  async convertEncodedImage(req, res) {
+    let diagram;
+    try {
+      diagram = decodeDiagram(req.params.encoded);
+    } catch (error) {
+      return sendError(res, error);
+    }
+    
+    return this.renderImage({
+      mermaidSyntax: diagram.code,
+      width: req.query.width,
+      height: req.query.height,
+      format: req.query.format,
+      // A theme in the query overrides a built-in theme saved in a mermaid.live link
+      theme: req.query.theme || (SUPPORTED_THEMES.includes(diagram.theme) ? diagram.theme : undefined)
+    }, req, res);
+  }
+  
+  async convertBatch(req, res) {
+    try {
+      const items = getBatchItems(req.body.items);
+      
+      const results = await this.mermaidService.convertMermaidBatch(items);
+      
+      // Report each item on its own, keeping failures in the error envelope format
+      const entries = items.map((item, index) => {
+        const outputFormat = getOutputFormat(item.options.format);
+        const result = results[index];
         
-        // Add more detailed error information
-        if (req.body) {
-          this.logger.error(`Failed request details: 
-          - Diagram type: ${this.getDiagramType(req.body.mermaidSyntax)}
-          - Syntax length: ${req.body?.mermaidSyntax?.length || 0} characters
-          - Requested dimensions: ${req.body.width || 'default'} x ${req.body.height || 'default'}
-          `);
+        if (!result.success) {
+          return {
+            id: item.id,
+            success: false,
+            error: toServiceError(result.error, 'Failed to convert Mermaid syntax to image').toJSON()
+          };
         }
+        
+        return {
+          id: item.id,
+          success: true,
+          format: outputFormat.name,
+          contentType: outputFormat.contentType,
+          file: `${item.id}.${outputFormat.extension}`,
+          buffer: result.buffer
+        };
+      });
+      
+      const succeeded = entries.filter(entry => entry.success).length;
+      if (!this.silent) {
+        this.logger.log(`Converted batch of ${entries.length} diagrams (${succeeded} succeeded, ${entries.length - succeeded} failed)`);
       }
-      res.status(500).json({ error: 'Failed to convert Mermaid syntax to image' });
+      
+      if (req.body.output === 'zip') {
+        return await this.sendBatchArchive(res, entries);
+      }
+      
+      res.json({
+        success: true,
+        succeeded,
+        failed: entries.length - succeeded,
+        results: entries.map(({ buffer, file, ...entry }) => (
+          buffer ? { ...entry, data: buffer.toString('base64') } : entry
+        ))
+      });
+    } catch (error) {
+      if (!this.silent) {
+        this.logger.error(`Error converting batch: ${error.message}`);
+      }
+      
+      // An archive that fails part way cannot be replaced by an error response
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      
+      sendError(res, error, 'Failed to convert diagram batch');
     }
   }
   
-  // Helper to identify the diagram type from the syntax
-  getDiagramType(syntax) {
-    if (!syntax) return 'unknown';
+  // Stream converted diagrams as a ZIP archive, with a manifest of every item's status
+  sendBatchArchive(res, entries) {
+    const archive = archiver('zip');
     
-    if (syntax.trim().startsWith('flowchart')) return 'flowchart';
-    if (syntax.trim().startsWith('graph')) return 'flowchart';
-    if (syntax.trim().startsWith('sequenceDiagram')) return 'sequence';
-    if (syntax.trim().startsWith('classDiagram')) return 'class';
-    if (syntax.trim().startsWith('stateDiagram')) return 'state';
-    if (syntax.trim().startsWith('gantt')) return 'gantt';
-    if (syntax.trim().startsWith('pie')) return 'pie';
-    if (syntax.trim().startsWith('erDiagram')) return 'er';
-    if (syntax.trim().startsWith('journey')) return 'journey';
-    if (syntax.trim().startsWith('gitGraph')) return 'gitgraph';
-    if (syntax.trim().startsWith('mindmap')) return 'mindmap';
-    if (syntax.trim().startsWith('timeline')) return 'timeline';
-    if (syntax.trim().startsWith('quadrantChart')) return 'quadrant';
+    archive.on('error', error => {
+      if (!this.silent) {
+        this.logger.error(`Error writing batch archive: ${error.message}`);
+      }
+      res.destroy(error);
+    });
+    
+    // Stop writing the archive when the client goes away before it is complete.
+    // An aborted archive never finishes, so the closed response settles the call
+    const closed = new Promise(resolve => res.on('close', () => {
+      if (!res.writableFinished) {
+        archive.abort();
+      }
+      resolve();
+    }));
     
-    return 'unknown';
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', 'attachment; filename="diagrams.zip"');
+    archive.pipe(res);
+    
+    for (const entry of entries) {
+      if (entry.success) {
+        archive.append(entry.buffer, { name: entry.file });
+      }
+    }
+    
+    const manifest = entries.map(({ buffer, ...entry }) => entry);
+    archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+    
+    return Promise.race([archive.finalize(), closed]);
+  }
+  
+  async validateSyntax(req, res) {
+    try {
+      const result = await this.mermaidService.validateMermaidSyntax(req.body.mermaidSyntax, {
+        clean: req.body.clean
+      });
+      
+      // Prefer the names used by the image endpoint, falling back to Mermaid's own detection
+      const diagramType = getDiagramType(req.body.mermaidSyntax);
+      
+      res.json({
+        valid: result.valid,
+        diagramType: diagramType !== 'unknown' ? diagramType : (result.diagramType || 'unknown'),
+        errors: result.errors
+      });
+    } catch (error) {
+      if (!this.silent) {
+        this.logger.error(`Error validating syntax: ${error.message}`);
+      }
+      
+      sendError(res, error, 'Failed to validate Mermaid syntax');
+    }
   }
 }
 
@@ -0,0 +1,31 @@
+const logger = require('../config/logger');
+
+class HealthController {
+  constructor(healthService, options = {}) {
+    this.healthService = healthService;
+    this.logger = options.logger || logger;
+    this.silent = options.silent || false;
+  }
+
+  // Liveness: the process is up and its event loop answers; never touches the renderer
+  live(req, res) {
+    res.status(200).json({ status: 'ok', uptime: process.uptime() });
+  }
+
+  // Readiness: every component a render needs works, or 503 so traffic goes elsewhere
+  async ready(req, res) {
+    try {
+      const { ready, checks } = await this.healthService.checkReadiness();
+
+      res.status(ready ? 200 : 503).json({ status: ready ? 'ok' : 'error', checks });
+    } catch (error) {
+      if (!this.silent) {
+        this.logger.error(`Error checking readiness: ${error.message}`);
+      }
+
+      res.status(503).json({ status: 'error', error: error.message });
+    }
+  }
+}
+
+module.exports = HealthController;
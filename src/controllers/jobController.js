@@ -0,0 +1,75 @@
+const logger = require('../config/logger');
+const { JobNotFoundError, JobNotFinishedError, JobFailedError, sendError } = require('../utils/errors');
+const { getRenderOptions } = require('../utils/renderOptions');
+
+class JobController {
+  constructor(jobService, options = {}) {
+    this.jobService = jobService;
+    this.logger = options.logger || logger;
+    this.silent = options.silent || false;
+  }
+
+  async createJob(req, res) {
+    try {
+      const job = await this.jobService.createJob(req.body.mermaidSyntax, getRenderOptions(req.body), {
+        callbackUrl: req.body.callbackUrl,
+        baseUrl: this.getBaseUrl(req)
+      });
+      
+      if (!this.silent) {
+        this.logger.log(`Created render job ${job.id} (${job.format})`);
+      }
+      
+      res.status(202).set('Location', `${req.baseUrl}/${job.id}`).json(job);
+    } catch (error) {
+      if (!this.silent) {
+        this.logger.error(`Error creating render job: ${error.message}`);
+      }
+      
+      sendError(res, error, 'Failed to create render job');
+    }
+  }
+  
+  async getJob(req, res) {
+    try {
+      const job = await this.jobService.getJob(req.params.id);
+      if (!job) {
+        return sendError(res, new JobNotFoundError(`Render job ${req.params.id} not found`));
+      }
+      
+      res.json(this.jobService.toStatus(job));
+    } catch (error) {
+      sendError(res, error, 'Failed to read render job');
+    }
+  }
+  
+  async getJobResult(req, res) {
+    try {
+      const job = await this.jobService.getJob(req.params.id);
+      if (!job) {
+        return sendError(res, new JobNotFoundError(`Render job ${req.params.id} not found`));
+      }
+      
+      if (job.status === 'failed') {
+        return sendError(res, new JobFailedError(`Render job ${job.id} failed`, job.error));
+      }
+      
+      if (job.status !== 'completed') {
+        return sendError(res, new JobNotFinishedError(`Render job ${job.id} is still ${job.status}`));
+      }
+      
+      res.set('Content-Type', job.contentType);
+      res.send(job.result);
+    } catch (error) {
+      sendError(res, error, 'Failed to read render job result');
+    }
+  }
+  
+  // Helper to build the absolute URL jobs are served from, so callbacks
+  // can fetch results without knowing where the service is mounted
+  getBaseUrl(req) {
+    return `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+  }
+}
+
+module.exports = JobController;
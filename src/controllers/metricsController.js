@@ -0,0 +1,25 @@
+const logger = require('../config/logger');
+const { registry, metrics } = require('../utils/metrics');
+
+class MetricsController {
+  constructor(mermaidService, options = {}) {
+    this.mermaidService = mermaidService;
+    this.registry = options.registry || registry;
+    this.metrics = options.metrics || metrics;
+    this.logger = options.logger || logger;
+    this.silent = options.silent || false;
+  }
+
+  // Prometheus text exposition of every metric
+  getMetrics(req, res) {
+    // The queue is sampled at scrape time rather than tracked on every change
+    const { active, queued } = this.mermaidService.renderQueue.getStats();
+    this.metrics.renderQueueActive.set({}, active);
+    this.metrics.renderQueueDepth.set({}, queued);
+
+    res.set('Content-Type', this.registry.contentType);
+    res.send(this.registry.serialize());
+  }
+}
+
+module.exports = MetricsController;
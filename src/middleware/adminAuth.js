@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { UnauthorizedError, ForbiddenError, sendError } = require('../utils/errors');
+
+// Compare digests, so the comparison takes the same time whatever the token
+const digest = value => crypto.createHash('sha256').update(value).digest();
+
+// Admin routes require `Authorization: Bearer <admin.apiToken>`; without a
+// configured token they are switched off entirely
+const adminAuth = (req, res, next) => {
+  const token = config.admin.apiToken;
+  if (!token) {
+    return sendError(res, new ForbiddenError('The admin API is disabled; set ADMIN_API_TOKEN to enable it'));
+  }
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  if (!match || !crypto.timingSafeEqual(digest(match[1]), digest(token))) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return sendError(res, new UnauthorizedError('A valid admin token is required'));
+  }
+
+  next();
+};
+
+module.exports = adminAuth;
@@ -1,10 +1,10 @@
+const logger = require('../config/logger');
+const { sendError } = require('../utils/errors');
+
 const errorHandler = (err, req, res, next) => {
-  console.error(err.stack);
+  logger.error(`Unhandled error: ${err.message}`, { error: err, method: req.method, path: req.path });
   
-  res.status(err.status || 500).json({
-    success: false,
-    message: err.message || 'Internal Server Error',
-  });
+  sendError(res, err);
 };
 
 module.exports = errorHandler;
\ No newline at end of file
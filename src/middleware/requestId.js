@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+const { runWithContext } = require('../config/logger');
+
+// IDs from clients or proxies are kept when they are short and printable
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Take the request ID from X-Request-Id or generate one, echo it back, and
+// add it to every log line written while handling the request
+const requestId = (req, res, next) => {
+  const header = req.get('X-Request-Id');
+  req.id = header && VALID_REQUEST_ID.test(header) ? header : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  runWithContext({ requestId: req.id }, next);
+};
+
+module.exports = requestId;
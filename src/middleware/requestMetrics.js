@@ -0,0 +1,20 @@
+const { metrics } = require('../utils/metrics');
+
+// Route pattern a request matched, e.g. /jobs/:id; requests no route handled
+// share one label value, so scanners cannot create a series per URL
+const getRoute = req => (req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched');
+
+// Count requests and time their responses by method, route and status code
+const requestMetrics = (req, res, next) => {
+  const endTimer = metrics.httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = { method: req.method, route: getRoute(req), status: res.statusCode };
+    metrics.httpRequests.inc(labels);
+    endTimer(labels);
+  });
+
+  next();
+};
+
+module.exports = requestMetrics;
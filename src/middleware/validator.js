@@ -1,36 +1,311 @@
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+const { SUPPORTED_FORMATS, PDF_PAGE_SIZES, PDF_ORIENTATIONS } = require('../config/outputFormats');
+const { SUPPORTED_THEMES, BACKGROUND_COLOR_PATTERN, MAX_THEME_VARIABLES, MAX_CSS_LENGTH, loadsCssResources } = require('../config/themes');
+const { ValidationError, sendError } = require('../utils/errors');
 
-const validateMermaidSyntax = (req, res, next) => {
-  // Validate required mermaidSyntax field
-  body('mermaidSyntax')
-    .exists()
-    .withMessage('Mermaid syntax is required')
-    .isString()
-    .withMessage('Mermaid syntax must be a string')
-    .notEmpty()
-    .withMessage('Mermaid syntax cannot be empty')
-    .run(req);
-    
+// Validate required mermaidSyntax field
+const checkMermaidSyntax = req => body('mermaidSyntax')
+  .exists()
+  .withMessage('Mermaid syntax is required')
+  .isString()
+  .withMessage('Mermaid syntax must be a string')
+  .notEmpty()
+  .withMessage('Mermaid syntax cannot be empty')
+  .run(req);
+
+// Dimension and format rules shared by request bodies and query strings
+const checkImageOptions = async (location, req) => {
   // Optional width parameter (integer, min 100, max 10000)
-  body('width')
+  await location('width')
     .optional()
     .isInt({ min: 100, max: 10000 })
     .withMessage('Width must be an integer between 100 and 10000')
     .run(req);
-    
+
   // Optional height parameter (integer, min 100, max 10000)
-  body('height')
+  await location('height')
     .optional()
     .isInt({ min: 100, max: 10000 })
     .withMessage('Height must be an integer between 100 and 10000')
     .run(req);
 
+  // Optional output format (png, svg, pdf, jpeg or webp)
+  await location('format')
+    .optional()
+    .isString()
+    .toLowerCase()
+    .isIn(SUPPORTED_FORMATS)
+    .withMessage(`Format must be one of: ${SUPPORTED_FORMATS.join(', ')}`)
+    .run(req);
+};
+
+// Theme and background rules shared by request bodies and batch items
+const checkThemeOptions = async (location, req) => {
+  // Optional built-in theme
+  await location('theme')
+    .optional()
+    .isIn(SUPPORTED_THEMES)
+    .withMessage(`Theme must be one of: ${SUPPORTED_THEMES.join(', ')}`)
+    .run(req);
+
+  // Optional theme variables, e.g. { "primaryColor": "#1f2937" }
+  await location('themeVariables')
+    .optional()
+    .isObject({ strict: true })
+    .withMessage('Theme variables must be an object')
+    .bail()
+    .custom(variables => {
+      const entries = Object.entries(variables);
+      return entries.length <= MAX_THEME_VARIABLES && entries.every(([name, value]) => (
+        /^[A-Za-z][\w-]*$/.test(name) && ['string', 'number', 'boolean'].includes(typeof value)
+      ));
+    })
+    .withMessage(`Theme variables must be at most ${MAX_THEME_VARIABLES} named string, number or boolean values`)
+    .bail()
+    // Theme variables end up in the diagram's CSS too
+    .custom(variables => Object.values(variables).every(value => typeof value !== 'string' || !loadsCssResources(value)))
+    .withMessage('Theme variables may not load resources with url(), image-set() or similar functions')
+    .run(req);
+
+  // Optional background color (hex, rgb()/rgba() or transparent)
+  await location('backgroundColor')
+    .optional()
+    .isString()
+    .matches(BACKGROUND_COLOR_PATTERN)
+    .withMessage('Background color must be a hex color, rgb()/rgba() color or transparent')
+    .run(req);
+
+  // Optional CSS added to the diagram's styles; it may not load other resources
+  await location('css')
+    .optional()
+    .isString()
+    .withMessage('CSS must be a string')
+    .bail()
+    .isLength({ max: MAX_CSS_LENGTH })
+    .withMessage(`CSS must be at most ${MAX_CSS_LENGTH} characters`)
+    .not()
+    .matches(/@import|<\//i)
+    .withMessage('CSS may not contain @import rules or closing tags')
+    .custom(css => !loadsCssResources(css))
+    .withMessage('CSS may not load resources with url(), image-set() or similar functions')
+    .run(req);
+};
+
+// Encoder and PDF page rules shared by request bodies and batch items
+const checkOutputOptions = async (location, req) => {
+  // Optional encoder quality for JPEG and WebP output (integer, min 1, max 100)
+  await location('quality')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Quality must be an integer between 1 and 100')
+    .run(req);
+
+  // Optional PDF page size (A4, Letter or fit-to-diagram)
+  await location('pageSize')
+    .optional()
+    .isIn(PDF_PAGE_SIZES)
+    .withMessage(`Page size must be one of: ${PDF_PAGE_SIZES.join(', ')}`)
+    .run(req);
+
+  // Optional PDF page orientation
+  await location('orientation')
+    .optional()
+    .isIn(PDF_ORIENTATIONS)
+    .withMessage(`Orientation must be one of: ${PDF_ORIENTATIONS.join(', ')}`)
+    .run(req);
+
+  // Optional PDF page margin in millimetres (min 0, max 50)
+  await location('margin')
+    .optional()
+    .isFloat({ min: 0, max: 50 })
+    .withMessage('Margin must be a number of millimetres between 0 and 50')
+    .run(req);
+};
+
+// Send the collected validation errors, if any; returns whether a response was sent
+const sendValidationErrors = (req, res) => {
   const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
+  if (errors.isEmpty()) {
+    return false;
   }
 
+  const details = errors.array().map(error => ({
+    field: error.path,
+    message: error.msg
+  }));
+  sendError(res, new ValidationError(details[0].message, details));
+  return true;
+};
+
+const validateMermaidSyntax = async (req, res, next) => {
+  await checkMermaidSyntax(req);
+
+  await checkImageOptions(body, req);
+
+  await checkThemeOptions(body, req);
+
+  await checkOutputOptions(body, req);
+
+  if (sendValidationErrors(req, res)) return;
+
+  next();
+};
+
+// Validation for syntax-only checks, which take no rendering options
+const validateSyntaxCheck = async (req, res, next) => {
+  await checkMermaidSyntax(req);
+
+  // Optional switch for the same preprocessing renders apply (default true)
+  await body('clean')
+    .optional()
+    .isBoolean()
+    .withMessage('Clean must be a boolean')
+    .toBoolean()
+    .run(req);
+
+  if (sendValidationErrors(req, res)) return;
+
+  next();
+};
+
+// Validation for render jobs: the options of POST /convert/image plus a callback URL
+const validateJob = async (req, res, next) => {
+  // Optional URL the finished job's status is POSTed to
+  await body('callbackUrl')
+    .optional()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('Callback URL must be an http or https URL')
+    .run(req);
+
+  return validateMermaidSyntax(req, res, next);
+};
+
+// Most diagrams accepted in one batch request
+const MAX_BATCH_ITEMS = 500;
+
+// Validation for batch conversions of many diagrams in one request
+const validateBatch = async (req, res, next) => {
+  await body('items')
+    .isArray({ min: 1, max: MAX_BATCH_ITEMS })
+    .withMessage(`Items must be an array of 1 to ${MAX_BATCH_ITEMS} diagrams`)
+    .bail()
+    // Item ids name the files in ZIP output, so they must be unique
+    .custom(items => {
+      const ids = items.map((item, index) => (item && item.id) || `diagram-${index + 1}`);
+      return new Set(ids).size === ids.length;
+    })
+    .withMessage('Item ids must be unique')
+    .run(req);
+
+  await body('items.*.id')
+    .optional()
+    .isString()
+    .matches(/^[\w.-]{1,100}$/)
+    .withMessage('Item ids must be 1 to 100 letters, digits, dots, dashes or underscores')
+    .run(req);
+
+  await body('items.*.mermaidSyntax')
+    .exists()
+    .withMessage('Mermaid syntax is required')
+    .isString()
+    .withMessage('Mermaid syntax must be a string')
+    .notEmpty()
+    .withMessage('Mermaid syntax cannot be empty')
+    .run(req);
+
+  await checkImageOptions(field => body(`items.*.${field}`), req);
+
+  await checkThemeOptions(field => body(`items.*.${field}`), req);
+
+  await checkOutputOptions(field => body(`items.*.${field}`), req);
+
+  // Optional response type: a JSON array of base64 images (default) or a ZIP archive
+  await body('output')
+    .optional()
+    .isIn(['json', 'zip'])
+    .withMessage('Output must be one of: json, zip')
+    .run(req);
+
+  if (sendValidationErrors(req, res)) return;
+
+  next();
+};
+
+// Validation for listing cache entries
+const validateCacheList = async (req, res, next) => {
+  await query('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Limit must be an integer between 1 and 1000')
+    .toInt()
+    .run(req);
+
+  await query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a non-negative integer')
+    .toInt()
+    .run(req);
+
+  await query('diagramType')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Diagram type must be a non-empty string')
+    .run(req);
+
+  if (sendValidationErrors(req, res)) return;
+
+  next();
+};
+
+// Validation for cache purges, which must name at least one criterion
+const validateCachePurge = async (req, res, next) => {
+  await body()
+    .custom(value => value && (value.olderThan !== undefined || value.diagramType !== undefined))
+    .withMessage('Purge requires olderThan, diagramType or both')
+    .run(req);
+
+  // Age in seconds since the entry was cached
+  await body('olderThan')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Older than must be a non-negative number of seconds')
+    .toInt()
+    .run(req);
+
+  await body('diagramType')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Diagram type must be a non-empty string')
+    .run(req);
+
+  if (sendValidationErrors(req, res)) return;
+
+  next();
+};
+
+// Validation for GET renders, which take their options from the query string
+const validateImageQuery = async (req, res, next) => {
+  await checkImageOptions(query, req);
+
+  // Optional built-in theme
+  await query('theme')
+    .optional()
+    .isIn(SUPPORTED_THEMES)
+    .withMessage(`Theme must be one of: ${SUPPORTED_THEMES.join(', ')}`)
+    .run(req);
+
+  if (sendValidationErrors(req, res)) return;
+
   next();
 };
 
-module.exports = validateMermaidSyntax;
\ No newline at end of file
+module.exports = validateMermaidSyntax;
+module.exports.validateSyntaxCheck = validateSyntaxCheck;
+module.exports.validateImageQuery = validateImageQuery;
+module.exports.validateBatch = validateBatch;
+module.exports.validateJob = validateJob;
+module.exports.validateCacheList = validateCacheList;
+module.exports.validateCachePurge = validateCachePurge;
\ No newline at end of file
@@ -0,0 +1,22 @@
+const express = require('express');
+const CacheAdminController = require('../controllers/cacheAdminController');
+const { mermaidService } = require('../services');
+const adminAuth = require('../middleware/adminAuth');
+const { validateBatch, validateCacheList, validateCachePurge } = require('../middleware/validator');
+
+const router = express.Router();
+
+// Check if we're in a test environment
+const isTestEnv = process.env.NODE_ENV === 'test';
+
+const cacheAdminController = new CacheAdminController(mermaidService, { silent: isTestEnv });
+
+router.use(adminAuth);
+
+router.get('/stats', cacheAdminController.getStats.bind(cacheAdminController));
+router.get('/entries', validateCacheList, cacheAdminController.listEntries.bind(cacheAdminController));
+router.delete('/entries/:key', cacheAdminController.evictEntry.bind(cacheAdminController));
+router.post('/purge', validateCachePurge, cacheAdminController.purge.bind(cacheAdminController));
+router.post('/warm', validateBatch, cacheAdminController.warm.bind(cacheAdminController));
+
+module.exports = router;
@@ -1,17 +1,20 @@
 const express = require('express');
 const ConvertController = require('../controllers/convertController');
-const MermaidService = require('../services/mermaidService');
+const { mermaidService } = require('../services');
 const validateMermaidSyntax = require('../middleware/validator');
+const { validateSyntaxCheck, validateImageQuery, validateBatch } = validateMermaidSyntax;
 
 const router = express.Router();
 
 // Check if we're in a test environment
 const isTestEnv = process.env.NODE_ENV === 'test';
 
-// Create service and controller with appropriate logging settings
-const mermaidService = new MermaidService({ silent: isTestEnv });
+// Create controller with appropriate logging settings
 const convertController = new ConvertController(mermaidService, { silent: isTestEnv });
 
 router.post('/image', validateMermaidSyntax, convertController.convertImage.bind(convertController));
+router.get('/image/:encoded', validateImageQuery, convertController.convertEncodedImage.bind(convertController));
+router.post('/batch', validateBatch, convertController.convertBatch.bind(convertController));
+router.post('/validate', validateSyntaxCheck, convertController.validateSyntax.bind(convertController));
 
 module.exports = router;
\ No newline at end of file
@@ -1,14 +1,30 @@
 const express = require('express');
 const convertRoutes = require('./convertRoutes');
+const jobRoutes = require('./jobRoutes');
+const cacheAdminRoutes = require('./cacheAdminRoutes');
+const HealthController = require('../controllers/healthController');
+const MetricsController = require('../controllers/metricsController');
+const { mermaidService, healthService } = require('../services');
 
 const router = express.Router();
 
-// Health check endpoint for Docker healthchecks
-router.get('/health', (req, res) => {
-    res.status(200).json({ status: 'ok' });
-});
+// Check if we're in a test environment
+const isTestEnv = process.env.NODE_ENV === 'test';
 
-// Register convert routes
+const healthController = new HealthController(healthService, { silent: isTestEnv });
+const metricsController = new MetricsController(mermaidService, { silent: isTestEnv });
+
+// Health check endpoint for Docker healthchecks; same as the liveness probe
+router.get('/health', healthController.live.bind(healthController));
+router.get('/live', healthController.live.bind(healthController));
+router.get('/ready', healthController.ready.bind(healthController));
+
+// Prometheus metrics
+router.get('/metrics', metricsController.getMetrics.bind(metricsController));
+
+// Register feature routes
 router.use('/convert', convertRoutes);
+router.use('/jobs', jobRoutes);
+router.use('/admin/cache', cacheAdminRoutes);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const JobController = require('../controllers/jobController');
+const { jobService } = require('../services');
+const { validateJob } = require('../middleware/validator');
+
+const router = express.Router();
+
+// Check if we're in a test environment
+const isTestEnv = process.env.NODE_ENV === 'test';
+
+const jobController = new JobController(jobService, { silent: isTestEnv });
+
+router.post('/', validateJob, jobController.createJob.bind(jobController));
+router.get('/:id', jobController.getJob.bind(jobController));
+router.get('/:id/result', jobController.getJobResult.bind(jobController));
+
+module.exports = router;
\ No newline at end of file
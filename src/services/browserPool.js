@@ -0,0 +1,464 @@
+const config = require('../config');
+const logger = require('../config/logger');
+const puppeteerConfig = require('../config/puppeteer-config.json');
+const mermaidConfig = require('../config/mermaid.config.json');
+const { getRenderConfig, DEFAULT_BACKGROUND_COLOR } = require('../config/themes');
+const { withSecurityLevel } = require('../config/security');
+const { sandboxPage } = require('../utils/pageSandbox');
+const { resolveScript } = require('../utils/offlineAssets');
+const {
+  RenderError,
+  RenderTimeoutError,
+  MermaidSyntaxError,
+  isSyntaxErrorMessage,
+  parseSyntaxErrorLocation
+} = require('../utils/errors');
+
+// Locally installed mermaid bundle preloaded into every pooled page, and the
+// ZenUML plugin, which the bundle does not include
+const mermaidScriptPath = require.resolve('mermaid/dist/mermaid.min.js');
+
+// Runs in the browser: make the preloaded mermaid detect and render ZenUML diagrams
+const registerZenUml = () => window.mermaid.registerExternalDiagrams([window['mermaid-zenuml']]);
+
+// Blank page that hosts rendered diagrams. In print media the container fills
+// the page so fixed-size PDF pages center and scale the diagram.
+const pageHtml = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <style>
+    html, body {
+      margin: 0;
+      padding: 0;
+      background: #ffffff;
+    }
+    #container {
+      display: inline-block;
+    }
+    @media print {
+      html, body, #container {
+        width: 100%;
+        height: 100%;
+      }
+      #container {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+      }
+      #container svg {
+        max-width: 100%;
+        max-height: 100%;
+      }
+    }
+  </style>
+</head>
+<body>
+  <div id="container"></div>
+</body>
+</html>`;
+
+// Runs in the browser: render a diagram into the container with the preloaded mermaid
+const renderInPage = async (code, config, id, backgroundColor) => {
+  const container = document.getElementById('container');
+  container.innerHTML = '';
+  document.body.style.background = backgroundColor;
+
+  try {
+    window.mermaid.initialize(config);
+    const { svg } = await window.mermaid.render(id, code);
+    container.innerHTML = svg;
+  } catch (error) {
+    // mermaid leaves its scratch element behind when rendering fails
+    const scratch = document.getElementById(`d${id}`);
+    if (scratch) scratch.remove();
+
+    // Parser errors carry their location (1-based line, 0-based column)
+    const loc = error.hash && error.hash.loc;
+    return {
+      error: error.message || String(error),
+      line: loc ? loc.first_line : undefined,
+      column: loc ? loc.first_column + 1 : undefined
+    };
+  }
+
+  const svgElement = container.querySelector('svg');
+  svgElement.style.backgroundColor = backgroundColor;
+  const viewBox = svgElement.viewBox && svgElement.viewBox.baseVal;
+  const rect = svgElement.getBoundingClientRect();
+
+  return {
+    svg: svgElement.outerHTML,
+    width: viewBox && viewBox.width ? viewBox.width : rect.width,
+    height: viewBox && viewBox.height ? viewBox.height : rect.height
+  };
+};
+
+// Runs in the browser: parse a diagram with the preloaded mermaid without rendering it
+const parseInPage = async (code, config) => {
+  window.mermaid.initialize(config);
+
+  let diagramType = null;
+  try {
+    diagramType = window.mermaid.detectType(code, config);
+  } catch (error) {
+    // Unknown diagram types are reported by parse below
+  }
+
+  try {
+    await window.mermaid.parse(code);
+    return { valid: true, diagramType };
+  } catch (error) {
+    const loc = error.hash && error.hash.loc;
+    return {
+      valid: false,
+      diagramType,
+      error: error.message || String(error),
+      line: loc ? loc.first_line : undefined,
+      column: loc ? loc.first_column + 1 : undefined
+    };
+  }
+};
+
+/**
+ * Pool of warm Puppeteer pages with mermaid preloaded, shared across renders
+ * so a diagram no longer pays for a Node and Chromium cold start.
+ */
+class BrowserPool {
+  constructor(options = {}) {
+    this.logger = options.logger || logger;
+    this.silent = options.silent || false;
+    this.size = options.size || config.browserPool.size; // Maximum number of pages rendering at once
+    this.maxRendersPerPage = options.maxRendersPerPage || config.browserPool.maxRendersPerPage; // Recycle pages after this many renders
+    this.renderTimeout = options.renderTimeout || config.render.timeout; // Per-render timeout in ms
+    this.launchOptions = options.launchOptions || puppeteerConfig;
+    this.securityLevel = options.securityLevel || config.render.securityLevel;
+    this.mermaidConfig = { ...withSecurityLevel(options.mermaidConfig || mermaidConfig, this.securityLevel), startOnLoad: false };
+
+    this.browser = null;
+    this.launching = null;
+    this.pages = []; // { page, renders, busy, broken } entries
+    this.pendingPages = 0; // Pages being created
+    this.waiters = []; // Callers waiting for a free page
+    this.renderCounter = 0;
+    this.closed = false;
+  }
+
+  /**
+   * Get the shared browser, launching it on first use or after a crash
+   * @returns {Promise<Browser>} - The running browser
+   */
+  async getBrowser() {
+    if (this.browser) {
+      return this.browser;
+    }
+
+    if (!this.launching) {
+      this.launching = this.launchBrowser().finally(() => {
+        this.launching = null;
+      });
+    }
+
+    return this.launching;
+  }
+
+  /**
+   * Launch a browser and watch it for crashes
+   * @returns {Promise<Browser>} - The launched browser
+   */
+  async launchBrowser() {
+    const puppeteer = require('puppeteer');
+    const browser = await puppeteer.launch(this.launchOptions);
+
+    browser.on('disconnected', () => this.handleDisconnect(browser));
+    this.browser = browser;
+
+    if (!this.silent) {
+      this.logger.log(`Browser pool launched (size: ${this.size}, recycle after ${this.maxRendersPerPage} renders)`);
+    }
+
+    return browser;
+  }
+
+  /**
+   * Drop the pages of a crashed browser and relaunch it
+   * @param {Browser} browser - The browser that disconnected
+   */
+  handleDisconnect(browser) {
+    if (this.browser !== browser) return;
+
+    this.browser = null;
+    this.pages = [];
+
+    if (this.closed) return;
+
+    if (!this.silent) {
+      this.logger.warn('Browser pool lost its browser, relaunching');
+    }
+
+    // Relaunch right away so the next render finds a warm browser
+    this.getBrowser()
+      .then(() => this.dispatchWaiters())
+      .catch(error => {
+        if (!this.silent) {
+          this.logger.error(`Browser pool relaunch failed: ${error.message}`);
+        }
+      });
+  }
+
+  /**
+   * Open a page and preload mermaid and its ZenUML plugin into it
+   * @returns {Promise<Object>} - A busy pool entry for the new page
+   */
+  async createPage() {
+    const browser = await this.getBrowser();
+    const page = await browser.newPage();
+    const entry = { page, renders: 0, busy: true, broken: false };
+
+    page.on('error', () => {
+      entry.broken = true;
+    });
+
+    try {
+      // Diagrams may reference images or other resources; none of them load
+      await sandboxPage(page, {
+        onBlocked: url => this.logger.warn('Blocked a request made by a diagram', { url })
+      });
+      await page.setContent(pageHtml, { waitUntil: 'load' });
+      await page.addScriptTag({ path: mermaidScriptPath });
+      await page.addScriptTag({ path: resolveScript('mermaid-zenuml') });
+      await page.evaluate(registerZenUml);
+    } catch (error) {
+      await page.close().catch(() => {});
+      throw error;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Hand free pages to waiting callers, opening new pages while under the pool size
+   */
+  dispatchWaiters() {
+    while (this.waiters.length > 0) {
+      const idle = this.pages.find(entry => !entry.busy);
+      if (idle) {
+        idle.busy = true;
+        this.waiters.shift().resolve(idle);
+        continue;
+      }
+
+      if (this.pages.length + this.pendingPages >= this.size) {
+        return;
+      }
+
+      const waiter = this.waiters.shift();
+      this.pendingPages++;
+      this.createPage()
+        .then(entry => {
+          this.pages.push(entry);
+          waiter.resolve(entry);
+        }, waiter.reject)
+        .finally(() => {
+          this.pendingPages--;
+          this.dispatchWaiters();
+        });
+    }
+  }
+
+  /**
+   * Wait for a free page
+   * @returns {Promise<Object>} - A busy pool entry
+   */
+  acquire() {
+    if (this.closed) {
+      return Promise.reject(new Error('Browser pool is closed'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.waiters.push({ resolve, reject });
+      this.dispatchWaiters();
+    });
+  }
+
+  /**
+   * Return a page to the pool, recycling it if it is worn out or broken
+   * @param {Object} entry - The pool entry to release
+   */
+  release(entry) {
+    entry.renders++;
+
+    const retired = entry.broken || entry.renders >= this.maxRendersPerPage || !this.pages.includes(entry);
+    if (retired) {
+      this.pages = this.pages.filter(e => e !== entry);
+      entry.page.close().catch(() => {});
+
+      if (!this.silent) {
+        this.logger.debug(`Recycled browser pool page after ${entry.renders} renders`);
+      }
+    } else {
+      entry.busy = false;
+    }
+
+    this.dispatchWaiters();
+  }
+
+  /**
+   * Run a task on a pooled page, discarding the page if the task times out
+   * @param {Function} task - Async function receiving the pool entry
+   * @returns {Promise<*>} - The task result
+   */
+  async runOnPage(task) {
+    const entry = await this.acquire();
+    let timer;
+
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          entry.broken = true;
+          reject(new RenderTimeoutError(`Render timed out after ${this.renderTimeout}ms`));
+        }, this.renderTimeout);
+      });
+
+      const running = task(entry);
+      // A timed out task settles later, once its page has been closed
+      running.catch(() => {});
+
+      return await Promise.race([running, timeout]);
+    } finally {
+      clearTimeout(timer);
+      this.release(entry);
+    }
+  }
+
+  /**
+   * Render a diagram on a pooled page
+   * @param {string} code - The Mermaid diagram syntax
+   * @param {Object} options - Viewport width and height, scaleFactor, format, quality and pdf layout
+   * @returns {Promise<Buffer>} - The rendered output
+   */
+  render(code, options = {}) {
+    return this.runOnPage(entry => this.renderOnPage(entry, code, options));
+  }
+
+  /**
+   * Parse a diagram on a pooled page without rendering it
+   * @param {string} code - The Mermaid diagram syntax
+   * @returns {Promise<Object>} - { valid, diagramType, error, line, column }
+   */
+  parse(code) {
+    return this.runOnPage(async entry => {
+      try {
+        return await entry.page.evaluate(parseInPage, code, this.mermaidConfig);
+      } catch (error) {
+        // The page itself failed, not the diagram
+        entry.broken = true;
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Render a diagram and capture it in the requested format
+   * @param {Object} entry - The pool entry to render on
+   * @param {string} code - The Mermaid diagram syntax
+   * @param {Object} options - Render options (see render)
+   * @returns {Promise<Buffer>} - The rendered output
+   */
+  async renderOnPage(entry, code, options) {
+    const { page } = entry;
+    const { width = 800, height = 600, scaleFactor = 1, format = 'png', quality, pdf, backgroundColor = DEFAULT_BACKGROUND_COLOR } = options;
+    const config = getRenderConfig(this.mermaidConfig, options);
+
+    let result;
+    try {
+      await page.setViewport({
+        width: Math.round(width),
+        height: Math.round(height),
+        deviceScaleFactor: scaleFactor
+      });
+      result = await page.evaluate(renderInPage, code, config, `diagram-${++this.renderCounter}`, backgroundColor);
+    } catch (error) {
+      // The page itself failed, not the diagram
+      entry.broken = true;
+      throw error;
+    }
+
+    // Diagram errors leave the page usable
+    if (result.error) {
+      if (result.line !== undefined || isSyntaxErrorMessage(result.error)) {
+        const location = result.line !== undefined
+          ? { line: result.line, column: result.column }
+          : parseSyntaxErrorLocation(result.error);
+        throw new MermaidSyntaxError(result.error, location);
+      }
+      throw new RenderError(result.error);
+    }
+
+    if (format === 'svg') {
+      return Buffer.from(result.svg, 'utf8');
+    }
+
+    if (format === 'pdf') {
+      return Buffer.from(await page.pdf(this.getPdfSettings(result, pdf)));
+    }
+
+    const element = await page.$('#container svg');
+    // Keep transparent backgrounds transparent in formats with an alpha channel
+    const screenshotOptions = { type: format === 'png' ? 'png' : format, omitBackground: format !== 'jpeg' };
+    if (format !== 'png' && quality) {
+      screenshotOptions.quality = quality;
+    }
+
+    return Buffer.from(await element.screenshot(screenshotOptions));
+  }
+
+  /**
+   * Build page.pdf settings for a rendered diagram
+   * @param {Object} result - The render result with the diagram's natural size
+   * @param {Object} [pdf] - Page layout (pageSize, orientation, margin in mm)
+   * @returns {Object} - Puppeteer PDF options
+   */
+  getPdfSettings(result, pdf = {}) {
+    const { pageSize = 'fit', orientation = 'portrait', margin = 0 } = pdf;
+    const marginSize = `${margin}mm`;
+    const settings = {
+      printBackground: true,
+      margin: { top: marginSize, right: marginSize, bottom: marginSize, left: marginSize }
+    };
+
+    if (pageSize === 'fit') {
+      // Size the page to the diagram plus its margins (96 CSS pixels per inch)
+      const marginPx = (margin / 25.4) * 96;
+      settings.width = `${Math.ceil(result.width + marginPx * 2)}px`;
+      settings.height = `${Math.ceil(result.height + marginPx * 2)}px`;
+      settings.pageRanges = '1';
+    } else {
+      settings.format = pageSize;
+      settings.landscape = orientation === 'landscape';
+    }
+
+    return settings;
+  }
+
+  /**
+   * Close the browser and reject callers still waiting for a page
+   */
+  async close() {
+    this.closed = true;
+
+    for (const waiter of this.waiters.splice(0)) {
+      waiter.reject(new Error('Browser pool is closed'));
+    }
+
+    const browser = this.browser || (this.launching && await this.launching.catch(() => null));
+    this.browser = null;
+    this.pages = [];
+
+    if (browser) {
+      await browser.close().catch(() => {});
+    }
+  }
+}
+
+module.exports = BrowserPool;
\ No newline at end of file
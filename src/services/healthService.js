@@ -0,0 +1,121 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const logger = require('../config/logger');
+
+/**
+ * Readiness checks of the components a render needs: the renderer (a tiny
+ * canary render in Chromium), the cache store and the temporary directory
+ * renders are written to. Results are reused for a few seconds, so frequent
+ * probes from several orchestrators never pile up canary renders.
+ */
+class HealthService {
+  constructor(mermaidService, options = {}) {
+    this.mermaidService = mermaidService;
+    this.logger = options.logger || logger;
+    this.silent = options.silent || false;
+    this.tempDir = options.tempDir || config.tempDir;
+    this.minFreeDiskBytes = options.minFreeDiskBytes !== undefined ? options.minFreeDiskBytes : config.readiness.minFreeDiskMb * 1024 * 1024;
+    this.checkTimeout = options.checkTimeout || config.readiness.checkTimeout; // Max time per check in ms
+    this.resultTTL = options.resultTTL !== undefined ? options.resultTTL : 5000; // Reuse results for 5 seconds
+
+    this.lastResult = null;
+    this.lastCheckedAt = 0;
+    this.running = null;
+  }
+
+  /**
+   * Check every component, reusing a recent or running check
+   * @returns {Promise<{ready: boolean, checks: Object}>} - Overall readiness and per-component status
+   */
+  async checkReadiness() {
+    if (this.lastResult && Date.now() - this.lastCheckedAt < this.resultTTL) {
+      return this.lastResult;
+    }
+
+    if (!this.running) {
+      this.running = this.runChecks().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async runChecks() {
+    const [renderer, cache, disk] = await Promise.all([
+      this.runCheck('renderer', () => this.checkRenderer()),
+      this.runCheck('cache', () => this.checkCache()),
+      this.runCheck('disk', () => this.checkDisk())
+    ]);
+    const checks = { renderer, cache, disk };
+    const ready = Object.values(checks).every(check => check.status === 'ok');
+
+    if (!ready && !this.silent) {
+      const failed = Object.keys(checks).filter(name => checks[name].status !== 'ok');
+      this.logger.warn(`Readiness check failed: ${failed.map(name => `${name} (${checks[name].error})`).join(', ')}`);
+    }
+
+    this.lastResult = { ready, checks };
+    this.lastCheckedAt = Date.now();
+    return this.lastResult;
+  }
+
+  /**
+   * Run one check with a time limit, turning failures into an error status
+   * @param {string} name - The component name, for the timeout message
+   * @param {Function} check - Async function resolving to details of a healthy component
+   * @returns {Promise<Object>} - { status: 'ok' | 'error', durationMs, ...details, error }
+   */
+  async runCheck(name, check) {
+    const startedAt = Date.now();
+    let timer;
+
+    try {
+      const details = await Promise.race([
+        check(),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`${name} check timed out after ${this.checkTimeout}ms`)), this.checkTimeout);
+        })
+      ]);
+      return { status: 'ok', durationMs: Date.now() - startedAt, ...details };
+    } catch (error) {
+      return { status: 'error', durationMs: Date.now() - startedAt, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async checkRenderer() {
+    await this.mermaidService.checkRenderer();
+    return { renderer: this.mermaidService.renderer };
+  }
+
+  async checkCache() {
+    await this.mermaidService.cacheHelper.checkHealth();
+    return { store: this.mermaidService.cacheHelper.storeName };
+  }
+
+  // The temporary directory must be writable and have room for renders
+  async checkDisk() {
+    await fs.mkdir(this.tempDir, { recursive: true });
+
+    const probe = path.join(this.tempDir, `.ready-${process.pid}.tmp`);
+    await fs.writeFile(probe, 'ok');
+    await fs.unlink(probe);
+
+    // fs.statfs needs Node.js 18.15; older versions only check that the directory is writable
+    if (typeof fs.statfs !== 'function') {
+      return { freeBytes: null, freeSpace: 'skipped' };
+    }
+
+    const stats = await fs.statfs(this.tempDir);
+    const freeBytes = stats.bavail * stats.bsize;
+    if (freeBytes < this.minFreeDiskBytes) {
+      throw new Error(`Only ${freeBytes} bytes free in ${this.tempDir}, need ${this.minFreeDiskBytes}`);
+    }
+
+    return { freeBytes };
+  }
+}
+
+module.exports = HealthService;
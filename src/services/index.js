@@ -0,0 +1,20 @@
+const MermaidService = require('./mermaidService');
+const JobService = require('./jobService');
+const HealthService = require('./healthService');
+
+// Check if we're in a test environment
+const isTestEnv = process.env.NODE_ENV === 'test';
+
+// One service instance per process, so every route shares the cache, browser pool and render queue.
+// Services read their settings from ../config
+const mermaidService = new MermaidService({ silent: isTestEnv });
+
+const jobService = new JobService(mermaidService, { silent: isTestEnv });
+
+const healthService = new HealthService(mermaidService, { silent: isTestEnv });
+
+module.exports = {
+  mermaidService,
+  jobService,
+  healthService
+};
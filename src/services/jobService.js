@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const config = require('../config');
+const logger = require('../config/logger');
+const MemoryJobStore = require('./jobStore');
+const { getOutputFormat } = require('../config/outputFormats');
+const { toServiceError } = require('../utils/errors');
+const { parseHostList, resolveCallbackTarget, pinnedLookup } = require('../utils/callbackTarget');
+
+// Rough progress reported for each job status, in percent
+const JOB_PROGRESS = {
+  queued: 0,
+  running: 50,
+  completed: 100,
+  failed: 100
+};
+
+/**
+ * POST a JSON body and resolve with the response status code
+ * @param {string} url - The http or https URL
+ * @param {string} body - The JSON body
+ * @param {number} timeout - Max wait for the response in ms
+ * @param {Array<{address: string, family: number}>} addresses - Addresses to connect to, from resolveCallbackTarget
+ * @returns {Promise<number>} - The response status code
+ */
+function postJson(url, body, timeout, addresses) {
+  const client = new URL(url).protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+      timeout,
+      lookup: pinnedLookup(addresses)
+    }, res => {
+      res.resume(); // The response body is not needed
+      res.on('end', () => resolve(res.statusCode));
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Callback timed out after ${timeout}ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Runs renders in the background, so renders that take longer than an HTTP
+ * gateway keeps a request open can be polled for or delivered to a callback URL
+ */
+class JobService {
+  constructor(mermaidService, options = {}) {
+    this.mermaidService = mermaidService;
+    this.logger = options.logger || logger;
+    this.silent = options.silent || false;
+    this.store = options.store || new MemoryJobStore({ ttl: options.jobTTL });
+    this.callbackTimeout = options.callbackTimeout || config.jobs.callbackTimeout; // Max wait for a callback response in ms
+    this.callbackRetries = options.callbackRetries !== undefined ? options.callbackRetries : 2; // Retries after a failed callback
+    this.callbackRetryDelay = options.callbackRetryDelay || 1000; // Base delay between callback attempts in ms
+    // Callback hosts that may resolve to loopback, private or link-local addresses
+    this.callbackAllowedHosts = parseHostList(options.callbackAllowedHosts !== undefined
+      ? options.callbackAllowedHosts
+      : config.jobs.callbackAllowedHosts);
+
+    this.running = new Map(); // Background work by job id
+  }
+
+  /**
+   * Create a job and start rendering it in the background
+   * @param {string} mermaidCode - The Mermaid diagram syntax
+   * @param {Object} options - Render options, as for convertMermaidToImage
+   * @param {Object} [job] - Optional callbackUrl, and the baseUrl jobs are served from
+   * @returns {Promise<Object>} - The job status
+   * @throws {ValidationError} - When the callback URL does not point at a public host
+   */
+  async createJob(mermaidCode, options = {}, { callbackUrl, baseUrl = '/jobs' } = {}) {
+    if (callbackUrl) {
+      await resolveCallbackTarget(callbackUrl, this.callbackAllowedHosts);
+    }
+
+    const id = crypto.randomUUID();
+    const outputFormat = getOutputFormat(options.format);
+
+    const job = await this.store.create({
+      id,
+      status: 'queued',
+      progress: JOB_PROGRESS.queued,
+      format: outputFormat.name,
+      contentType: outputFormat.contentType,
+      resultUrl: `${baseUrl}/${id}/result`,
+      callbackUrl,
+      createdAt: new Date().toISOString()
+    });
+
+    const work = this.run(id, mermaidCode, options)
+      .catch(error => this.abandon(id, error))
+      .finally(() => this.running.delete(id));
+    this.running.set(id, work);
+
+    return this.toStatus(job);
+  }
+
+  /**
+   * Look up a job
+   * @param {string} id - The job id
+   * @returns {Promise<Object|null>} - The stored job, including any result
+   */
+  getJob(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Render a job's diagram, record the outcome and notify its callback URL
+   * @param {string} id - The job id
+   * @param {string} mermaidCode - The Mermaid diagram syntax
+   * @param {Object} options - Render options
+   */
+  async run(id, mermaidCode, options) {
+    await this.store.update(id, {
+      status: 'running',
+      progress: JOB_PROGRESS.running,
+      startedAt: new Date().toISOString()
+    });
+
+    let job;
+    try {
+      // The job was accepted already, so it waits for a render slot rather
+      // than failing when the render queue is busy
+      const result = await this.mermaidService.convertMermaidToImage(mermaidCode, { ...options, waitForSlot: true });
+      job = await this.store.update(id, {
+        status: 'completed',
+        progress: JOB_PROGRESS.completed,
+        result,
+        finishedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      if (!this.silent) {
+        this.logger.error(`Render job ${id} failed: ${error.message}`);
+      }
+      job = await this.store.update(id, {
+        status: 'failed',
+        progress: JOB_PROGRESS.failed,
+        error: toServiceError(error, 'Failed to convert Mermaid syntax to image').toJSON(),
+        finishedAt: new Date().toISOString()
+      });
+    }
+
+    if (job && job.callbackUrl) {
+      await this.notify(job);
+    }
+  }
+
+  /**
+   * Handle an error that escaped run(), e.g. from a job store that is down.
+   * The job is marked failed unless its outcome was already recorded, so it is
+   * not left queued or running forever
+   * @param {string} id - The job id
+   * @param {Error} error - The error
+   */
+  async abandon(id, error) {
+    this.logger.error(`Render job ${id} could not be processed: ${error.message}`);
+
+    try {
+      const job = await this.store.get(id);
+      if (job && !job.finishedAt) {
+        await this.store.update(id, {
+          status: 'failed',
+          progress: JOB_PROGRESS.failed,
+          error: toServiceError(error, 'Failed to process render job').toJSON(),
+          finishedAt: new Date().toISOString()
+        });
+      }
+    } catch (storeError) {
+      this.logger.error(`Could not mark render job ${id} as failed: ${storeError.message}`);
+    }
+  }
+
+  /**
+   * POST a finished job's status to its callback URL, retrying failed deliveries
+   * @param {Object} job - The finished job
+   */
+  async notify(job) {
+    const body = JSON.stringify(this.toStatus(job));
+
+    for (let attempt = 1; attempt <= this.callbackRetries + 1; attempt++) {
+      try {
+        // Resolved again for every attempt, and checked again: DNS may answer differently now
+        const addresses = await resolveCallbackTarget(job.callbackUrl, this.callbackAllowedHosts);
+        const statusCode = await postJson(job.callbackUrl, body, this.callbackTimeout, addresses);
+
+        if (statusCode >= 200 && statusCode < 300) {
+          await this.store.update(job.id, { callback: { status: 'delivered', attempts: attempt } });
+          return;
+        }
+        throw new Error(`Callback responded with status ${statusCode}`);
+      } catch (error) {
+        if (!this.silent) {
+          this.logger.warn(`Callback for job ${job.id} failed (attempt ${attempt}): ${error.message}`);
+        }
+        if (attempt <= this.callbackRetries) {
+          await new Promise(resolve => setTimeout(resolve, this.callbackRetryDelay * attempt));
+        }
+      }
+    }
+
+    await this.store.update(job.id, { callback: { status: 'failed', attempts: this.callbackRetries + 1 } });
+  }
+
+  /**
+   * Public view of a job, without its diagram output
+   * @param {Object} job - The stored job
+   * @returns {Object} - The job status
+   */
+  toStatus(job) {
+    const { result, ...status } = job;
+    return status;
+  }
+
+  /**
+   * Wait for all background work to settle
+   */
+  async drain() {
+    await Promise.all(this.running.values());
+  }
+}
+
+module.exports = JobService;
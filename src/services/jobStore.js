@@ -0,0 +1,85 @@
+const config = require('../config');
+const { TooManyJobsError } = require('../utils/errors');
+
+/**
+ * In-memory store for render jobs, the default job store.
+ *
+ * Any object with the same async methods can be passed to JobService instead,
+ * e.g. to keep job state in a database shared by several service instances:
+ *   create(job) -> job
+ *   get(id) -> job or null
+ *   update(id, changes) -> updated job or null
+ *   delete(id)
+ *
+ * Jobs are plain objects; a finished job's `result` holds the rendered Buffer.
+ * At most `maxJobs` are kept: when the store is full, the oldest finished jobs
+ * are dropped before their TTL, and new jobs are refused while none has finished.
+ */
+class MemoryJobStore {
+  constructor(options = {}) {
+    this.ttl = options.ttl || config.jobs.ttl; // Keep finished jobs this long, in ms
+    this.maxJobs = options.maxJobs || config.jobs.maxJobs; // Most jobs kept at once
+    this.jobs = new Map();
+  }
+
+  async create(job) {
+    this.prune();
+    this.makeRoom();
+    this.jobs.set(job.id, { ...job });
+    return { ...job };
+  }
+
+  async get(id) {
+    this.prune();
+    const job = this.jobs.get(id);
+    return job ? { ...job } : null;
+  }
+
+  async update(id, changes) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+
+    Object.assign(job, changes);
+    return { ...job };
+  }
+
+  async delete(id) {
+    this.jobs.delete(id);
+  }
+
+  /**
+   * Drop finished jobs older than the TTL
+   */
+  prune() {
+    const cutoff = Date.now() - this.ttl;
+
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Drop the oldest finished jobs until there is room for another job
+   * @throws {TooManyJobsError} - When every stored job is still queued or running
+   */
+  makeRoom() {
+    for (const [id, job] of this.jobs) {
+      if (this.jobs.size < this.maxJobs) {
+        return;
+      }
+      if (job.finishedAt) {
+        this.jobs.delete(id);
+      }
+    }
+
+    if (this.jobs.size >= this.maxJobs) {
+      throw new TooManyJobsError(`Too many render jobs in progress (${this.maxJobs}); try again later`);
+    }
+  }
+}
+
+module.exports = MemoryJobStore;
@@ -1,38 +1,157 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const execPromise = promisify(exec);
 const { ensureDirExistsSync } = require('../utils/fileHelper');
 const CacheHelper = require('../utils/cacheHelper');
+const config = require('../config');
 const logger = require('../config/logger');
+const BrowserPool = require('./browserPool');
+const RenderQueue = require('./renderQueue');
+const {
+  ServiceError,
+  MermaidSyntaxError,
+  RenderTimeoutError,
+  RenderError,
+  QueueFullError,
+  QueueTimeoutError,
+  isSyntaxErrorMessage,
+  parseSyntaxErrorLocation,
+  createSyntaxError
+} = require('../utils/errors');
+const { getOutputFormat, getOutputFormatByExtension, DEFAULT_QUALITY, DEFAULT_PDF_OPTIONS } = require('../config/outputFormats');
+const { hasConfigOverrides, getRenderConfig, DEFAULT_BACKGROUND_COLOR, BACKGROUND_COLOR_PATTERN } = require('../config/themes');
+const { withSecurityLevel } = require('../config/security');
+const { getDiagramType } = require('../utils/renderOptions');
+const { metrics } = require('../utils/metrics');
+const baseMermaidConfig = require('../config/mermaid.config.json');
+const { runProcess } = require('../utils/processRunner');
+const { scriptTags, blockNetworkRequests, assertScriptsLoaded } = require('../utils/offlineAssets');
+const { sandboxPage } = require('../utils/pageSandbox');
+
+// Puppeteer launch options mermaid-cli renders with
+const PUPPETEER_CONFIG_PATH = path.resolve(__dirname, '../config/puppeteer-config.json');
+
+// Scripts of the fallback pages, by the global each defines
+const ZENUML_FALLBACK_SCRIPTS = ['mermaid', 'mermaid-zenuml'];
+const GANTT_FALLBACK_SCRIPTS = ['mermaid'];
+
+// Fonts of the fallback pages, unless the theme variables set their own
+const FALLBACK_FONT_VARIABLES = { fontSize: 14, fontFamily: 'Arial, sans-serif' };
+
+// Runs in the browser: natural size of a rendered diagram, preferring its viewBox over the layout box
+const measureSvg = el => {
+  const viewBox = el.viewBox && el.viewBox.baseVal;
+  if (viewBox && viewBox.width && viewBox.height) {
+    return { width: viewBox.width, height: viewBox.height };
+  }
+  const rect = el.getBoundingClientRect();
+  return { width: rect.width, height: rect.height };
+};
+
+// Runs in the browser: whether a fallback page's diagram is rendered and laid out
+const isDiagramLaidOut = () => {
+  const svg = document.querySelector('.mermaid svg');
+  if (!svg) return false;
+  const box = svg.getBoundingClientRect();
+  return box.width > 0 && box.height > 0;
+};
+
+// Diagram code placed in a fallback page is text, never markup; mermaid decodes
+// the entities again before parsing
+const escapeHtml = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// A value as a JavaScript literal inside a fallback page's <script>, which no string in it can close
+const scriptLiteral = value => JSON.stringify(value).replace(/</g, '\\u003c');
+
+// A mermaid-cli path argument: only absolute paths, so none can be taken for an option
+const cliPath = (name, value) => {
+  if (typeof value !== 'string' || !path.isAbsolute(value)) {
+    throw new TypeError(`mermaid-cli ${name} must be an absolute path, got ${JSON.stringify(value)}`);
+  }
+  return value;
+};
+
+// A mermaid-cli numeric argument within its limits; pixel sizes are rounded
+// since dimensions are calculated from aspect ratios
+const cliNumber = (name, value, min, max, round) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new TypeError(`mermaid-cli ${name} must be a number, got ${JSON.stringify(value)}`);
+  }
+  const number = round ? Math.round(value) : value;
+  if (number < min || number > max) {
+    throw new TypeError(`mermaid-cli ${name} must be between ${min} and ${max}, got ${number}`);
+  }
+  return String(number);
+};
 
 class MermaidService {
   constructor(options = {}) {
     this.logger = options.logger || logger;
     this.silent = options.silent || false;
     
-    // Default dimensions - Full HD resolution
-    this.defaultWidth = 1920;  // Full HD width
-    this.defaultHeight = 1080; // Full HD height
+    // Default dimensions - Full HD resolution unless configured otherwise
+    this.defaultWidth = config.render.defaultWidth;
+    this.defaultHeight = config.render.defaultHeight;
     
     // Default scale factor for high resolution rendering
-    this.defaultScaleFactor = 2.0; // Higher value = better quality but larger file size
+    this.defaultScaleFactor = config.render.defaultScaleFactor; // Higher value = better quality but larger file size
     
     // Min/max values to prevent extreme resolutions that might cause rendering issues
-    this.minWidth = 800;
-    this.maxWidth = 8000;
-    this.minHeight = 400;
-    this.maxHeight = 8000;
+    this.minWidth = config.render.minWidth;
+    this.maxWidth = config.render.maxWidth;
+    this.minHeight = config.render.minHeight;
+    this.maxHeight = config.render.maxHeight;
+    
+    // Render on a pool of warm browser pages by default; 'cli' spawns mermaid-cli per render
+    this.renderer = options.renderer || config.render.renderer;
+    this.renderTimeout = options.renderTimeout || config.render.timeout; // Per-render timeout in ms
+    this.mermaidCliPath = options.mermaidCliPath || config.render.mermaidCliPath;
+    
+    // Mermaid securityLevel of every renderer; loose is a deployment's explicit opt-in
+    this.securityLevel = options.securityLevel || config.render.securityLevel;
+    if (this.securityLevel === 'loose' && !this.silent) {
+      this.logger.warn('Rendering with Mermaid securityLevel loose: diagram labels may contain HTML and run script');
+    }
     
-    // Initialize cache helper with the same logging options
+    // Temporary diagram and image files are written here
+    this.tempDir = options.tempDir || config.tempDir;
+    
+    // Prometheus metrics, shared with the rest of the service unless given
+    this.metrics = options.metrics || metrics;
+    
+    // Initialize cache helper with the same logging options; options.cache selects
+    // and sizes the store, e.g. { store: 'memory', maxBytes: 64 * 1024 * 1024 }
     this.cacheHelper = new CacheHelper({
       silent: this.silent,
       logger: this.logger,
-      maxCacheSize: options.maxCacheSize || 100,
-      cacheTTL: options.cacheTTL || 24 * 60 * 60 * 1000 // 24 hours by default
+      maxCacheSize: options.maxCacheSize,
+      cacheTTL: options.cacheTTL,
+      renderer: this.renderer, // Renderers differ in output, so each has its own cache entries
+      securityLevel: this.securityLevel,
+      metrics: this.metrics,
+      ...options.cache
     });
+    
+    this.browserPool = this.renderer === 'pool' ? new BrowserPool({
+      silent: this.silent,
+      logger: this.logger,
+      size: options.browserPoolSize,
+      maxRendersPerPage: options.maxRendersPerPage,
+      renderTimeout: this.renderTimeout,
+      securityLevel: this.securityLevel
+    }) : null;
+    
+    // Limit concurrent renders; cache hits never wait in the queue
+    this.renderQueue = options.renderQueue || new RenderQueue({
+      silent: this.silent,
+      logger: this.logger,
+      maxConcurrency: options.maxConcurrency,
+      maxQueueLength: options.maxQueueLength,
+      queueTimeout: options.queueTimeout
+    });
+    
+    // Renders in progress by cache key, so concurrent identical requests share one render
+    this.inFlightRenders = new Map();
   }
 
   async createTempMermaidFile(code, tempFilePath) {
@@ -166,6 +285,16 @@ class MermaidService {
     return configHeader + flowchartCode;
   }
   
+  // Number of configuration lines cleanMermaidSyntax puts in front of a diagram
+  getInjectedLineCount(code) {
+    if (!code || code.includes('%%{init:')) {
+      return 0;
+    }
+    
+    const header = this.cleanMermaidSyntax(code).match(/^%%\{init:[\s\S]*?\}\}%%\n/);
+    return header ? header[0].split('\n').length - 1 : 0;
+  }
+  
   // Special function to fix Gantt chart syntax
   fixGanttSyntax(ganttCode) {
     // Make sure gantt is indented correctly
@@ -361,6 +490,7 @@ class MermaidService {
     return maxNestingLevel;
   }
 
+  // The output format is chosen from the output file extension
   async convertToPng(inputFile, outputFile, options = {}) {
     try {
       // Read input file to determine diagram type and optimize dimensions
@@ -375,10 +505,7 @@ class MermaidService {
       
       // Use provided scale factor or the calculated one
       const scale = options.scaleFactor || scaleFactor;
-      
-      // Reference to config files
-      const puppeteerConfigPath = path.resolve(__dirname, '../config/puppeteer-config.json');
-      const mermaidConfigPath = path.resolve(__dirname, '../config/mermaid.config.json');
+      const backgroundColor = options.backgroundColor || DEFAULT_BACKGROUND_COLOR;
       
       // Check if it's a special diagram type that may need fallback rendering
       const isGanttChart = inputContent.trim().startsWith('gantt');
@@ -387,17 +514,51 @@ class MermaidService {
                        inputContent.trim().match(/^sequenceDiagram\s+participant/) ||
                        inputContent.trim().includes('ZenUML');
       
-      // Build command with optimal dimensions and quality settings
-      let command = `npx mmdc -i "${inputFile}" -o "${outputFile}" -w ${width} -H ${height} -p "${puppeteerConfigPath}" -c "${mermaidConfigPath}" --backgroundColor "#ffffff" --scale ${scale}`;
+      if (this.browserPool) {
+        return await this.convertWithBrowserPool(inputContent, outputFile, {
+          ...options,
+          width,
+          height,
+          scaleFactor: scale
+        }, { isGanttChart, isZenUML });
+      }
+      
+      // mermaid-cli only writes PNG, SVG and PDF, so JPEG and WebP are
+      // encoded with Puppeteer from an intermediate PNG
+      const outputExtension = path.extname(outputFile);
+      if (outputExtension === '.jpg' || outputExtension === '.webp') {
+        return await this.convertToEncodedRaster(inputFile, outputFile, options);
+      }
+      
+      // mermaid-cli can only size PDF pages to the chart, so fixed page sizes
+      // and margins are laid out with Puppeteer from an intermediate SVG
+      const pdfOptions = this.getPdfOptions(options);
+      if (outputExtension === '.pdf' && (pdfOptions.pageSize !== 'fit' || pdfOptions.margin > 0)) {
+        return await this.convertToLaidOutPdf(inputFile, outputFile, options, pdfOptions);
+      }
+      
+      const mermaidConfigPath = await this.getMermaidConfigFile(inputFile, options);
+      
+      const args = this.getMermaidCliArgs({
+        inputFile,
+        outputFile,
+        width,
+        height,
+        scale,
+        backgroundColor,
+        puppeteerConfigPath: PUPPETEER_CONFIG_PATH,
+        mermaidConfigPath,
+        pdfFit: outputExtension === '.pdf'
+      });
       
       if (!this.silent) {
         this.logger.log(`Converting ${inputFile} to ${outputFile}...`);
         this.logger.log(`Using dimensions: ${width}x${height} pixels with scale factor: ${scale}`);
-        this.logger.debug(`Running command: ${command}`);
+        this.logger.debug('Running mermaid-cli', { args });
       }
       
       try {
-        const { stdout, stderr } = await execPromise(command, { timeout: 120000 }); // Higher timeout for complex diagrams
+        const { stdout, stderr } = await this.runMermaidCli(args);
         
         if (stdout && !this.silent) this.logger.log(`Command output: ${stdout}`);
         if (stderr && !this.silent) {
@@ -405,7 +566,7 @@ class MermaidService {
           
           // If we get a ZenUML-specific error, try the fallback method
           if (stderr.includes('@zenuml') && isZenUML) {
-            return await this.renderZenUmlWithFallback(inputContent, outputFile, width, height, scale);
+            return await this.renderZenUmlWithFallback(inputContent, outputFile, width, height, scale, backgroundColor, options);
           }
         }
         
@@ -423,9 +584,9 @@ class MermaidService {
           
           // If output file not found, try the appropriate fallback method
           if (isGanttChart) {
-            return await this.renderGanttWithFallback(inputContent, outputFile, width, height, scale);
+            return await this.renderGanttWithFallback(inputContent, outputFile, width, height, scale, backgroundColor, options);
           } else if (isZenUML) {
-            return await this.renderZenUmlWithFallback(inputContent, outputFile, width, height, scale);
+            return await this.renderZenUmlWithFallback(inputContent, outputFile, width, height, scale, backgroundColor, options);
           }
           
           return false;
@@ -435,45 +596,397 @@ class MermaidService {
           this.logger.error(`Command execution error: ${error.message}`);
         }
         
+        // The process tree was killed by the render timeout
+        if (error.killed) {
+          throw new RenderTimeoutError(`Render timed out after ${this.renderTimeout}ms`);
+        }
+        
+        // The diagram itself is invalid, so no fallback can render it
+        if (isSyntaxErrorMessage(error.stderr)) {
+          throw createSyntaxError(error.stderr);
+        }
+        
         // If command fails, try the appropriate fallback method
         if (isGanttChart) {
-          return await this.renderGanttWithFallback(inputContent, outputFile, width, height, scale);
+          return await this.renderGanttWithFallback(inputContent, outputFile, width, height, scale, backgroundColor, options);
         } else if (isZenUML) {
-          return await this.renderZenUmlWithFallback(inputContent, outputFile, width, height, scale);
+          return await this.renderZenUmlWithFallback(inputContent, outputFile, width, height, scale, backgroundColor, options);
         }
         
         return false;
       }
     } catch (error) {
+      // Classified failures (invalid syntax, timeouts) are reported to the caller
+      if (error instanceof ServiceError) {
+        throw error;
+      }
+      
       if (!this.silent) {
         this.logger.error(`Error converting to PNG: ${error.message}`);
         
         // Enhanced error logging
         try {
           const inputContent = await fs.readFile(inputFile, 'utf-8');
-          this.logger.error(`Input file content that caused error: 
-          ------- START OF CONTENT -------
-          ${inputContent}
-          ------- END OF CONTENT -------`);
+          this.logger.error('Input file content that caused error', { diagram: inputContent });
         } catch (readError) {
           this.logger.error(`Could not read input file: ${readError.message}`);
         }
         
-        if (error.stdout) this.logger.log(`Command output: ${error.stdout}`);
-        if (error.stderr) this.logger.error(`Command error: ${error.stderr}`);
+        if (error.stdout) this.logger.log('Command output', { stdout: error.stdout });
+        if (error.stderr) this.logger.error('Command error', { stderr: error.stderr });
+      }
+      return false;
+    }
+  }
+  
+  // Render on a warm page from the browser pool and write the output file
+  async convertWithBrowserPool(inputContent, outputFile, renderOptions, { isGanttChart, isZenUML }) {
+    const outputFormat = getOutputFormatByExtension(path.extname(outputFile));
+    const { width, height, scaleFactor } = renderOptions;
+    
+    if (!this.silent) {
+      this.logger.log(`Rendering ${outputFile} on the browser pool...`);
+      this.logger.log(`Using dimensions: ${width}x${height} pixels with scale factor: ${scaleFactor}`);
+    }
+    
+    try {
+      const buffer = await this.browserPool.render(inputContent, {
+        width,
+        height,
+        scaleFactor,
+        format: outputFormat.name,
+        quality: outputFormat.lossy ? renderOptions.quality || DEFAULT_QUALITY : undefined,
+        pdf: outputFormat.name === 'pdf' ? this.getPdfOptions(renderOptions) : undefined,
+        theme: renderOptions.theme,
+        themeVariables: renderOptions.themeVariables,
+        css: renderOptions.css,
+        backgroundColor: renderOptions.backgroundColor
+      });
+      
+      await fs.writeFile(outputFile, buffer);
+      
+      if (!this.silent) {
+        this.logger.log(`Successfully converted to: ${outputFile}`);
+      }
+      return true;
+    } catch (error) {
+      if (!this.silent) {
+        this.logger.error(`Browser pool render error: ${error.message}`);
+      }
+      
+      // No fallback page can render an invalid diagram or beat the timeout
+      if (error instanceof MermaidSyntaxError || error instanceof RenderTimeoutError) {
+        throw error;
+      }
+      
+      // Fall back to the dedicated Gantt and ZenUML pages
+      if (isGanttChart) {
+        return await this.renderGanttWithFallback(inputContent, outputFile, width, height, scaleFactor, renderOptions.backgroundColor, renderOptions);
+      } else if (isZenUML) {
+        return await this.renderZenUmlWithFallback(inputContent, outputFile, width, height, scaleFactor, renderOptions.backgroundColor, renderOptions);
+      }
+      
+      return false;
+    }
+  }
+  
+  // Theme settings of a fallback page: the configured theme with the request's
+  // theme, theme variables and CSS applied, as the browser pool and mermaid-cli render it
+  getFallbackThemeConfig(options = {}) {
+    const { theme, themeVariables, themeCSS } = getRenderConfig(baseMermaidConfig, options);
+    return {
+      theme,
+      themeVariables: { ...FALLBACK_FONT_VARIABLES, ...themeVariables },
+      ...(themeCSS ? { themeCSS } : {})
+    };
+  }
+  
+  // Path of the per-render Mermaid config written next to a diagram's input file
+  getRenderConfigPath(inputFile) {
+    return inputFile.replace(/\.mmd$/, '') + '.config.json';
+  }
+  
+  // Whether a mermaid-cli render needs its own config file: the request overrides
+  // its theme, or the deployment renders at another security level than the base config
+  needsRenderConfig(options = {}) {
+    return hasConfigOverrides(options) || withSecurityLevel(baseMermaidConfig, this.securityLevel) !== baseMermaidConfig;
+  }
+  
+  // Mermaid config file for a mermaid-cli render: the base config, or a
+  // per-render copy when needsRenderConfig() says so
+  async getMermaidConfigFile(inputFile, options = {}) {
+    const baseConfigPath = path.resolve(__dirname, '../config/mermaid.config.json');
+    if (!this.needsRenderConfig(options)) {
+      return baseConfigPath;
+    }
+    
+    // mermaid-cli lets the config file win over --theme, so overrides go into the file
+    const baseConfig = withSecurityLevel(JSON.parse(await fs.readFile(baseConfigPath, 'utf8')), this.securityLevel);
+    const configPath = this.getRenderConfigPath(inputFile);
+    await fs.writeFile(configPath, JSON.stringify(getRenderConfig(baseConfig, options)), 'utf8');
+    return configPath;
+  }
+  
+  /**
+   * mermaid-cli arguments for a render. Each value is checked for its type,
+   * so only absolute paths, numbers in range and colors end up on the command line
+   * @param {Object} options
+   * @param {string} options.inputFile - Absolute path of the diagram
+   * @param {string} options.outputFile - Absolute path of the image to write
+   * @param {number} options.width - Page width in pixels
+   * @param {number} options.height - Page height in pixels
+   * @param {number} [options.scale] - Device scale factor
+   * @param {string} [options.backgroundColor] - CSS color
+   * @param {string} [options.puppeteerConfigPath] - Absolute path of the Puppeteer config
+   * @param {string} [options.mermaidConfigPath] - Absolute path of the Mermaid config
+   * @param {boolean} [options.pdfFit=false] - Size PDF pages to the chart
+   * @returns {string[]} - The arguments
+   * @throws {TypeError} - When a value has the wrong type or is out of range
+   */
+  getMermaidCliArgs(options) {
+    const { inputFile, outputFile, width, height, scale, backgroundColor, puppeteerConfigPath, mermaidConfigPath, pdfFit = false } = options;
+    
+    const args = [
+      '-i', cliPath('inputFile', inputFile),
+      '-o', cliPath('outputFile', outputFile),
+      '-w', cliNumber('width', width, this.minWidth, this.maxWidth, true),
+      '-H', cliNumber('height', height, this.minHeight, this.maxHeight, true)
+    ];
+    
+    if (puppeteerConfigPath !== undefined) {
+      args.push('-p', cliPath('puppeteerConfigPath', puppeteerConfigPath));
+    }
+    if (mermaidConfigPath !== undefined) {
+      args.push('-c', cliPath('mermaidConfigPath', mermaidConfigPath));
+    }
+    if (backgroundColor !== undefined) {
+      if (typeof backgroundColor !== 'string' || !BACKGROUND_COLOR_PATTERN.test(backgroundColor)) {
+        throw new TypeError(`mermaid-cli backgroundColor must be a CSS color, got ${JSON.stringify(backgroundColor)}`);
+      }
+      args.push('--backgroundColor', backgroundColor);
+    }
+    if (scale !== undefined) {
+      args.push('--scale', cliNumber('scale', scale, 0.1, 10, false));
+    }
+    if (typeof pdfFit !== 'boolean') {
+      throw new TypeError(`mermaid-cli pdfFit must be a boolean, got ${JSON.stringify(pdfFit)}`);
+    }
+    if (pdfFit) {
+      args.push('--pdfFit');
+    }
+    
+    return args;
+  }
+  
+  // Run mermaid-cli without a shell; a .js entry point runs on the service's own Node.js.
+  // On timeout the whole process tree, Chromium included, is killed
+  async runMermaidCli(args) {
+    const isScript = /\.[cm]?js$/.test(this.mermaidCliPath);
+    const command = isScript ? process.execPath : this.mermaidCliPath;
+    const commandArgs = isScript ? [this.mermaidCliPath, ...args] : args;
+    
+    return runProcess(command, commandArgs, { timeout: this.renderTimeout });
+  }
+  
+  // Last resort of the Puppeteer fallbacks: a plain mermaid-cli render with the
+  // same Mermaid and Puppeteer configs as convertToPng
+  async renderWithMermaidCli(inputFile, outputFile, width, height, backgroundColor, options = {}) {
+    const mermaidConfigPath = await this.getMermaidConfigFile(inputFile, options);
+    
+    try {
+      await this.runMermaidCli(this.getMermaidCliArgs({
+        inputFile,
+        outputFile,
+        width,
+        height,
+        backgroundColor,
+        puppeteerConfigPath: PUPPETEER_CONFIG_PATH,
+        mermaidConfigPath
+      }));
+    } finally {
+      if (this.needsRenderConfig(options)) {
+        await fs.unlink(this.getRenderConfigPath(inputFile)).catch(() => {});
+      }
+    }
+  }
+  
+  // Resolve PDF page layout options, falling back to the defaults
+  getPdfOptions(options = {}) {
+    return {
+      pageSize: options.pageSize || DEFAULT_PDF_OPTIONS.pageSize,
+      orientation: options.orientation || DEFAULT_PDF_OPTIONS.orientation,
+      margin: options.margin !== undefined ? options.margin : DEFAULT_PDF_OPTIONS.margin
+    };
+  }
+  
+  // Render a PDF with a fixed page size, orientation and margins from an intermediate SVG
+  async convertToLaidOutPdf(inputFile, outputFile, options, pdfOptions) {
+    const svgFile = outputFile.replace(/\.pdf$/, '.svg');
+    
+    const svgCreated = await this.convertToPng(inputFile, svgFile, { ...options, format: 'svg' });
+    if (!svgCreated) {
+      return false;
+    }
+    
+    try {
+      const svgMarkup = await fs.readFile(svgFile, 'utf8');
+      const margin = `${pdfOptions.margin}mm`;
+      
+      const puppeteer = require('puppeteer');
+      const browser = await puppeteer.launch({
+        headless: 'new',
+        args: ['--no-sandbox', '--disable-setuid-sandbox'],
+        timeout: 60000
+      });
+      
+      try {
+        const page = await browser.newPage();
+        // The SVG may reference images or other resources; none of them load
+        await sandboxPage(page, {
+          onBlocked: url => this.logger.warn('Blocked a request made by a diagram', { url })
+        });
+        await page.setContent(`<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <style>
+    html, body {
+      margin: 0;
+      padding: 0;
+      width: 100%;
+      height: 100%;
+    }
+    body {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: ${options.backgroundColor || DEFAULT_BACKGROUND_COLOR};
+    }
+    svg {
+      max-width: 100%;
+      max-height: 100%;
+    }
+  </style>
+</head>
+<body>
+${svgMarkup}
+</body>
+</html>`, { waitUntil: 'load' });
+        
+        const pdfSettings = {
+          path: outputFile,
+          printBackground: true,
+          margin: { top: margin, right: margin, bottom: margin, left: margin }
+        };
+        
+        if (pdfOptions.pageSize === 'fit') {
+          // Size the page to the diagram plus its margins (96 CSS pixels per inch)
+          const box = await page.$eval('svg', measureSvg);
+          const marginPx = (pdfOptions.margin / 25.4) * 96;
+          pdfSettings.width = `${Math.ceil(box.width + marginPx * 2)}px`;
+          pdfSettings.height = `${Math.ceil(box.height + marginPx * 2)}px`;
+          pdfSettings.pageRanges = '1';
+        } else {
+          pdfSettings.format = pdfOptions.pageSize;
+          pdfSettings.landscape = pdfOptions.orientation === 'landscape';
+        }
+        
+        await page.pdf(pdfSettings);
+      } finally {
+        await browser.close();
+      }
+      
+      if (!this.silent) {
+        this.logger.log(`Laid out PDF (${pdfOptions.pageSize}, ${pdfOptions.orientation}, margin ${margin}): ${outputFile}`);
+      }
+      return true;
+    } catch (error) {
+      if (!this.silent) {
+        this.logger.error(`Error laying out PDF: ${error.message}`);
+      }
+      return false;
+    } finally {
+      await fs.unlink(svgFile).catch(() => {});
+    }
+  }
+  
+  // Encode JPEG or WebP output with the requested quality from an intermediate PNG
+  async convertToEncodedRaster(inputFile, outputFile, options) {
+    const pngFile = outputFile.replace(/\.(jpg|webp)$/, '.png');
+    const type = path.extname(outputFile) === '.webp' ? 'webp' : 'jpeg';
+    const quality = options.quality || DEFAULT_QUALITY;
+    const backgroundColor = options.backgroundColor || DEFAULT_BACKGROUND_COLOR;
+    
+    const pngCreated = await this.convertToPng(inputFile, pngFile, { ...options, format: 'png' });
+    if (!pngCreated) {
+      return false;
+    }
+    
+    try {
+      const pngBuffer = await fs.readFile(pngFile);
+      
+      const puppeteer = require('puppeteer');
+      const browser = await puppeteer.launch({
+        headless: 'new',
+        args: ['--no-sandbox', '--disable-setuid-sandbox'],
+        timeout: 60000
+      });
+      
+      try {
+        const page = await browser.newPage();
+        await sandboxPage(page);
+        await page.setContent(`<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    html, body { margin: 0; padding: 0; background: ${backgroundColor}; }
+    img { display: block; }
+  </style>
+</head>
+<body>
+  <img src="data:image/png;base64,${pngBuffer.toString('base64')}">
+</body>
+</html>`, { waitUntil: 'load' });
+        
+        // The PNG is already rendered at the requested scale, so encode it pixel for pixel
+        const size = await page.$eval('img', img => ({ width: img.naturalWidth, height: img.naturalHeight }));
+        await page.setViewport({ width: size.width, height: size.height, deviceScaleFactor: 1 });
+        
+        await page.screenshot({
+          path: outputFile,
+          type,
+          quality,
+          // WebP keeps transparent backgrounds transparent
+          omitBackground: type === 'webp',
+          clip: { x: 0, y: 0, width: size.width, height: size.height }
+        });
+      } finally {
+        await browser.close();
+      }
+      
+      if (!this.silent) {
+        this.logger.log(`Encoded ${type.toUpperCase()} at quality ${quality}: ${outputFile}`);
+      }
+      return true;
+    } catch (error) {
+      if (!this.silent) {
+        this.logger.error(`Error encoding ${type.toUpperCase()}: ${error.message}`);
       }
       return false;
+    } finally {
+      await fs.unlink(pngFile).catch(() => {});
     }
   }
   
   // Specialized fallback method for rendering ZenUML diagrams
-  async renderZenUmlWithFallback(zenumlCode, outputFile, width, height, scale = 2) {
+  async renderZenUmlWithFallback(zenumlCode, outputFile, width, height, scale = 2, backgroundColor = DEFAULT_BACKGROUND_COLOR, options = {}) {
     this.logger.log("Using fallback method for ZenUML diagram rendering");
+    this.metrics.fallbackRenders.inc({ diagram_type: 'zenuml' });
     
     try {
       // Create a simple HTML file with embedded ZenUML
       const tempDir = path.dirname(outputFile);
-      const htmlFileName = `${path.basename(outputFile, '.png')}.html`;
+      const htmlFileName = `${path.basename(outputFile, path.extname(outputFile))}.html`;
       const htmlFilePath = path.join(tempDir, htmlFileName);
       
       // Use a more robust HTML template for ZenUML with longer timeout
@@ -482,13 +995,13 @@ class MermaidService {
 <head>
   <meta charset="UTF-8">
   <title>ZenUML Diagram</title>
-  <!-- Load mermaid with ZenUML plugin from CDN -->
-  <script src="https://cdn.jsdelivr.net/npm/mermaid@10/dist/mermaid.min.js"></script>
+  <!-- Load mermaid and the ZenUML plugin from node_modules -->
+  ${scriptTags(ZENUML_FALLBACK_SCRIPTS)}
   <style>
     body {
       margin: 0;
       padding: 0;
-      background: white;
+      background: ${backgroundColor};
       width: ${width}px;
       height: ${height}px;
       overflow: hidden;
@@ -508,26 +1021,16 @@ class MermaidService {
 <body>
   <div id="diagram">
     <div class="mermaid">
-${zenumlCode}
+${escapeHtml(zenumlCode)}
     </div>
   </div>
   <script>
     // Configure mermaid with longer timeout for ZenUML
     mermaid.initialize({
       startOnLoad: false,
-      securityLevel: 'loose',
-      theme: 'default',
-      plugin: {
-        loadZenuml: true,
-        zenuml: {
-          timeout: 10000, // Increased timeout from 7000 to 10000
-          preInit: true
-        }
-      },
-      themeVariables: {
-        fontSize: 14,
-        fontFamily: 'Arial, sans-serif'
-      },
+      securityLevel: ${JSON.stringify(this.securityLevel)},
+      // Theme, theme variables and CSS
+      ...${scriptLiteral(this.getFallbackThemeConfig(options))},
       useMaxWidth: false,
       highResolution: true
     });
@@ -548,8 +1051,10 @@ ${zenumlCode}
       }
     }
     
-    // Start rendering after giving the store time to initialize
-    setTimeout(() => renderWithRetry(), 3000); // Increased from 2000 to 3000
+    // Start rendering once the plugin is registered and its store had time to initialize
+    mermaid.registerExternalDiagrams([window['mermaid-zenuml']])
+      .then(() => setTimeout(() => renderWithRetry(), 3000)) // Increased from 2000 to 3000
+      .catch(error => console.error("Failed to register the ZenUML plugin:", error));
   </script>
 </body>
 </html>`;
@@ -557,11 +1062,12 @@ ${zenumlCode}
       await fs.writeFile(htmlFilePath, htmlContent, 'utf8');
       
       // Use puppeteer with extended timeout for ZenUML rendering
+      let browser;
       try {
         const puppeteer = require('puppeteer');
-        const browser = await puppeteer.launch({
+        browser = await puppeteer.launch({
           headless: 'new',
-          args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-web-security'],
+          args: ['--no-sandbox', '--disable-setuid-sandbox'],
           timeout: 90000 // Extended from 60000 to 90000
         });
         
@@ -583,26 +1089,28 @@ ${zenumlCode}
           this.logger.debug(`Browser page error: ${err.message}`);
         });
         
+        // Only the page and its local scripts may load
+        await blockNetworkRequests(page, htmlFilePath, ZENUML_FALLBACK_SCRIPTS, url => {
+          this.logger.warn('Blocked a network request of the ZenUML fallback page', { url });
+        });
+        
         // Load the HTML file with extended timeout
         await page.goto(`file://${htmlFilePath}`, { 
           waitUntil: 'networkidle2',
           timeout: 45000 // Increased from 30000 to 45000
         });
+        await assertScriptsLoaded(page, ZENUML_FALLBACK_SCRIPTS);
         
         // Wait longer for ZenUML to render
         await page.waitForFunction(() => {
           return document.querySelector('.mermaid svg') !== null;
         }, { timeout: 20000 }); // Increased from 15000 to 20000
         
-        // Wait extra time to ensure complete rendering
-        await page.waitForTimeout(5000); // Increased from 3000 to 5000
+        // Wait for the diagram to be laid out, so the screenshot is complete
+        await page.waitForFunction(isDiagramLaidOut, { timeout: 5000 });
         
-        // Take screenshot with high quality settings
-        await page.screenshot({ 
-          path: outputFile, 
-          omitBackground: true,
-          quality: 100 // Maximum quality for PNG
-        });
+        // Take screenshot with high quality settings, or keep the vector markup for SVG output
+        await this.saveRenderedDiagram(page, outputFile, backgroundColor, options);
         
         await browser.close();
         
@@ -612,12 +1120,20 @@ ${zenumlCode}
         this.logger.log(`Successfully generated ZenUML diagram using fallback method`);
         return true;
       } catch (puppeteerError) {
+        if (browser) {
+          await browser.close().catch(() => {});
+        }
+        
+        // A broken installation is reported, not papered over by the last resort
+        if (puppeteerError instanceof ServiceError) {
+          throw puppeteerError;
+        }
         this.logger.error(`Puppeteer error with ZenUML: ${puppeteerError.message}`);
         
         // Try with standard mermaid as a last resort
         try {
-          // Modify the HTML to use standard sequence diagram syntax if possible
-          const fallbackHtml = htmlFilePath.replace('.html', '-fallback.html');
+          // mermaid-cli renders with its own bundled mermaid, so it needs no network either
+          const fallbackInput = htmlFilePath.replace('.html', '-fallback.mmd');
           
           // Try to convert to standard mermaid syntax if possible
           let standardMermaid = zenumlCode;
@@ -626,40 +1142,12 @@ ${zenumlCode}
             standardMermaid = standardMermaid.replace('@enduml', '');
           }
           
-          const fallbackContent = `<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8">
-  <title>Fallback Diagram</title>
-  <script src="https://cdn.jsdelivr.net/npm/mermaid@10/dist/mermaid.min.js"></script>
-  <style>
-    body { margin: 0; padding: 0; background: white; }
-    .mermaid { max-width: 100%; }
-  </style>
-</head>
-<body>
-  <div class="mermaid">
-${standardMermaid}
-  </div>
-  <script>
-    mermaid.initialize({
-      startOnLoad: true,
-      theme: 'default',
-      logLevel: 'fatal',
-      securityLevel: 'loose'
-    });
-  </script>
-</body>
-</html>`;
-          
-          await fs.writeFile(fallbackHtml, fallbackContent);
+          await fs.writeFile(fallbackInput, standardMermaid, 'utf8');
           
-          const simpleCommand = `npx mmdc -i "${fallbackHtml}" -o "${outputFile}" -w ${width} -H ${height} --backgroundColor "#ffffff"`;
-          
-          await execPromise(simpleCommand, { timeout: 60000 });
+          await this.renderWithMermaidCli(fallbackInput, outputFile, width, height, backgroundColor, options);
           
           // Clean up
-          await fs.unlink(fallbackHtml).catch(() => {});
+          await fs.unlink(fallbackInput).catch(() => {});
           await fs.unlink(htmlFilePath).catch(() => {});
           
           this.logger.log(`Generated diagram using standard mermaid fallback`);
@@ -671,18 +1159,22 @@ ${standardMermaid}
       }
     } catch (error) {
       this.logger.error(`ZenUML fallback method failed: ${error.message}`);
+      if (error instanceof ServiceError) {
+        throw error;
+      }
       return false;
     }
   }
   
   // Specialized fallback method for rendering Gantt diagrams
-  async renderGanttWithFallback(ganttCode, outputFile, width, height, scale = 2) {
+  async renderGanttWithFallback(ganttCode, outputFile, width, height, scale = 2, backgroundColor = DEFAULT_BACKGROUND_COLOR, options = {}) {
     this.logger.log("Using fallback method for Gantt chart rendering");
+    this.metrics.fallbackRenders.inc({ diagram_type: 'gantt' });
     
     try {
       // Create a simple HTML file with embedded Gantt
       const tempDir = path.dirname(outputFile);
-      const htmlFileName = `${path.basename(outputFile, '.png')}.html`;
+      const htmlFileName = `${path.basename(outputFile, path.extname(outputFile))}.html`;
       const htmlFilePath = path.join(tempDir, htmlFileName);
       
       // Use a more robust HTML template for Gantt with proper configuration
@@ -691,13 +1183,13 @@ ${standardMermaid}
 <head>
   <meta charset="UTF-8">
   <title>Gantt Chart</title>
-  <!-- Load mermaid from CDN -->
-  <script src="https://cdn.jsdelivr.net/npm/mermaid@10/dist/mermaid.min.js"></script>
+  <!-- Load mermaid from node_modules -->
+  ${scriptTags(GANTT_FALLBACK_SCRIPTS)}
   <style>
     body {
       margin: 0;
       padding: 0;
-      background: white;
+      background: ${backgroundColor};
       width: ${width}px;
       height: ${height}px;
       overflow: hidden;
@@ -718,15 +1210,16 @@ ${standardMermaid}
 <body>
   <div id="diagram">
     <div class="mermaid">
-${ganttCode}
+${escapeHtml(ganttCode)}
     </div>
   </div>
   <script>
     // Configure mermaid with optimal settings for Gantt charts
     mermaid.initialize({
       startOnLoad: true,
-      securityLevel: 'loose',
-      theme: 'default',
+      securityLevel: ${JSON.stringify(this.securityLevel)},
+      // Theme, theme variables and CSS
+      ...${scriptLiteral(this.getFallbackThemeConfig(options))},
       gantt: {
         titleTopMargin: 25,
         barHeight: 20,
@@ -736,10 +1229,6 @@ ${ganttCode}
         gridLineStartPadding: 35,
         fontSize: 12
       },
-      themeVariables: {
-        fontSize: 14,
-        fontFamily: 'Arial, sans-serif'
-      },
       useMaxWidth: false,
       highResolution: true,
       logLevel: 'error'
@@ -751,9 +1240,10 @@ ${ganttCode}
       await fs.writeFile(htmlFilePath, htmlContent, 'utf8');
       
       // Use puppeteer for rendering
+      let browser;
       try {
         const puppeteer = require('puppeteer');
-        const browser = await puppeteer.launch({
+        browser = await puppeteer.launch({
           headless: 'new',
           args: ['--no-sandbox', '--disable-setuid-sandbox'],
           timeout: 60000
@@ -773,26 +1263,28 @@ ${ganttCode}
           }
         });
         
+        // Only the page and its local scripts may load
+        await blockNetworkRequests(page, htmlFilePath, GANTT_FALLBACK_SCRIPTS, url => {
+          this.logger.warn('Blocked a network request of the Gantt fallback page', { url });
+        });
+        
         // Load the HTML file
         await page.goto(`file://${htmlFilePath}`, { 
           waitUntil: 'networkidle2',
           timeout: 30000
         });
+        await assertScriptsLoaded(page, GANTT_FALLBACK_SCRIPTS);
         
         // Wait for Gantt chart to render
         await page.waitForFunction(() => {
           return document.querySelector('.mermaid svg') !== null;
         }, { timeout: 15000 });
         
-        // Wait extra time to ensure complete rendering
-        await page.waitForTimeout(2000);
+        // Wait for the chart to be laid out, so the screenshot is complete
+        await page.waitForFunction(isDiagramLaidOut, { timeout: 2000 });
         
-        // Take screenshot
-        await page.screenshot({ 
-          path: outputFile, 
-          omitBackground: true,
-          quality: 100
-        });
+        // Take screenshot, or keep the vector markup for SVG output
+        await this.saveRenderedDiagram(page, outputFile, backgroundColor, options);
         
         await browser.close();
         
@@ -802,52 +1294,26 @@ ${ganttCode}
         this.logger.log(`Successfully generated Gantt chart using fallback method`);
         return true;
       } catch (puppeteerError) {
+        if (browser) {
+          await browser.close().catch(() => {});
+        }
+        
+        // A broken installation is reported, not papered over by the last resort
+        if (puppeteerError instanceof ServiceError) {
+          throw puppeteerError;
+        }
         this.logger.error(`Puppeteer error with Gantt chart: ${puppeteerError.message}`);
         
         // Try with CLI as a last resort
         try {
-          // Generate a simpler HTML file
-          const fallbackHtml = htmlFilePath.replace('.html', '-fallback.html');
-          const fallbackContent = `<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8">
-  <title>Fallback Gantt Chart</title>
-  <script src="https://cdn.jsdelivr.net/npm/mermaid@10/dist/mermaid.min.js"></script>
-  <style>
-    body { margin: 0; padding: 0; background: white; }
-    .mermaid { max-width: 100%; }
-  </style>
-</head>
-<body>
-  <div class="mermaid">
-${ganttCode}
-  </div>
-  <script>
-    mermaid.initialize({
-      startOnLoad: true,
-      theme: 'default',
-      logLevel: 'fatal',
-      securityLevel: 'loose',
-      gantt: {
-        barHeight: 20,
-        barGap: 4,
-        topPadding: 50,
-        sidePadding: 75
-      }
-    });
-  </script>
-</body>
-</html>`;
-          
-          await fs.writeFile(fallbackHtml, fallbackContent);
-          
-          const simpleCommand = `npx mmdc -i "${fallbackHtml}" -o "${outputFile}" -w ${width} -H ${height} --backgroundColor "#ffffff"`;
+          // mermaid-cli renders with its own bundled mermaid, so it needs no network either
+          const fallbackInput = htmlFilePath.replace('.html', '-fallback.mmd');
+          await fs.writeFile(fallbackInput, ganttCode, 'utf8');
           
-          await execPromise(simpleCommand, { timeout: 60000 });
+          await this.renderWithMermaidCli(fallbackInput, outputFile, width, height, backgroundColor, options);
           
           // Clean up
-          await fs.unlink(fallbackHtml).catch(() => {});
+          await fs.unlink(fallbackInput).catch(() => {});
           await fs.unlink(htmlFilePath).catch(() => {});
           
           this.logger.log(`Generated Gantt chart using CLI fallback`);
@@ -859,74 +1325,317 @@ ${ganttCode}
       }
     } catch (error) {
       this.logger.error(`Gantt chart fallback method failed: ${error.message}`);
+      if (error instanceof ServiceError) {
+        throw error;
+      }
       return false;
     }
   }
 
+  // Write the diagram rendered in a fallback page to the output file
+  async saveRenderedDiagram(page, outputFile, backgroundColor = DEFAULT_BACKGROUND_COLOR, options = {}) {
+    const extension = path.extname(outputFile);
+    
+    if (extension === '.svg') {
+      // Carry the page background into the markup, as mermaid-cli does
+      const svgMarkup = await page.$eval('.mermaid svg', (el, color) => {
+        el.style.backgroundColor = color;
+        return el.outerHTML;
+      }, backgroundColor);
+      await fs.writeFile(outputFile, svgMarkup, 'utf8');
+      return;
+    }
+    
+    if (extension === '.pdf') {
+      // Fit the PDF page to the rendered diagram, like mermaid-cli's --pdfFit
+      const box = await page.$eval('.mermaid svg', measureSvg);
+      await page.pdf({
+        path: outputFile,
+        width: `${Math.ceil(box.width)}px`,
+        height: `${Math.ceil(box.height)}px`,
+        printBackground: true,
+        pageRanges: '1'
+      });
+      return;
+    }
+    
+    // Encode like the browser pool: lossy formats at the requested quality,
+    // and transparent backgrounds kept in formats with an alpha channel
+    const outputFormat = getOutputFormatByExtension(extension);
+    const screenshotOptions = {
+      path: outputFile,
+      type: outputFormat.name,
+      omitBackground: outputFormat.name !== 'jpeg'
+    };
+    if (outputFormat.lossy) {
+      screenshotOptions.quality = options.quality || DEFAULT_QUALITY;
+    }
+    
+    await page.screenshot(screenshotOptions);
+  }
+
+  // Shut down the browser pools
+  async close() {
+    await this.cacheHelper.close();
+    if (this.browserPool) {
+      await this.browserPool.close();
+    }
+    if (this.validationPool) {
+      await this.validationPool.close();
+    }
+  }
+
+  /**
+   * Check that Chromium can still render: a tiny canary render on the browser
+   * pool, or for the CLI renderer a parse on its validation page. Bypasses the
+   * cache and the render queue
+   */
+  async checkRenderer() {
+    const canary = 'graph TD; A-->B;';
+    
+    if (this.browserPool) {
+      await this.browserPool.render(canary, { format: 'svg' });
+      return;
+    }
+    
+    const result = await this.getValidationPool().parse(canary);
+    if (!result.valid) {
+      throw new RenderError(`Canary diagram failed to parse: ${result.error}`);
+    }
+  }
+  
+  // Pool used to parse diagrams; the CLI renderer gets a single page of its own
+  getValidationPool() {
+    if (this.browserPool) {
+      return this.browserPool;
+    }
+    
+    if (!this.validationPool) {
+      this.validationPool = new BrowserPool({
+        silent: this.silent,
+        logger: this.logger,
+        size: 1,
+        securityLevel: this.securityLevel
+      });
+    }
+    return this.validationPool;
+  }
+
+  // Parse a diagram without rendering it or touching the cache
+  async validateMermaidSyntax(mermaidCode, options = {}) {
+    const clean = options.clean !== false;
+    const code = clean ? this.cleanMermaidSyntax(mermaidCode) : mermaidCode;
+    
+    const result = await this.getValidationPool().parse(code);
+    
+    if (result.valid) {
+      return { valid: true, diagramType: result.diagramType, errors: [] };
+    }
+    
+    const location = result.line !== undefined
+      ? { line: result.line, column: result.column }
+      : parseSyntaxErrorLocation(result.error);
+    
+    // Report the line in the submitted diagram, not in the optimized one
+    const line = location.line !== undefined && clean
+      ? Math.max(1, location.line - this.getInjectedLineCount(mermaidCode))
+      : location.line;
+    
+    return {
+      valid: false,
+      diagramType: result.diagramType,
+      errors: [{
+        line: line !== undefined ? line : null,
+        column: location.column !== undefined ? location.column : null,
+        message: result.error
+      }]
+    };
+  }
+
+  /**
+   * Cache key of the image a render would produce; equal keys mean equal images
+   * @param {string} mermaidCode - The diagram
+   * @param {Object} [options] - Render options, as for convertMermaidToImage
+   * @returns {string} - The cache key
+   */
+  getCacheKey(mermaidCode, options = {}) {
+    return this.cacheHelper.generateCacheKey(mermaidCode, options);
+  }
+  
   async convertMermaidToImage(mermaidCode, options = {}) {
     try {
       // Generate a cache key based on mermaid syntax and options
-      const cacheKey = this.cacheHelper.generateCacheKey(mermaidCode, options);
+      const cacheKey = this.getCacheKey(mermaidCode, options);
       
       // Check if we have a cached version
       const cachedImage = await this.cacheHelper.getCachedItem(cacheKey);
       if (cachedImage) {
         if (!this.silent) {
-          this.logger.log(`Cache hit: Using cached diagram image for ${cacheKey}`);
+          this.logger.log('Cache hit: Using cached diagram image', { cacheKey });
         }
         return cachedImage;
       }
       
       if (!this.silent) {
-        this.logger.log(`Cache miss: Converting diagram ${cacheKey}`);
+        this.logger.log('Cache miss: Converting diagram', { cacheKey });
       }
       
-      // Create unique filenames based on content hash
-      const tempDir = path.resolve(__dirname, '../../temp');
-      // Use .mmd extension which is what mermaid-cli expects for raw mermaid syntax files
-      const inputFile = path.join(tempDir, `${cacheKey}.mmd`);
-      const outputFile = path.join(tempDir, `${cacheKey}.png`);
+      // Join a render of the same diagram that is already in flight
+      const inFlightRender = this.inFlightRenders.get(cacheKey);
+      if (inFlightRender) {
+        if (!this.silent) {
+          this.logger.debug('Joining in-flight render', { cacheKey });
+        }
+        try {
+          return await inFlightRender;
+        } catch (error) {
+          // A render that may wait in line does not fail because the one it
+          // joined was turned away by the queue; it queues its own instead
+          const turnedAway = error instanceof QueueFullError || error instanceof QueueTimeoutError;
+          if (!options.waitForSlot || !turnedAway) {
+            throw error;
+          }
+        }
+      }
       
-      // Create directory using the synchronous method for reliability
-      ensureDirExistsSync(tempDir);
+      // Wait for a free render slot so bursts cannot start unbounded renders;
+      // waitForSlot renders (accepted jobs) wait without a timeout or limit
+      const render = this.renderQueue
+        .run(() => this.renderDiagram(mermaidCode, cacheKey, options), { wait: options.waitForSlot })
+        .finally(() => this.inFlightRenders.delete(cacheKey));
+      this.inFlightRenders.set(cacheKey, render);
+      
+      return await render;
+    } catch (error) {
+      if (!this.silent) {
+        this.logger.error(`Error in convertMermaidToImage: ${error.message}`);
+        
+        // Additional error logging for specific types of errors
+        if (error.message.includes('type')) {
+          this.logger.error(`This may be a syntax issue with your Mermaid diagram or a plugin compatibility problem.`);
+          this.logger.error(`For Gantt charts, try to validate your syntax at https://mermaid.live`);
+        }
+        if (error.message.includes('Puppeteer')) {
+          this.logger.error(`Puppeteer execution error. Check if the diagram syntax is valid.`);
+        }
+      }
+      throw error;
+    }
+  }
+  
+  // Convert many diagrams, feeding the shared render queue a few at a time so a
+  // large batch cannot overflow it; each item settles on its own, so one
+  // failing diagram does not fail the others
+  async convertMermaidBatch(items, options = {}) {
+    const concurrency = options.concurrency || this.renderQueue.maxConcurrency;
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    
+    const worker = async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        const item = items[index];
+        
+        try {
+          const buffer = await this.convertMermaidToImage(item.mermaidCode, item.options);
+          results[index] = { success: true, buffer };
+        } catch (error) {
+          results[index] = { success: false, error };
+        }
+      }
+    };
+    
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+    return results;
+  }
+  
+  /**
+   * Render diagrams into the cache ahead of requests for them; diagrams
+   * already cached are not rendered again
+   * @param {Array<{mermaidCode: string, options: Object}>} items - Diagrams and their render options
+   * @param {Object} [options] - concurrency, as for convertMermaidBatch
+   * @returns {Promise<Array<{key: string, status: string, error: (Error|undefined)}>>} - Per item: 'cached', 'rendered' or 'failed'
+   */
+  async warmCache(items, options = {}) {
+    const keys = items.map(item => this.cacheHelper.generateCacheKey(item.mermaidCode, item.options));
+    const cached = await Promise.all(keys.map(key => this.cacheHelper.isCached(key)));
+    
+    const pending = items.filter((item, index) => !cached[index]);
+    const rendered = await this.convertMermaidBatch(pending, options);
+    
+    return keys.map((key, index) => {
+      if (cached[index]) {
+        return { key, status: 'cached' };
+      }
       
+      const result = rendered.shift();
+      return result.success ? { key, status: 'rendered' } : { key, status: 'failed', error: result.error };
+    });
+  }
+  
+  // Render a diagram through temporary files and add the result to the cache
+  async renderDiagram(mermaidCode, cacheKey, options = {}) {
+    // Create unique filenames based on content hash, with a per-render suffix
+    // so no two renders ever share (or delete) each other's temporary files
+    const tempDir = this.tempDir;
+    const outputFormat = getOutputFormat(options.format);
+    const tempName = `${cacheKey}-${crypto.randomBytes(4).toString('hex')}`;
+    // Use .mmd extension which is what mermaid-cli expects for raw mermaid syntax files
+    const inputFile = path.join(tempDir, `${tempName}.mmd`);
+    const outputFile = path.join(tempDir, `${tempName}.${outputFormat.extension}`);
+    
+    // Create directory using the synchronous method for reliability
+    ensureDirExistsSync(tempDir);
+    
+    const diagramType = options.diagramType || getDiagramType(mermaidCode);
+    const labels = { diagram_type: diagramType, format: outputFormat.extension };
+    const endTimer = this.metrics.renderDuration.startTimer(labels);
+    
+    try {
       // Create temporary mermaid file with proper encoding
       await this.createTempMermaidFile(mermaidCode, inputFile);
       
-      // Convert to PNG with options
+      // Convert to the requested format with options
       const success = await this.convertToPng(inputFile, outputFile, options);
       
       if (!success) {
-        throw new Error('Failed to convert Mermaid diagram to PNG');
+        throw new RenderError(`Failed to convert Mermaid diagram to ${outputFormat.name.toUpperCase()}`);
       }
       
       // Read the generated image
       const imageBuffer = await fs.readFile(outputFile);
       
-      // Add to cache
-      await this.cacheHelper.cacheItem(cacheKey, imageBuffer);
+      // Add to cache, with what was rendered for cache administration
+      await this.cacheHelper.cacheItem(cacheKey, imageBuffer, outputFormat.extension, {
+        diagram: mermaidCode,
+        diagramType,
+        options: this.cacheHelper.getCacheKeyOptions(options)
+      });
       
-      // Clean up temporary files
-      await Promise.all([
-        fs.unlink(inputFile).catch(() => {}),
-        fs.unlink(outputFile).catch(() => {})
-      ]);
+      endTimer({ result: 'success' });
+      this.metrics.renders.inc({ ...labels, result: 'success' });
+      this.metrics.renderOutputBytes.observe(labels, imageBuffer.length);
       
       return imageBuffer;
     } catch (error) {
-      if (!this.silent) {
-        this.logger.error(`Error in convertMermaidToImage: ${error.message}`);
-        
-        // Additional error logging for specific types of errors
-        if (error.message.includes('type')) {
-          this.logger.error(`This may be a syntax issue with your Mermaid diagram or a plugin compatibility problem.`);
-          this.logger.error(`For Gantt charts, try to validate your syntax at https://mermaid.live`);
-        }
-        if (error.message.includes('Puppeteer')) {
-          this.logger.error(`Puppeteer execution error. Check if the diagram syntax is valid.`);
-        }
+      // Error codes name the failure (SYNTAX_ERROR, RENDER_TIMEOUT, ...) without unbounded label values
+      const result = error instanceof ServiceError ? error.code : 'INTERNAL_ERROR';
+      endTimer({ result });
+      this.metrics.renders.inc({ ...labels, result });
+      
+      if (error instanceof MermaidSyntaxError && error.line !== undefined) {
+        // Report the line in the submitted diagram, not in the optimized one
+        error.line = Math.max(1, error.line - this.getInjectedLineCount(mermaidCode));
       }
       throw error;
+    } finally {
+      // Clean up temporary files
+      await Promise.all([
+        fs.unlink(inputFile).catch(() => {}),
+        fs.unlink(outputFile).catch(() => {}),
+        // Themed mermaid-cli renders, and all of them at a non-default security level, write their own config file
+        this.needsRenderConfig(options) ? fs.unlink(this.getRenderConfigPath(inputFile)).catch(() => {}) : null
+      ]);
     }
   }
 }
@@ -0,0 +1,104 @@
+const { AsyncResource } = require('async_hooks');
+const config = require('../config');
+const logger = require('../config/logger');
+const { QueueFullError, QueueTimeoutError } = require('../utils/errors');
+
+/**
+ * Bounded queue that limits how many renders run at once.
+ * Work beyond the concurrency limit waits in line; when the line is full,
+ * or a task waits longer than the queue timeout, it is rejected with a
+ * 503-style error carrying a Retry-After hint.
+ */
+class RenderQueue {
+  constructor(options = {}) {
+    this.logger = options.logger || logger;
+    this.silent = options.silent || false;
+    this.maxConcurrency = options.maxConcurrency || config.render.maxConcurrency; // Renders running at once
+    this.maxQueueLength = options.maxQueueLength !== undefined ? options.maxQueueLength : config.render.maxQueueLength; // Renders waiting in line
+    this.queueTimeout = options.queueTimeout || config.render.queueTimeout; // Max wait in line in ms
+    this.retryAfter = options.retryAfter || 5; // Retry-After hint in seconds
+
+    this.active = 0;
+    this.pending = []; // { task, resolve, reject, timer } entries; tasks that wait have no timer
+  }
+
+  /**
+   * Current queue state
+   * @returns {{active: number, queued: number}} - Running and waiting renders
+   */
+  getStats() {
+    return { active: this.active, queued: this.pending.length };
+  }
+
+  /**
+   * Run a task once a render slot is free
+   * @param {Function} task - Async function performing the render
+   * @param {Object} [options] - wait: wait for a slot however long it takes and
+   *   however full the line is, for work that was already accepted
+   * @returns {Promise<*>} - The task result
+   */
+  run(task, options = {}) {
+    if (this.active < this.maxConcurrency) {
+      return this.start(task);
+    }
+
+    // Only tasks that may be turned away count towards the line's length, so
+    // waiting background work does not lock out interactive requests
+    const limited = this.pending.filter(entry => entry.timer).length;
+    if (!options.wait && limited >= this.maxQueueLength) {
+      if (!this.silent) {
+        this.logger.warn(`Render queue full (${this.active} running, ${this.pending.length} waiting)`);
+      }
+      return Promise.reject(new QueueFullError('Render queue is full, try again later', this.retryAfter));
+    }
+
+    return new Promise((resolve, reject) => {
+      // Queued tasks start when another task settles; bound, they still run in
+      // their caller's async context, so their log lines carry its request ID
+      const entry = { task: AsyncResource.bind(task), resolve, reject };
+
+      if (!options.wait) {
+        entry.timer = setTimeout(() => {
+          this.pending = this.pending.filter(e => e !== entry);
+          reject(new QueueTimeoutError(`Render waited more than ${this.queueTimeout}ms in the queue`, this.retryAfter));
+        }, this.queueTimeout);
+      }
+
+      this.pending.push(entry);
+    });
+  }
+
+  /**
+   * Start a task in a free slot and start the next one when it settles
+   * @param {Function} task - Async function performing the render
+   * @returns {Promise<*>} - The task result
+   */
+  start(task) {
+    this.active++;
+
+    let result;
+    try {
+      result = Promise.resolve(task());
+    } catch (error) {
+      result = Promise.reject(error);
+    }
+
+    return result.finally(() => {
+      this.active--;
+      this.next();
+    });
+  }
+
+  /**
+   * Move waiting tasks into free slots
+   */
+  next() {
+    while (this.active < this.maxConcurrency && this.pending.length > 0) {
+      const entry = this.pending.shift();
+      clearTimeout(entry.timer);
+      this.start(entry.task).then(entry.resolve, entry.reject);
+    }
+  }
+}
+
+module.exports = RenderQueue;
\ No newline at end of file
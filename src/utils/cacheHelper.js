@@ -1,324 +1,360 @@
-const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const config = require('../config');
 const logger = require('../config/logger');
+const mermaidConfig = require('../config/mermaid.config.json');
+const { DEFAULT_QUALITY, DEFAULT_PDF_OPTIONS, getOutputFormat } = require('../config/outputFormats');
+const { DEFAULT_BACKGROUND_COLOR } = require('../config/themes');
+const { withSecurityLevel } = require('../config/security');
+const { createCacheStore } = require('./cacheStores');
+const { metrics } = require('./metrics');
 
-// Cache directory path
-const cacheDir = path.join(__dirname, '../../temp/cache');
+// Changes whenever the layout of cache keys changes
+const CACHE_KEY_VERSION = 2;
 
 /**
- * Helper utility for caching diagram conversions
+ * Installed version of a package, read from its package.json
+ * @param {string} name - The package name
+ * @returns {string} - The version, or 'unknown' when it is not installed
+ */
+function getPackageVersion(name) {
+  // Packages with an "exports" map do not expose package.json by name
+  for (const dir of require.resolve.paths(name) || []) {
+    try {
+      return require(path.join(dir, name, 'package.json')).version;
+    } catch (error) {
+      // Not installed in this node_modules directory
+    }
+  }
+  return 'unknown';
+}
+
+/**
+ * Everything besides the request that decides how a diagram renders
+ * @param {string} [renderer] - The renderer in use ('pool' or 'cli')
+ * @param {string} [securityLevel] - The Mermaid security level renders use
+ * @returns {Object} - Key version, renderer, package versions and config hash
+ */
+function getRenderEnvironment(renderer, securityLevel = config.render.securityLevel) {
+  const renderConfig = withSecurityLevel(mermaidConfig, securityLevel);
+  return {
+    keyVersion: CACHE_KEY_VERSION,
+    renderer: renderer || null,
+    mermaid: getPackageVersion('mermaid'),
+    mermaidCli: getPackageVersion('@mermaid-js/mermaid-cli'),
+    config: crypto.createHash('sha256').update(stableStringify(renderConfig)).digest('hex')
+  };
+}
+
+/**
+ * JSON with object keys in sorted order, so equal values always serialize the same
+ * @param {*} value - The value to serialize
+ * @returns {string} - The JSON text
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Helper utility for caching diagram conversions. Keys are derived here;
+ * the images are kept by a pluggable store (see ./cacheStores)
  */
 class CacheHelper {
   constructor(options = {}) {
     this.logger = options.logger || logger;
     this.silent = options.silent || false;
-    this.maxCacheSize = options.maxCacheSize || 100; // Maximum number of cached items
-    this.cacheTTL = options.cacheTTL || 24 * 60 * 60 * 1000; // Cache TTL in ms (default: 24 hours)
-    
-    // In-memory cache metadata to avoid excessive disk operations
-    this.cacheIndex = {
-      items: new Map(), // Maps hash to { timestamp, filePath } objects
-      accessOrder: [] // Tracks LRU order
-    };
-    
-    // Initialize the cache directory and index
-    this.initializeCache().catch(err => {
-      if (!this.silent) {
-        this.logger.error(`Cache initialization error: ${err.message}`);
-      }
-    });
-  }
-
-  /**
-   * Initialize cache directory and load the cache index
-   */
-  async initializeCache() {
-    // Ensure the cache directory exists
-    await this.ensureCacheDirExists();
+    this.cacheTTL = options.cacheTTL || config.cache.ttl; // Cache TTL in ms
+    this.renderEnvironment = options.renderEnvironment || getRenderEnvironment(options.renderer, options.securityLevel);
+    this.metrics = options.metrics || metrics;
     
-    // Load existing cache metadata
-    await this.loadCacheIndex();
+    // Either a ready store object or the name of a built-in store
+    const isStoreObject = Boolean(options.store) && typeof options.store === 'object';
+    this.storeName = isStoreObject ? 'custom' : options.store || config.cache.store;
+    this.store = isStoreObject
+      ? options.store
+      : createCacheStore(this.storeName, {
+        logger: this.logger,
+        silent: this.silent,
+        ttl: this.cacheTTL,
+        maxBytes: options.maxBytes,
+        maxItems: options.maxCacheSize, // Only limits the disk store
+        cacheDir: options.cacheDir,
+        url: options.redisUrl,
+        prefix: options.redisPrefix,
+        onEvict: reason => this.metrics.cacheEvictions.inc({ store: this.storeName, reason })
+      });
     
-    // Clean up expired items
-    await this.cleanExpiredCache();
+    // Lookups since startup, for the hit ratio
+    this.hits = 0;
+    this.misses = 0;
     
-    if (!this.silent) {
-      this.logger.log(`Cache initialized with ${this.cacheIndex.items.size} items`);
+    // Remove expired entries in the background instead of only when they are read
+    this.sweepInterval = options.sweepInterval || config.cache.sweepInterval;
+    this.sweepTimer = null;
+    if (typeof this.store.sweep === 'function') {
+      this.sweepTimer = setInterval(() => this.sweep(), this.sweepInterval);
+      this.sweepTimer.unref(); // Never keep the process alive just to sweep
     }
   }
   
   /**
-   * Ensure cache directory exists
+   * Remove expired entries from the store
    */
-  async ensureCacheDirExists() {
+  async sweep() {
     try {
-      await fs.mkdir(cacheDir, { recursive: true });
-      return true;
+      await this.store.sweep();
     } catch (error) {
       if (!this.silent) {
-        this.logger.error(`Error creating cache directory: ${error.message}`);
+        this.logger.error(`Error sweeping the cache: ${error.message}`);
       }
-      return false;
     }
   }
   
   /**
-   * Load the cache index from disk
+   * Generate a hash key for a diagram. The key covers the diagram, every
+   * normalized render option and the render environment, so an option,
+   * config change or upgrade never serves an image rendered differently
+   * @param {string} mermaidSyntax - The Mermaid diagram syntax
+   * @param {Object} options - Render options, as passed to convertMermaidToImage
+   * @returns {string} - A cache key hash
+   */
+  generateCacheKey(mermaidSyntax, options = {}) {
+    const hashInput = stableStringify({
+      syntax: mermaidSyntax,
+      options: this.getCacheKeyOptions(options),
+      environment: this.renderEnvironment
+    });
+    
+    return crypto.createHash('sha256').update(hashInput).digest('hex');
+  }
+  
+  /**
+   * Normalize render options for the cache key: options left unset and set
+   * to their default map to the same value, and options that do not apply to
+   * the output format are left out
+   * @param {Object} options - Render options
+   * @returns {Object} - The options that determine the rendered output
+   */
+  getCacheKeyOptions(options = {}) {
+    const outputFormat = getOutputFormat(options.format);
+    
+    return {
+      width: options.width || null,
+      height: options.height || null,
+      scaleFactor: options.scaleFactor || null,
+      format: outputFormat.name,
+      quality: outputFormat.lossy ? options.quality || DEFAULT_QUALITY : null,
+      pdf: outputFormat.name === 'pdf' ? {
+        pageSize: options.pageSize || DEFAULT_PDF_OPTIONS.pageSize,
+        orientation: options.orientation || DEFAULT_PDF_OPTIONS.orientation,
+        margin: options.margin !== undefined ? options.margin : DEFAULT_PDF_OPTIONS.margin
+      } : null,
+      theme: options.theme || null,
+      themeVariables: options.themeVariables || null,
+      css: options.css || null,
+      backgroundColor: (options.backgroundColor || DEFAULT_BACKGROUND_COLOR).toLowerCase()
+    };
+  }
+  
+  /**
+   * Get a cached item. Store failures are logged and treated as misses,
+   * so an unavailable cache never fails a render
+   * @param {string} hash - The cache key hash
+   * @returns {Promise<Buffer|null>} - The cached image buffer or null
    */
-  async loadCacheIndex() {
+  async getCachedItem(hash) {
     try {
-      // Get all files in the cache directory
-      const files = await fs.readdir(cacheDir);
+      const buffer = await this.store.get(hash);
       
-      // Process each PNG file in the cache
-      for (const file of files) {
-        if (file.endsWith('.png')) {
-          const hash = path.basename(file, '.png');
-          const filePath = path.join(cacheDir, file);
-          
-          try {
-            const stats = await fs.stat(filePath);
-            
-            // Add to cache index
-            this.cacheIndex.items.set(hash, {
-              timestamp: stats.mtime.getTime(),
-              filePath
-            });
-            
-            // Add to access order
-            this.cacheIndex.accessOrder.push(hash);
-          } catch (statError) {
-            // Skip files with issues
-            if (!this.silent) {
-              this.logger.error(`Error accessing cache file ${file}: ${statError.message}`);
-            }
-          }
+      if (buffer) {
+        this.hits++;
+        this.metrics.cacheHits.inc({ store: this.storeName });
+        if (!this.silent) {
+          this.logger.debug(`Cache hit: ${hash}`);
         }
+        return buffer;
       }
     } catch (error) {
       if (!this.silent) {
-        this.logger.error(`Error loading cache index: ${error.message}`);
+        this.logger.error(`Error reading cached item ${hash}: ${error.message}`);
       }
-      
-      // Initialize empty cache on error
-      this.cacheIndex = { items: new Map(), accessOrder: [] };
     }
+    
+    this.misses++;
+    this.metrics.cacheMisses.inc({ store: this.storeName });
+    return null;
   }
   
   /**
-   * Clean expired cache items
+   * Check whether an item is cached, without counting a hit or miss
+   * @param {string} hash - The cache key hash
+   * @returns {Promise<boolean>} - Whether the item is cached
    */
-  async cleanExpiredCache() {
-    const now = Date.now();
-    const expiredHashes = [];
-    
-    // Find expired items
-    for (const [hash, metadata] of this.cacheIndex.items.entries()) {
-      if (now - metadata.timestamp > this.cacheTTL) {
-        expiredHashes.push(hash);
-      }
-    }
-    
-    // Remove expired items
-    for (const hash of expiredHashes) {
-      try {
-        const filePath = this.cacheIndex.items.get(hash).filePath;
-        await fs.unlink(filePath);
-        
-        // Remove from index
-        this.cacheIndex.items.delete(hash);
-        this.cacheIndex.accessOrder = this.cacheIndex.accessOrder.filter(h => h !== hash);
-        
-        if (!this.silent) {
-          this.logger.debug(`Removed expired cache item: ${hash}`);
-        }
-      } catch (error) {
-        if (!this.silent) {
-          this.logger.error(`Error removing expired cache item ${hash}: ${error.message}`);
-        }
+  async isCached(hash) {
+    try {
+      return await this.store.has(hash);
+    } catch (error) {
+      if (!this.silent) {
+        this.logger.error(`Error checking cached item ${hash}: ${error.message}`);
       }
-    }
-    
-    // If cache is still too large, remove least recently used items
-    while (this.cacheIndex.items.size > this.maxCacheSize) {
-      await this.removeOldestCacheItem();
+      return false;
     }
   }
   
   /**
-   * Remove the oldest (least recently used) cache item
+   * Cache an item
+   * @param {string} hash - The cache key hash
+   * @param {Buffer} buffer - The image buffer
+   * @param {string} [extension='png'] - File extension of the output format
+   * @param {Object} [metadata] - What was rendered (diagram, diagramType, options), for cache administration
+   * @returns {Promise<boolean>} - Whether the item was cached
    */
-  async removeOldestCacheItem() {
-    if (this.cacheIndex.accessOrder.length === 0) return;
-    
-    const oldestHash = this.cacheIndex.accessOrder.shift();
-    
+  async cacheItem(hash, buffer, extension = 'png', metadata = null) {
     try {
-      const filePath = this.cacheIndex.items.get(oldestHash).filePath;
-      await fs.unlink(filePath);
+      const stored = await this.store.set(hash, buffer, { extension, metadata });
       
-      // Remove from index
-      this.cacheIndex.items.delete(oldestHash);
-      
-      if (!this.silent) {
-        this.logger.debug(`Removed LRU cache item: ${oldestHash}`);
+      if (stored && !this.silent) {
+        this.logger.debug(`Cached item: ${hash}`);
       }
+      
+      return stored;
     } catch (error) {
       if (!this.silent) {
-        this.logger.error(`Error removing LRU cache item ${oldestHash}: ${error.message}`);
+        this.logger.error(`Error caching item ${hash}: ${error.message}`);
       }
+      
+      return false;
     }
   }
   
   /**
-   * Generate a hash key for a diagram
-   * @param {string} mermaidSyntax - The Mermaid diagram syntax
-   * @param {Object} options - Rendering options like width and height
-   * @returns {string} - A cache key hash
+   * Describe the cache: entries, size, hit ratio and oldest entry
+   * @returns {Promise<Object>} - The statistics
    */
-  generateCacheKey(mermaidSyntax, options = {}) {
-    // Include options in the hash to cache different sizes separately
-    const { width, height } = options;
-    const hashInput = `${mermaidSyntax}|w:${width || 'default'}|h:${height || 'default'}`;
+  async getStats() {
+    const entries = await this.store.entries();
+    const lookups = this.hits + this.misses;
+    const oldest = entries.reduce((found, entry) => (!found || entry.createdAt < found.createdAt ? entry : found), null);
     
-    return crypto.createHash('md5').update(hashInput).digest('hex');
+    return {
+      store: this.storeName,
+      items: entries.length,
+      bytes: entries.reduce((total, entry) => total + entry.size, 0),
+      hits: this.hits,
+      misses: this.misses,
+      hitRatio: lookups > 0 ? this.hits / lookups : null,
+      oldestEntry: oldest ? this.describeEntry(oldest) : null
+    };
   }
   
   /**
-   * Check if an item exists in cache and is valid
-   * @param {string} hash - The cache key hash
-   * @returns {boolean} - Whether the item is in cache
+   * List cache entries, newest first
+   * @param {Object} [filter] - diagramType to match, and limit/offset for paging
+   * @returns {Promise<{total: number, entries: Object[]}>} - Matching entries and their total count
    */
-  async isCached(hash) {
-    // Check if the hash exists in our index
-    if (!this.cacheIndex.items.has(hash)) {
-      return false;
-    }
+  async listEntries({ diagramType, limit = 100, offset = 0 } = {}) {
+    const entries = (await this.store.entries())
+      .filter(entry => !diagramType || (entry.metadata && entry.metadata.diagramType) === diagramType)
+      .sort((a, b) => b.createdAt - a.createdAt);
     
-    // Get the file path
-    const { filePath, timestamp } = this.cacheIndex.items.get(hash);
-    
-    // Check if the file exists and is not expired
-    try {
-      await fs.access(filePath);
-      
-      const now = Date.now();
-      if (now - timestamp > this.cacheTTL) {
-        // Expired - remove from cache
-        this.cacheIndex.items.delete(hash);
-        this.cacheIndex.accessOrder = this.cacheIndex.accessOrder.filter(h => h !== hash);
-        await fs.unlink(filePath).catch(() => {});
-        return false;
-      }
-      
-      return true;
-    } catch (error) {
-      // File doesn't exist or can't be accessed
-      this.cacheIndex.items.delete(hash);
-      this.cacheIndex.accessOrder = this.cacheIndex.accessOrder.filter(h => h !== hash);
-      return false;
-    }
+    return {
+      total: entries.length,
+      entries: entries.slice(offset, offset + limit).map(entry => this.describeEntry(entry, { includeDiagram: true }))
+    };
   }
   
   /**
-   * Update access time for an item (mark as recently used)
+   * Remove one entry
    * @param {string} hash - The cache key hash
+   * @returns {Promise<boolean>} - Whether the entry existed
+   */
+  async evict(hash) {
+    const evicted = await this.store.delete(hash);
+    if (evicted) {
+      this.metrics.cacheEvictions.inc({ store: this.storeName, reason: 'admin' });
+    }
+    return evicted;
+  }
+  
+  /**
+   * Remove every entry matching all given criteria
+   * @param {Object} criteria - olderThan (ms since the entry was cached) and/or diagramType
+   * @returns {Promise<number>} - Number of entries removed
    */
-  updateAccessTime(hash) {
-    // Remove from current position in access order
-    this.cacheIndex.accessOrder = this.cacheIndex.accessOrder.filter(h => h !== hash);
+  async purge({ olderThan, diagramType } = {}) {
+    const cutoff = olderThan !== undefined ? Date.now() - olderThan : undefined;
+    const matches = (await this.store.entries()).filter(entry => (
+      (cutoff === undefined || entry.createdAt <= cutoff)
+      && (!diagramType || (entry.metadata && entry.metadata.diagramType) === diagramType)
+    ));
     
-    // Add to end (most recently used)
-    this.cacheIndex.accessOrder.push(hash);
+    let purged = 0;
+    for (const entry of matches) {
+      if (await this.store.delete(entry.key)) {
+        purged++;
+      }
+    }
     
-    // Update timestamp
-    if (this.cacheIndex.items.has(hash)) {
-      const item = this.cacheIndex.items.get(hash);
-      item.timestamp = Date.now();
-      this.cacheIndex.items.set(hash, item);
+    this.metrics.cacheEvictions.inc({ store: this.storeName, reason: 'admin' }, purged);
+    
+    if (!this.silent) {
+      this.logger.log(`Purged ${purged} cache entries`);
     }
+    
+    return purged;
   }
   
   /**
-   * Get a cached item
-   * @param {string} hash - The cache key hash
-   * @returns {Promise<Buffer|null>} - The cached image buffer or null
+   * Public description of a store entry
+   * @param {Object} entry - The entry, as listed by the store
+   * @param {Object} [options] - includeDiagram to add the diagram source and render options
+   * @returns {Object} - The description
    */
-  async getCachedItem(hash) {
-    // Check if the item is in cache
-    const isCached = await this.isCached(hash);
-    if (!isCached) {
-      return null;
-    }
+  describeEntry(entry, { includeDiagram = false } = {}) {
+    const metadata = entry.metadata || {};
+    const description = {
+      key: entry.key,
+      size: entry.size,
+      format: metadata.options ? metadata.options.format : null,
+      diagramType: metadata.diagramType || null,
+      createdAt: new Date(entry.createdAt).toISOString(),
+      lastAccessedAt: entry.lastAccessedAt ? new Date(entry.lastAccessedAt).toISOString() : null
+    };
     
-    try {
-      // Get the file path
-      const { filePath } = this.cacheIndex.items.get(hash);
-      
-      // Update access time
-      this.updateAccessTime(hash);
-      
-      // Read the file
-      const buffer = await fs.readFile(filePath);
-      
-      if (!this.silent) {
-        this.logger.debug(`Cache hit: ${hash}`);
-      }
-      
-      return buffer;
-    } catch (error) {
-      if (!this.silent) {
-        this.logger.error(`Error reading cached item ${hash}: ${error.message}`);
-      }
-      
-      return null;
+    if (includeDiagram) {
+      description.diagram = metadata.diagram !== undefined ? metadata.diagram : null;
+      description.options = metadata.options || null;
     }
+    
+    return description;
   }
   
   /**
-   * Cache an item
-   * @param {string} hash - The cache key hash
-   * @param {Buffer} buffer - The image buffer
+   * Check that the store can be written to (or reached), for readiness checks
+   * @returns {Promise<void>} - Rejects when the store is unusable
    */
-  async cacheItem(hash, buffer) {
-    try {
-      // Ensure cache directory exists
-      await this.ensureCacheDirExists();
-      
-      // Create the file path
-      const filePath = path.join(cacheDir, `${hash}.png`);
-      
-      // Write the buffer to file
-      await fs.writeFile(filePath, buffer);
-      
-      // Add to cache index
-      this.cacheIndex.items.set(hash, {
-        timestamp: Date.now(),
-        filePath
-      });
-      
-      // Add to access order
-      this.cacheIndex.accessOrder.push(hash);
-      
-      // Clean up if cache is too large
-      if (this.cacheIndex.items.size > this.maxCacheSize) {
-        await this.removeOldestCacheItem();
-      }
-      
-      if (!this.silent) {
-        this.logger.debug(`Cached item: ${hash}`);
-      }
-      
-      return true;
-    } catch (error) {
-      if (!this.silent) {
-        this.logger.error(`Error caching item ${hash}: ${error.message}`);
-      }
-      
-      return false;
+  async checkHealth() {
+    if (typeof this.store.check === 'function') {
+      await this.store.check();
     }
   }
+  
+  /**
+   * Release the store's resources (e.g. its server connection)
+   */
+  async close() {
+    clearInterval(this.sweepTimer);
+    await this.store.close();
+  }
 }
 
 module.exports = CacheHelper;
\ No newline at end of file
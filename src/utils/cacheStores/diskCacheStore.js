@@ -0,0 +1,504 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config');
+const logger = require('../../config/logger');
+const { OUTPUT_FORMATS } = require('../../config/outputFormats');
+
+// File extensions of cached outputs (one per supported output format)
+const cacheExtensions = Object.values(OUTPUT_FORMATS).map(format => `.${format.extension}`);
+
+// Index of the cached files, kept next to them so LRU order survives restarts.
+// Version 1 indexes also held each entry's metadata; they are still read
+const INDEX_FILE = 'index.json';
+const INDEX_VERSION = 2;
+const READABLE_INDEX_VERSIONS = [1, INDEX_VERSION];
+
+// Suffix of the file next to a cached image holding its render metadata
+const METADATA_SUFFIX = '.meta.json';
+
+/**
+ * Cache store keeping rendered images as files in a local directory, named
+ * by cache key and output file extension. The store is bounded by the total
+ * size of the files (and optionally their number); the least recently used
+ * files are removed first, and files not read for longer than the TTL expire.
+ *
+ * The index of the files (size, last access, LRU order) is saved to
+ * index.json shortly after every change and on close. Render metadata, which
+ * can be as large as the diagram, is written once per entry to a
+ * <key>.meta.json file instead, so reads only rewrite the small index. At
+ * startup the index is reconciled with the directory: entries whose file is
+ * missing are dropped and cache and metadata files the index does not know
+ * are deleted. A missing or corrupt index is rebuilt from the files in the
+ * directory instead.
+ */
+class DiskCacheStore {
+  constructor(options = {}) {
+    this.logger = options.logger || logger;
+    this.silent = options.silent || false;
+    this.cacheDir = options.cacheDir || config.cache.dir;
+    this.maxBytes = options.maxBytes || config.cache.diskMaxMb * 1024 * 1024;
+    this.maxItems = options.maxItems || Infinity;
+    this.ttl = options.ttl || config.cache.ttl;
+    this.onEvict = options.onEvict || (() => {}); // Called with 'expired' or 'size' when the store drops an entry
+    this.indexPath = path.join(this.cacheDir, INDEX_FILE);
+    this.indexWriteDelay = options.indexWriteDelay !== undefined ? options.indexWriteDelay : 1000; // Batches index writes
+    this.indexWriteTimer = null;
+    this.indexWrite = Promise.resolve(); // Index writes run one at a time
+
+    // In-memory index of the cached files, to avoid excessive disk operations.
+    // Map iteration order is insertion order, so re-inserting on every read keeps it in LRU order
+    this.items = new Map(); // key -> { filePath, size, createdAt, timestamp }
+    this.totalBytes = 0;
+
+    // Operations wait for the existing files to be indexed
+    this.ready = this.initialize().catch(err => {
+      if (!this.silent) {
+        this.logger.error(`Cache initialization error: ${err.message}`);
+      }
+    });
+  }
+
+  /**
+   * Create the cache directory, load and reconcile the index and remove expired files
+   */
+  async initialize() {
+    await this.ensureCacheDirExists();
+
+    await this.loadIndex();
+
+    await this.prune();
+
+    // Save what reconciliation and pruning changed
+    await this.flushIndex();
+
+    if (!this.silent) {
+      this.logger.log(`Cache initialized with ${this.items.size} items`);
+    }
+  }
+
+  /**
+   * Ensure cache directory exists
+   */
+  async ensureCacheDirExists() {
+    try {
+      await fs.mkdir(this.cacheDir, { recursive: true });
+      return true;
+    } catch (error) {
+      if (!this.silent) {
+        this.logger.error(`Error creating cache directory: ${error.message}`);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Load the saved index and reconcile it with the cache files on disk,
+   * or rebuild it from the files when it is missing or unreadable
+   */
+  async loadIndex() {
+    let files;
+    try {
+      files = await fs.readdir(this.cacheDir);
+    } catch (error) {
+      if (!this.silent) {
+        this.logger.error(`Error loading cache index: ${error.message}`);
+      }
+      return;
+    }
+
+    // Leftovers of index writes interrupted by a crash
+    for (const file of files.filter(name => name.startsWith(`${INDEX_FILE}.`) && name.endsWith('.tmp'))) {
+      await fs.unlink(path.join(this.cacheDir, file)).catch(() => {});
+    }
+
+    const cacheFiles = files.filter(file => cacheExtensions.includes(path.extname(file)));
+    const metadataFiles = files.filter(file => file.endsWith(METADATA_SUFFIX));
+    const index = await this.readIndex();
+
+    if (!index) {
+      await this.rebuildIndex(cacheFiles);
+      await this.deleteOrphanedMetadata(metadataFiles);
+      this.scheduleIndexWrite();
+      return;
+    }
+
+    const present = new Set(cacheFiles);
+    let missing = 0;
+
+    for (const entry of index.entries) {
+      if (!present.has(entry.file)) {
+        missing++;
+        continue;
+      }
+
+      this.forget(entry.key);
+      this.items.set(entry.key, {
+        filePath: path.join(this.cacheDir, entry.file),
+        size: entry.size,
+        createdAt: entry.createdAt || entry.timestamp,
+        timestamp: entry.timestamp
+      });
+      this.totalBytes += entry.size;
+
+      if (entry.metadata) {
+        await this.writeMetadata(entry.key, entry.metadata);
+      }
+    }
+
+    // Files the index does not know, e.g. written just before a crash
+    const indexed = new Set(Array.from(this.items.values(), item => path.basename(item.filePath)));
+    const orphans = cacheFiles.filter(file => !indexed.has(file));
+
+    for (const file of orphans) {
+      await fs.unlink(path.join(this.cacheDir, file)).catch(() => {});
+    }
+    await this.deleteOrphanedMetadata(metadataFiles);
+
+    if (missing > 0 || orphans.length > 0 || index.version !== INDEX_VERSION) {
+      this.scheduleIndexWrite();
+    }
+
+    if ((missing > 0 || orphans.length > 0) && !this.silent) {
+      this.logger.log(`Cache index reconciled: dropped ${missing} entries without files, deleted ${orphans.length} orphaned files`);
+    }
+  }
+
+  /**
+   * Read the saved index
+   * @returns {Promise<{version: number, entries: Array<{key: string, file: string, size: number, createdAt: number, timestamp: number, metadata: (Object|undefined)}>}|null>} - The index with its entries least recently used first (only version 1 entries carry metadata), or null when it is missing or corrupt
+   */
+  async readIndex() {
+    let index;
+    try {
+      index = JSON.parse(await fs.readFile(this.indexPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT' && !this.silent) {
+        this.logger.warn(`Cache index is unreadable, rebuilding it: ${error.message}`);
+      }
+      return null;
+    }
+
+    const isValidEntry = entry => entry
+      && typeof entry.key === 'string'
+      && typeof entry.file === 'string'
+      && path.basename(entry.file) === entry.file
+      && Number.isFinite(entry.size)
+      && Number.isFinite(entry.timestamp);
+
+    if (!index || !READABLE_INDEX_VERSIONS.includes(index.version) || !Array.isArray(index.entries) || !index.entries.every(isValidEntry)) {
+      if (!this.silent) {
+        this.logger.warn('Cache index is corrupt, rebuilding it');
+      }
+      return null;
+    }
+
+    return index;
+  }
+
+  /**
+   * Delete metadata files of entries the index does not hold
+   * @param {string[]} files - Metadata file names in the directory
+   */
+  async deleteOrphanedMetadata(files) {
+    for (const file of files) {
+      if (!this.items.has(file.slice(0, -METADATA_SUFFIX.length))) {
+        await fs.unlink(path.join(this.cacheDir, file)).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Path of the file holding an entry's render metadata
+   * @param {string} key - The cache key
+   * @returns {string} - The path
+   */
+  metadataPath(key) {
+    return path.join(this.cacheDir, `${key}${METADATA_SUFFIX}`);
+  }
+
+  /**
+   * Save an entry's render metadata next to its image
+   * @param {string} key - The cache key
+   * @param {Object} metadata - The metadata
+   */
+  async writeMetadata(key, metadata) {
+    try {
+      await fs.writeFile(this.metadataPath(key), JSON.stringify(metadata));
+    } catch (error) {
+      if (!this.silent) {
+        this.logger.error(`Error saving metadata of cache item ${key}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Read an entry's render metadata
+   * @param {string} key - The cache key
+   * @returns {Promise<Object|null>} - The metadata, or null when the entry has none
+   */
+  async readMetadata(key) {
+    try {
+      return JSON.parse(await fs.readFile(this.metadataPath(key), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Index the cache files on disk, least recently modified first
+   * @param {string[]} files - Cache file names in the directory
+   */
+  async rebuildIndex(files) {
+    const entries = [];
+    for (const file of files) {
+      const filePath = path.join(this.cacheDir, file);
+      try {
+        const stats = await fs.stat(filePath);
+        const timestamp = stats.mtime.getTime();
+        entries.push([path.basename(file, path.extname(file)), { filePath, size: stats.size, createdAt: timestamp, timestamp }]);
+      } catch (statError) {
+        // Skip files with issues
+        if (!this.silent) {
+          this.logger.error(`Error accessing cache file ${file}: ${statError.message}`);
+        }
+      }
+    }
+
+    entries.sort((a, b) => a[1].timestamp - b[1].timestamp);
+    for (const [key, item] of entries) {
+      this.forget(key);
+      this.items.set(key, item);
+      this.totalBytes += item.size;
+    }
+  }
+
+  /**
+   * Save the index atomically: write a temporary file, then rename it over the index
+   */
+  writeIndex() {
+    clearTimeout(this.indexWriteTimer);
+    this.indexWriteTimer = null;
+
+    const write = async () => {
+      const index = {
+        version: INDEX_VERSION,
+        entries: Array.from(this.items, ([key, item]) => ({
+          key,
+          file: path.basename(item.filePath),
+          size: item.size,
+          createdAt: item.createdAt,
+          timestamp: item.timestamp
+        }))
+      };
+      const tempPath = `${this.indexPath}.${process.pid}.tmp`;
+
+      try {
+        await fs.writeFile(tempPath, JSON.stringify(index));
+        await fs.rename(tempPath, this.indexPath);
+      } catch (error) {
+        if (!this.silent) {
+          this.logger.error(`Error saving cache index: ${error.message}`);
+        }
+      }
+    };
+
+    this.indexWrite = this.indexWrite.then(write);
+    return this.indexWrite;
+  }
+
+  /**
+   * Save the index shortly, so a burst of changes is written once
+   */
+  scheduleIndexWrite() {
+    if (this.indexWriteTimer) return;
+
+    this.indexWriteTimer = setTimeout(() => this.writeIndex(), this.indexWriteDelay);
+    this.indexWriteTimer.unref();
+  }
+
+  /**
+   * Save the index now if it has unsaved changes
+   */
+  async flushIndex() {
+    if (this.indexWriteTimer) {
+      await this.writeIndex();
+    } else {
+      await this.indexWrite;
+    }
+  }
+
+  /**
+   * Remove expired files in the background, between reads that would find them expired
+   */
+  async sweep() {
+    await this.ready;
+    await this.prune();
+  }
+
+  /**
+   * Remove expired files, then the least recently used ones while the store is over its limits
+   */
+  async prune() {
+    const now = Date.now();
+
+    for (const [key, item] of this.items) {
+      if (now - item.timestamp > this.ttl) {
+        await this.remove(key, 'expired');
+      }
+    }
+
+    for (const key of this.items.keys()) {
+      if (this.totalBytes <= this.maxBytes && this.items.size <= this.maxItems) break;
+      await this.remove(key, 'size');
+    }
+  }
+
+  async get(key) {
+    await this.ready;
+
+    const item = this.items.get(key);
+    if (!item) {
+      return null;
+    }
+
+    if (Date.now() - item.timestamp > this.ttl) {
+      await this.remove(key, 'expired');
+      return null;
+    }
+
+    let buffer;
+    try {
+      buffer = await fs.readFile(item.filePath);
+    } catch (error) {
+      // The file was removed behind our back
+      this.forget(key);
+      return null;
+    }
+
+    // Mark as most recently used
+    this.items.delete(key);
+    item.timestamp = Date.now();
+    this.items.set(key, item);
+    this.scheduleIndexWrite();
+
+    return buffer;
+  }
+
+  async has(key) {
+    await this.ready;
+
+    const item = this.items.get(key);
+    return Boolean(item) && Date.now() - item.timestamp <= this.ttl;
+  }
+
+  async set(key, buffer, { extension = 'png', metadata = null } = {}) {
+    await this.ready;
+
+    if (buffer.length > this.maxBytes) {
+      return false;
+    }
+
+    await this.ensureCacheDirExists();
+
+    // Replace any earlier file for the key
+    await this.remove(key);
+
+    const filePath = path.join(this.cacheDir, `${key}.${extension}`);
+    await fs.writeFile(filePath, buffer);
+    if (metadata) {
+      await this.writeMetadata(key, metadata);
+    }
+
+    const now = Date.now();
+    this.items.set(key, { filePath, size: buffer.length, createdAt: now, timestamp: now });
+    this.totalBytes += buffer.length;
+    this.scheduleIndexWrite();
+
+    await this.prune();
+
+    return true;
+  }
+
+  async delete(key) {
+    await this.ready;
+    return this.remove(key);
+  }
+
+  /**
+   * Describe the cached images, least recently used first
+   * @returns {Promise<Array<{key: string, size: number, createdAt: number, lastAccessedAt: number, metadata: Object}>>} - The entries
+   */
+  async entries() {
+    await this.ready;
+
+    return Promise.all(Array.from(this.items, async ([key, item]) => ({
+      key,
+      size: item.size,
+      createdAt: item.createdAt,
+      lastAccessedAt: item.timestamp,
+      metadata: await this.readMetadata(key)
+    })));
+  }
+
+  /**
+   * Check that the cache directory is writable
+   */
+  async check() {
+    await fs.mkdir(this.cacheDir, { recursive: true });
+
+    const probe = path.join(this.cacheDir, `.write-check-${process.pid}.tmp`);
+    await fs.writeFile(probe, 'ok');
+    await fs.unlink(probe);
+  }
+
+  async close() {
+    await this.ready;
+    await this.flushIndex();
+  }
+
+  /**
+   * Delete an entry's files and drop it from the index
+   * @param {string} key - The cache key
+   * @param {string} [reason] - Why the store evicts the entry; omitted for deletions
+   * @returns {Promise<boolean>} - Whether the entry existed
+   */
+  async remove(key, reason) {
+    const item = this.items.get(key);
+    if (!item) return false;
+
+    this.forget(key);
+    if (reason) {
+      this.onEvict(reason);
+    }
+
+    await fs.unlink(this.metadataPath(key)).catch(() => {});
+    try {
+      await fs.unlink(item.filePath);
+
+      if (!this.silent) {
+        this.logger.debug(`Removed cache item: ${key}`);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT' && !this.silent) {
+        this.logger.error(`Error removing cache item ${key}: ${error.message}`);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Drop an entry from the index, keeping its file
+   * @param {string} key - The cache key
+   */
+  forget(key) {
+    const item = this.items.get(key);
+    if (item) {
+      this.items.delete(key);
+      this.totalBytes -= item.size;
+      this.scheduleIndexWrite();
+    }
+  }
+}
+
+module.exports = DiskCacheStore;
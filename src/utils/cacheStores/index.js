@@ -0,0 +1,47 @@
+const MemoryCacheStore = require('./memoryCacheStore');
+const DiskCacheStore = require('./diskCacheStore');
+const RedisCacheStore = require('./redisCacheStore');
+const config = require('../../config');
+
+/**
+ * Storage for rendered images, selected with the `store` option.
+ *
+ * Any object with the same async methods can be passed as the store instead:
+ *   get(key) -> Buffer or null
+ *   has(key) -> whether an unexpired image is stored
+ *   set(key, buffer, { extension, metadata }) -> whether the image was stored
+ *   delete(key) -> whether the image existed
+ *   entries() -> [{ key, size, createdAt, lastAccessedAt, metadata }]
+ *   close()
+ * and optionally sweep(), which CacheHelper calls periodically to remove expired entries,
+ * and check(), which rejects when the store cannot be used (for readiness checks).
+ */
+const CACHE_STORES = {
+  memory: MemoryCacheStore,
+  disk: DiskCacheStore,
+  redis: RedisCacheStore
+};
+
+/**
+ * Create the cache store of a given type
+ * @param {string} [type] - memory, disk or redis; the configured cache.store by default
+ * @param {Object} [options] - Store options overriding the configured ones: ttl, plus maxBytes and onEvict (memory, disk), maxItems and cacheDir (disk), url and prefix (redis)
+ * @returns {Object} - The store
+ */
+function createCacheStore(type = config.cache.store, options = {}) {
+  const Store = CACHE_STORES[type];
+
+  if (!Store) {
+    throw new Error(`Unsupported cache store: ${type} (expected one of: ${Object.keys(CACHE_STORES).join(', ')})`);
+  }
+
+  return new Store(options);
+}
+
+module.exports = {
+  CACHE_STORES,
+  MemoryCacheStore,
+  DiskCacheStore,
+  RedisCacheStore,
+  createCacheStore
+};
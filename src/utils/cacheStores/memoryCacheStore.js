@@ -0,0 +1,118 @@
+const config = require('../../config');
+
+/**
+ * Cache store keeping rendered images in process memory, bounded by the
+ * total size of the cached images. The least recently used images are
+ * evicted first; entries not read for longer than the TTL expire.
+ */
+class MemoryCacheStore {
+  constructor(options = {}) {
+    this.maxBytes = options.maxBytes || config.cache.memoryMaxMb * 1024 * 1024;
+    this.ttl = options.ttl || config.cache.ttl;
+    this.onEvict = options.onEvict || (() => {}); // Called with 'expired' or 'size' when the store drops an entry
+
+    // Map iteration order is insertion order, so re-inserting on every read keeps it in LRU order
+    this.items = new Map(); // key -> { buffer, createdAt, timestamp, metadata }
+    this.totalBytes = 0;
+  }
+
+  async get(key) {
+    const item = this.items.get(key);
+    if (!item) {
+      return null;
+    }
+
+    if (Date.now() - item.timestamp > this.ttl) {
+      this.remove(key, 'expired');
+      return null;
+    }
+
+    // Mark as most recently used
+    this.items.delete(key);
+    item.timestamp = Date.now();
+    this.items.set(key, item);
+
+    return item.buffer;
+  }
+
+  async has(key) {
+    const item = this.items.get(key);
+    return Boolean(item) && Date.now() - item.timestamp <= this.ttl;
+  }
+
+  async set(key, buffer, { metadata = null } = {}) {
+    this.remove(key);
+
+    // An image larger than the whole cache would only evict everything else
+    if (buffer.length > this.maxBytes) {
+      return false;
+    }
+
+    const now = Date.now();
+    this.items.set(key, { buffer, createdAt: now, timestamp: now, metadata });
+    this.totalBytes += buffer.length;
+
+    for (const oldestKey of this.items.keys()) {
+      if (this.totalBytes <= this.maxBytes) break;
+      this.remove(oldestKey, 'size');
+    }
+
+    return true;
+  }
+
+  async delete(key) {
+    return this.remove(key);
+  }
+
+  /**
+   * Describe the cached images, least recently used first
+   * @returns {Promise<Array<{key: string, size: number, createdAt: number, lastAccessedAt: number, metadata: Object}>>} - The entries
+   */
+  async entries() {
+    return Array.from(this.items, ([key, item]) => ({
+      key,
+      size: item.buffer.length,
+      createdAt: item.createdAt,
+      lastAccessedAt: item.timestamp,
+      metadata: item.metadata
+    }));
+  }
+
+  /**
+   * Drop expired entries in the background, between reads that would find them expired
+   */
+  async sweep() {
+    const now = Date.now();
+
+    for (const [key, item] of this.items) {
+      if (now - item.timestamp > this.ttl) {
+        this.remove(key, 'expired');
+      }
+    }
+  }
+
+  async close() {
+    this.items.clear();
+    this.totalBytes = 0;
+  }
+
+  /**
+   * Drop an entry and its size from the running total
+   * @param {string} key - The cache key
+   * @param {string} [reason] - Why the store evicts the entry; omitted for deletions
+   * @returns {boolean} - Whether the entry existed
+   */
+  remove(key, reason) {
+    const item = this.items.get(key);
+    if (!item) return false;
+
+    this.items.delete(key);
+    this.totalBytes -= item.buffer.length;
+    if (reason) {
+      this.onEvict(reason);
+    }
+    return true;
+  }
+}
+
+module.exports = MemoryCacheStore;
@@ -0,0 +1,106 @@
+const config = require('../../config');
+const RespClient = require('./respClient');
+
+// Escape the glob characters of a key prefix for SCAN's MATCH pattern
+const escapePattern = value => value.replace(/[*?[\]\\]/g, '\\$&');
+
+/**
+ * Cache store keeping rendered images in a server speaking the Redis
+ * protocol, so several service replicas share one cache. Entries expire
+ * through the server's own key expiry when not read for longer than the TTL;
+ * size limits and eviction are left to the server (e.g. `maxmemory` with an
+ * LRU `maxmemory-policy`).
+ *
+ * Each image is stored under <prefix><key>, with a JSON description (size,
+ * creation time, render metadata) under <prefix>meta:<key> that expires with it.
+ */
+class RedisCacheStore {
+  constructor(options = {}) {
+    this.client = options.client || new RespClient({
+      url: options.url || config.cache.redisUrl,
+      connectTimeout: options.connectTimeout,
+      commandTimeout: options.commandTimeout
+    });
+    this.prefix = options.prefix !== undefined ? options.prefix : config.cache.redisPrefix;
+    this.ttl = options.ttl || config.cache.ttl;
+  }
+
+  async get(key) {
+    const buffer = await this.client.command('GET', this.prefix + key);
+
+    if (buffer) {
+      // Reading an entry restarts its expiry
+      await Promise.all([
+        this.client.command('PEXPIRE', this.prefix + key, this.ttl),
+        this.client.command('PEXPIRE', this.metaKey(key), this.ttl)
+      ]);
+    }
+
+    return buffer;
+  }
+
+  async has(key) {
+    return (await this.client.command('EXISTS', this.prefix + key)) > 0;
+  }
+
+  async set(key, buffer, { metadata = null } = {}) {
+    const description = JSON.stringify({ size: buffer.length, createdAt: Date.now(), metadata });
+
+    await Promise.all([
+      this.client.command('SET', this.prefix + key, buffer, 'PX', this.ttl),
+      this.client.command('SET', this.metaKey(key), description, 'PX', this.ttl)
+    ]);
+    return true;
+  }
+
+  async delete(key) {
+    return (await this.client.command('DEL', this.prefix + key, this.metaKey(key))) > 0;
+  }
+
+  /**
+   * Describe the cached images. The server does not report when a key was
+   * last read, so lastAccessedAt is null
+   * @returns {Promise<Array<{key: string, size: number, createdAt: number, lastAccessedAt: null, metadata: Object}>>} - The entries
+   */
+  async entries() {
+    const metaPrefix = this.metaKey('');
+    const entries = [];
+    let cursor = '0';
+
+    do {
+      const [next, keys] = await this.client.command('SCAN', cursor, 'MATCH', `${escapePattern(metaPrefix)}*`, 'COUNT', 100);
+      cursor = next.toString();
+
+      if (keys.length > 0) {
+        const descriptions = await this.client.command('MGET', ...keys);
+
+        keys.forEach((metaKey, index) => {
+          // Skip entries that expired between SCAN and MGET
+          if (!descriptions[index]) return;
+
+          const { size, createdAt, metadata } = JSON.parse(descriptions[index].toString());
+          entries.push({ key: metaKey.toString().slice(metaPrefix.length), size, createdAt, lastAccessedAt: null, metadata });
+        });
+      }
+    } while (cursor !== '0');
+
+    return entries;
+  }
+
+  /**
+   * Check that the server is reachable
+   */
+  async check() {
+    await this.client.command('PING');
+  }
+
+  async close() {
+    await this.client.close();
+  }
+
+  metaKey(key) {
+    return `${this.prefix}meta:${key}`;
+  }
+}
+
+module.exports = RedisCacheStore;
@@ -0,0 +1,275 @@
+const net = require('net');
+const tls = require('tls');
+
+const CRLF = '\r\n';
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array<string|number|Buffer>} args - The command name and arguments
+ * @returns {Buffer} - The encoded command
+ */
+function encodeCommand(args) {
+  const parts = [Buffer.from(`*${args.length}${CRLF}`)];
+
+  for (const arg of args) {
+    const value = Buffer.isBuffer(arg) ? arg : Buffer.from(String(arg));
+    parts.push(Buffer.from(`$${value.length}${CRLF}`), value, Buffer.from(CRLF));
+  }
+
+  return Buffer.concat(parts);
+}
+
+// Length of a bulk string or array; -1 stands for null
+function parseLength(line) {
+  const length = parseInt(line, 10);
+  if (!/^-?\d+$/.test(line) || length < -1) {
+    throw new Error(`Invalid RESP length: ${line}`);
+  }
+  return length;
+}
+
+/**
+ * Parse one RESP reply from a buffer. Bulk strings are returned as Buffers,
+ * so binary values such as images survive intact; error replies are returned
+ * as Error objects.
+ * @param {Buffer} buffer - Received data
+ * @param {number} [offset=0] - Where the reply starts
+ * @returns {{value: *, offset: number}|null} - The reply and where the next one starts, or null when incomplete
+ * @throws {Error} - When the data is not a valid reply
+ */
+function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf(CRLF, offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + CRLF.length;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: parseInt(line, 10), offset: next };
+    case '$': {
+      const length = parseLength(line);
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + CRLF.length) {
+        return null;
+      }
+      return { value: buffer.subarray(next, next + length), offset: next + length + CRLF.length };
+    }
+    case '*': {
+      const count = parseLength(line);
+      if (count === -1) {
+        return { value: null, offset: next };
+      }
+      const values = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const element = parseReply(buffer, position);
+        if (!element) {
+          return null;
+        }
+        values.push(element.value);
+        position = element.offset;
+      }
+      return { value: values, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected RESP reply type: ${type}`);
+  }
+}
+
+/**
+ * Minimal client for servers speaking the Redis protocol (RESP2): Redis,
+ * Valkey, KeyDB, Dragonfly and the like. Connects lazily from a
+ * redis://[user:password@]host[:port][/db] URL (rediss:// for TLS),
+ * pipelines commands over one connection and reconnects on the next
+ * command after the connection drops.
+ */
+class RespClient {
+  constructor(options = {}) {
+    const url = new URL(options.url || 'redis://127.0.0.1:6379');
+
+    this.tls = url.protocol === 'rediss:';
+    this.host = url.hostname || '127.0.0.1';
+    this.port = parseInt(url.port, 10) || 6379;
+    this.username = decodeURIComponent(url.username);
+    this.password = decodeURIComponent(url.password);
+    this.db = parseInt(url.pathname.slice(1), 10) || 0;
+    this.connectTimeout = options.connectTimeout || 2000;
+    this.commandTimeout = options.commandTimeout || 5000;
+
+    this.socket = null;
+    this.connecting = null;
+    this.pending = []; // { resolve, reject } per command awaiting its reply, in order
+    this.received = Buffer.alloc(0);
+  }
+
+  /**
+   * Send a command and wait for its reply
+   * @param {...(string|number|Buffer)} args - The command name and arguments
+   * @returns {Promise<*>} - The reply; error replies reject
+   */
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  /**
+   * Open the connection and authenticate, once
+   */
+  connect() {
+    if (!this.connecting) {
+      this.connecting = this.open().catch(error => {
+        // e.g. rejected credentials; do not leave the half-open connection behind
+        if (this.socket) {
+          this.socket.destroy();
+        }
+        this.connecting = null;
+        throw error;
+      });
+    }
+    return this.connecting;
+  }
+
+  async open() {
+    await new Promise((resolve, reject) => {
+      const connectOptions = { host: this.host, port: this.port };
+      const socket = this.tls
+        ? tls.connect({ ...connectOptions, servername: this.host })
+        : net.connect(connectOptions);
+
+      const timer = setTimeout(() => {
+        socket.destroy(new Error(`Connection to ${this.host}:${this.port} timed out after ${this.connectTimeout}ms`));
+      }, this.connectTimeout);
+
+      const onError = error => {
+        clearTimeout(timer);
+        reject(error);
+      };
+
+      socket.once(this.tls ? 'secureConnect' : 'connect', () => {
+        clearTimeout(timer);
+        socket.removeListener('error', onError);
+        resolve();
+      });
+      socket.once('error', onError);
+
+      socket.on('data', data => this.onData(data));
+      socket.on('error', () => {}); // Reported to pending commands by the close handler
+      socket.on('close', () => this.onClose(socket));
+
+      this.socket = socket;
+    });
+
+    if (this.password) {
+      await this.send(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+    }
+    if (this.db) {
+      await this.send(['SELECT', this.db]);
+    }
+  }
+
+  send(args) {
+    const socket = this.socket;
+    if (!socket) {
+      return Promise.reject(new Error(`Not connected to ${this.host}:${this.port}`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = {};
+
+      entry.timer = setTimeout(() => {
+        // Replies arrive in order, so a missing one leaves the connection unusable
+        socket.destroy();
+        reject(new Error(`${args[0]} timed out after ${this.commandTimeout}ms`));
+      }, this.commandTimeout);
+      entry.resolve = value => {
+        clearTimeout(entry.timer);
+        resolve(value);
+      };
+      entry.reject = error => {
+        clearTimeout(entry.timer);
+        reject(error);
+      };
+
+      this.pending.push(entry);
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  onData(data) {
+    this.received = this.received.length ? Buffer.concat([this.received, data]) : data;
+
+    let offset = 0;
+    let reply;
+    try {
+      while (this.pending.length > 0 && (reply = parseReply(this.received, offset))) {
+        offset = reply.offset;
+        const entry = this.pending.shift();
+        if (reply.value instanceof Error) {
+          entry.reject(reply.value);
+        } else {
+          entry.resolve(reply.value);
+        }
+      }
+    } catch (error) {
+      // Later replies cannot be matched to their commands any more
+      this.abort(new Error(`Invalid reply from ${this.host}:${this.port}: ${error.message}`));
+      return;
+    }
+
+    this.received = this.received.subarray(offset);
+  }
+
+  onClose(socket) {
+    if (socket !== this.socket) return;
+
+    this.abort(new Error(`Connection to ${this.host}:${this.port} closed`));
+  }
+
+  /**
+   * Drop the connection and reject every command awaiting a reply
+   * @param {Error} error - The error the commands reject with
+   */
+  abort(error) {
+    const socket = this.socket;
+    this.socket = null;
+    this.connecting = null;
+    this.received = Buffer.alloc(0);
+
+    const pending = this.pending;
+    this.pending = [];
+    for (const entry of pending) {
+      entry.reject(error);
+    }
+
+    if (socket) {
+      socket.destroy();
+    }
+  }
+
+  /**
+   * Close the connection; the next command reconnects
+   */
+  async close() {
+    if (!this.socket) return;
+
+    const socket = this.socket;
+    await new Promise(resolve => {
+      socket.once('close', resolve);
+      socket.end();
+    });
+  }
+}
+
+module.exports = RespClient;
+module.exports.encodeCommand = encodeCommand;
+module.exports.parseReply = parseReply;
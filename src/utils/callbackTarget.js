@@ -0,0 +1,105 @@
+const dns = require('dns');
+const net = require('net');
+const { ValidationError } = require('./errors');
+
+// Addresses a callback may not reach: loopback, private networks, link-local
+// (including cloud metadata endpoints at 169.254.169.254) and other ranges
+// that are not on the public internet
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is outside the public internet. IPv4-mapped IPv6
+ * addresses such as ::ffff:127.0.0.1 are checked as their IPv4 address
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - Whether callbacks may not be sent to it
+ */
+function isPrivateAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Reported like the validator's errors, as a problem with the callbackUrl field
+const invalidCallbackUrl = message => new ValidationError(message, [{ field: 'callbackUrl', message }]);
+
+/**
+ * Parse a comma-separated list of hosts, as in the callbackAllowedHosts setting
+ * @param {string|string[]} hosts - The hosts
+ * @returns {string[]} - Lower-case host names
+ */
+function parseHostList(hosts) {
+  const list = Array.isArray(hosts) ? hosts : String(hosts || '').split(',');
+  return list.map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Resolve the host of a callback URL and check that every address it resolves
+ * to is public, unless the host is allowed to be private. Requests should then
+ * connect to the returned addresses, so DNS cannot answer differently later
+ * @param {string} url - The http or https callback URL
+ * @param {string[]} [allowedHosts] - Lower-case hosts that may resolve to private addresses
+ * @returns {Promise<Array<{address: string, family: number}>>} - The checked addresses
+ * @throws {ValidationError} - When the host does not resolve or resolves to a private address
+ */
+async function resolveCallbackTarget(url, allowedHosts = []) {
+  const host = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [{ address: host, family: net.isIP(host) }];
+  } else {
+    try {
+      addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+      throw invalidCallbackUrl(`Callback URL host ${host} could not be resolved`);
+    }
+  }
+
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  if (blocked && !allowedHosts.includes(host)) {
+    throw invalidCallbackUrl(`Callback URL host ${host} resolves to the non-public address ${blocked.address}`);
+  }
+
+  return addresses;
+}
+
+/**
+ * DNS lookup function for http.request that answers with already checked
+ * addresses instead of resolving the host again
+ * @param {Array<{address: string, family: number}>} addresses - From resolveCallbackTarget
+ * @returns {Function} - The lookup function
+ */
+function pinnedLookup(addresses) {
+  return (hostname, options, callback) => {
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  };
+}
+
+module.exports = {
+  isPrivateAddress,
+  parseHostList,
+  resolveCallbackTarget,
+  pinnedLookup
+};
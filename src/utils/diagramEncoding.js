@@ -0,0 +1,95 @@
+const zlib = require('zlib');
+const { ValidationError } = require('./errors');
+
+// Largest diagram source an encoded link may expand to, in bytes
+const MAX_DECODED_LENGTH = 1024 * 1024;
+
+/**
+ * Decode base64 or base64url text, which Node accepts in either alphabet
+ * @param {string} text - The encoded text, with or without padding
+ * @returns {Buffer} - The decoded bytes
+ */
+function decodeBase64(text) {
+  if (!/^[A-Za-z0-9+/_-]+={0,2}$/.test(text)) {
+    throw new ValidationError('Encoded diagram is not valid base64');
+  }
+  return Buffer.from(text, 'base64');
+}
+
+/**
+ * Read the diagram from decoded link text, which is either a mermaid.live
+ * editor state ({ code, mermaid }) or the raw diagram source
+ * @param {string} text - The decoded text
+ * @returns {{code: string, theme: (string|undefined)}} - The diagram and any theme in the state
+ */
+function parseDiagramState(text) {
+  let state;
+  try {
+    state = JSON.parse(text);
+  } catch (error) {
+    return { code: text, theme: undefined };
+  }
+
+  if (!state || typeof state.code !== 'string') {
+    return { code: text, theme: undefined };
+  }
+
+  // The editor stores its Mermaid config as a JSON string
+  let mermaidConfig = state.mermaid;
+  if (typeof mermaidConfig === 'string') {
+    try {
+      mermaidConfig = JSON.parse(mermaidConfig);
+    } catch (error) {
+      mermaidConfig = undefined;
+    }
+  }
+
+  return {
+    code: state.code,
+    theme: mermaidConfig && typeof mermaidConfig.theme === 'string' ? mermaidConfig.theme : undefined
+  };
+}
+
+/**
+ * Decode a diagram from a mermaid.ink-style link segment:
+ * "pako:<base64url deflate>" as in mermaid.live share links,
+ * "base64:<base64url>" or a bare base64url string
+ * @param {string} encoded - The encoded path segment
+ * @returns {{code: string, theme: (string|undefined)}} - The diagram source and any theme it carries
+ */
+function decodeDiagram(encoded) {
+  const separator = (encoded || '').indexOf(':');
+  const scheme = separator === -1 ? 'base64' : encoded.slice(0, separator);
+  const payload = separator === -1 ? encoded : encoded.slice(separator + 1);
+
+  let text;
+  if (scheme === 'pako') {
+    try {
+      text = zlib.inflateSync(decodeBase64(payload), { maxOutputLength: MAX_DECODED_LENGTH }).toString('utf8');
+    } catch (error) {
+      if (error instanceof ValidationError) throw error;
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw new ValidationError('Encoded diagram is too large');
+      }
+      throw new ValidationError('Encoded diagram could not be decompressed');
+    }
+  } else if (scheme === 'base64') {
+    const decoded = decodeBase64(payload);
+    if (decoded.length > MAX_DECODED_LENGTH) {
+      throw new ValidationError('Encoded diagram is too large');
+    }
+    text = decoded.toString('utf8');
+  } else {
+    throw new ValidationError(`Unsupported diagram encoding: ${scheme}`);
+  }
+
+  const diagram = parseDiagramState(text);
+  if (!diagram.code.trim()) {
+    throw new ValidationError('Encoded diagram is empty');
+  }
+  return diagram;
+}
+
+module.exports = {
+  decodeDiagram
+};
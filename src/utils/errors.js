@@ -0,0 +1,283 @@
+/**
+ * Base class for errors that map to a specific HTTP status and a stable,
+ * machine-readable error code in the JSON error envelope
+ */
+class ServiceError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  /**
+   * Body of the `error` field in the JSON error envelope
+   * @returns {Object} - The code, message and any error-specific fields
+   */
+  toJSON() {
+    const body = { code: this.code, message: this.message };
+    if (this.details !== undefined) {
+      body.details = this.details;
+    }
+    return body;
+  }
+}
+
+/**
+ * Error raised when request parameters fail validation
+ */
+class ValidationError extends ServiceError {
+  constructor(message, details) {
+    super(message, { status: 400, code: 'VALIDATION_ERROR', details });
+  }
+}
+
+/**
+ * Error raised when the Mermaid parser rejects a diagram
+ */
+class MermaidSyntaxError extends ServiceError {
+  constructor(message, { line, column } = {}) {
+    super(message, { status: 422, code: 'SYNTAX_ERROR' });
+    this.line = line;
+    this.column = column;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      line: this.line !== undefined ? this.line : null,
+      column: this.column !== undefined ? this.column : null
+    };
+  }
+}
+
+/**
+ * Error raised when a render takes longer than the render timeout
+ */
+class RenderTimeoutError extends ServiceError {
+  constructor(message) {
+    super(message, { status: 504, code: 'RENDER_TIMEOUT' });
+  }
+}
+
+/**
+ * Error raised when a valid diagram could not be rendered
+ */
+class RenderError extends ServiceError {
+  constructor(message) {
+    super(message, { status: 500, code: 'RENDER_FAILED' });
+  }
+}
+
+/**
+ * Error raised when the render queue cannot accept more work
+ */
+class QueueFullError extends ServiceError {
+  constructor(message, retryAfter) {
+    super(message, { status: 503, code: 'QUEUE_FULL' });
+    this.retryAfter = retryAfter; // Seconds clients should wait before retrying
+  }
+}
+
+/**
+ * Error raised when a queued render waits longer than the queue timeout
+ */
+class QueueTimeoutError extends ServiceError {
+  constructor(message, retryAfter) {
+    super(message, { status: 503, code: 'QUEUE_TIMEOUT' });
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Error raised when a render job does not exist (or has expired)
+ */
+class JobNotFoundError extends ServiceError {
+  constructor(message) {
+    super(message, { status: 404, code: 'JOB_NOT_FOUND' });
+  }
+}
+
+/**
+ * Error raised when the result of a render job that is still queued or running is requested
+ */
+class JobNotFinishedError extends ServiceError {
+  constructor(message) {
+    super(message, { status: 409, code: 'JOB_NOT_FINISHED' });
+  }
+}
+
+/**
+ * Error raised when the result of a failed render job is requested;
+ * details hold the error the render failed with
+ */
+class JobFailedError extends ServiceError {
+  constructor(message, details) {
+    super(message, { status: 409, code: 'JOB_FAILED', details });
+  }
+}
+
+/**
+ * Error raised when the job store holds as many unfinished jobs as it may
+ */
+class TooManyJobsError extends ServiceError {
+  constructor(message) {
+    super(message, { status: 503, code: 'TOO_MANY_JOBS' });
+  }
+}
+
+/**
+ * Error raised when a request lacks valid admin credentials
+ */
+class UnauthorizedError extends ServiceError {
+  constructor(message) {
+    super(message, { status: 401, code: 'UNAUTHORIZED' });
+  }
+}
+
+/**
+ * Error raised when a request targets an API that is switched off
+ */
+class ForbiddenError extends ServiceError {
+  constructor(message) {
+    super(message, { status: 403, code: 'FORBIDDEN' });
+  }
+}
+
+/**
+ * Error raised when a cache entry does not exist (or has expired)
+ */
+class CacheEntryNotFoundError extends ServiceError {
+  constructor(message) {
+    super(message, { status: 404, code: 'CACHE_ENTRY_NOT_FOUND' });
+  }
+}
+
+/**
+ * Error raised at startup when the configuration is invalid. Not a
+ * ServiceError: it stops the service instead of failing a request
+ */
+class ConfigError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = this.constructor.name;
+    this.problems = problems;
+  }
+}
+
+// Messages the Mermaid parsers and diagram detection produce for invalid input
+const syntaxErrorPattern = /(Parse|Lexical) error on line \d+|No diagram type detected|Syntax error in text/;
+
+/**
+ * Check whether an error message comes from the Mermaid parser
+ * @param {string} message - The error message (or mermaid-cli stderr)
+ * @returns {boolean} - Whether the message describes a syntax error
+ */
+function isSyntaxErrorMessage(message) {
+  return syntaxErrorPattern.test(message || '');
+}
+
+/**
+ * Extract the line and column from a Mermaid parser message such as
+ * "Parse error on line 2:\nA-->\n----^\nExpecting ..."
+ * @param {string} message - The parser error message
+ * @returns {{line: (number|undefined), column: (number|undefined)}} - The 1-based location, when present
+ */
+function parseSyntaxErrorLocation(message) {
+  const lines = (message || '').split('\n');
+  const headerIndex = lines.findIndex(line => /(Parse|Lexical) error on line \d+/.test(line));
+
+  if (headerIndex === -1) {
+    return { line: undefined, column: undefined };
+  }
+
+  const line = parseInt(lines[headerIndex].match(/on line (\d+)/)[1], 10);
+
+  // The parser points at the column with a caret under a source excerpt;
+  // the excerpt is only the start of the line when it is not elided with "..."
+  const excerpt = lines[headerIndex + 1] || '';
+  const pointer = lines[headerIndex + 2] || '';
+  const caret = pointer.indexOf('^');
+  const column = caret !== -1 && !excerpt.startsWith('...') ? caret + 1 : undefined;
+
+  return { line, column };
+}
+
+/**
+ * Create the syntax error for Mermaid parser output, dropping any
+ * "Error:" prefix and stack trace that mermaid-cli adds around it
+ * @param {string} output - The parser error message or mermaid-cli stderr
+ * @returns {MermaidSyntaxError} - The error with its location
+ */
+function createSyntaxError(output) {
+  const lines = output.split('\n');
+  const start = Math.max(0, lines.findIndex(line => syntaxErrorPattern.test(line)));
+  const stackStart = lines.findIndex((line, index) => index > start && /^\s+at /.test(line));
+
+  const message = lines
+    .slice(start, stackStart === -1 ? undefined : stackStart)
+    .join('\n')
+    .replace(/^.*?(?=(Parse|Lexical) error|No diagram type|Syntax error)/, '')
+    .trim();
+
+  return new MermaidSyntaxError(message, parseSyntaxErrorLocation(message));
+}
+
+/**
+ * Classify any error as a ServiceError. Client errors raised by Express
+ * middleware (e.g. malformed JSON) keep their status; other unexpected
+ * errors become internal errors whose message is never exposed
+ * @param {Error} error - The error to classify
+ * @param {string} [fallbackMessage] - Message for unexpected errors
+ * @returns {ServiceError} - The error to report
+ */
+function toServiceError(error, fallbackMessage = 'Internal Server Error') {
+  if (error instanceof ServiceError) {
+    return error;
+  }
+
+  return error && error.status >= 400 && error.status < 500
+    ? new ServiceError(error.message, { status: error.status, code: 'INVALID_REQUEST' })
+    : new ServiceError(fallbackMessage);
+}
+
+/**
+ * Send an error as the service's JSON error envelope:
+ * { success: false, error: { code, message, ...details } }
+ * @param {Object} res - The Express response
+ * @param {Error} error - The error to send
+ * @param {string} [fallbackMessage] - Message for unexpected errors, which are never exposed
+ */
+function sendError(res, error, fallbackMessage = 'Internal Server Error') {
+  const serviceError = toServiceError(error, fallbackMessage);
+
+  if (serviceError.retryAfter !== undefined) {
+    res.set('Retry-After', String(serviceError.retryAfter));
+  }
+
+  return res.status(serviceError.status).json({ success: false, error: serviceError.toJSON() });
+}
+
+module.exports = {
+  ServiceError,
+  ValidationError,
+  MermaidSyntaxError,
+  RenderTimeoutError,
+  RenderError,
+  QueueFullError,
+  QueueTimeoutError,
+  JobNotFoundError,
+  JobNotFinishedError,
+  JobFailedError,
+  TooManyJobsError,
+  UnauthorizedError,
+  ForbiddenError,
+  CacheEntryNotFoundError,
+  ConfigError,
+  isSyntaxErrorMessage,
+  parseSyntaxErrorLocation,
+  createSyntaxError,
+  toServiceError,
+  sendError
+};
\ No newline at end of file
@@ -1,11 +1,13 @@
 const fs = require('fs');
 const path = require('path');
+const config = require('../config');
+const defaultLogger = require('../config/logger');
 
-const tempDir = path.join(__dirname, '../../temp');
+const tempDir = config.tempDir;
 
 // Logger configuration
 let silent = false;
-let logger = console;
+let logger = defaultLogger;
 
 // Create a temporary file and return its path
 async function createTempFile(content) {
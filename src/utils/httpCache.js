@@ -0,0 +1,46 @@
+/**
+ * Strong ETag for a rendered image. The cache key covers the diagram, every
+ * render option and the render environment, so equal keys mean equal images
+ * @param {string} cacheKey - The image's cache key
+ * @returns {string} - The quoted ETag
+ */
+function toETag(cacheKey) {
+  return `"${cacheKey}"`;
+}
+
+/**
+ * Check an If-None-Match header against an ETag, using the weak comparison
+ * RFC 9110 prescribes for If-None-Match
+ * @param {string} [ifNoneMatch] - The header value, e.g. `"a", W/"b"` or `*`
+ * @param {string} etag - The current ETag
+ * @returns {boolean} - Whether the client's copy is current
+ */
+function matchesETag(ifNoneMatch, etag) {
+  if (!ifNoneMatch) {
+    return false;
+  }
+
+  if (ifNoneMatch.trim() === '*') {
+    return true;
+  }
+
+  const opaque = tag => tag.trim().replace(/^W\//, '');
+  return ifNoneMatch.split(',').some(tag => opaque(tag) === opaque(etag));
+}
+
+/**
+ * Set the validator and freshness headers of a rendered image
+ * @param {Object} res - The Express response
+ * @param {string} etag - The image's ETag
+ * @param {number} maxAge - Seconds the image may be reused; 0 makes clients revalidate every time
+ */
+function setCacheHeaders(res, etag, maxAge) {
+  res.set('ETag', etag);
+  res.set('Cache-Control', maxAge > 0 ? `public, max-age=${maxAge}` : 'no-cache');
+}
+
+module.exports = {
+  toETag,
+  matchesETag,
+  setCacheHeaders
+};
@@ -0,0 +1,273 @@
+/**
+ * Minimal Prometheus metrics: counters, gauges and histograms with labels,
+ * exposed in the Prometheus text format (version 0.0.4).
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const SIZE_BUCKETS = [1024, 10 * 1024, 50 * 1024, 100 * 1024, 500 * 1024, 1024 * 1024, 5 * 1024 * 1024, 10 * 1024 * 1024];
+
+const escapeHelp = value => value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+const escapeLabelValue = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+// Sample values in the text format, which spells infinities out
+const formatValue = value => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+const formatLabels = labels => {
+  const pairs = Object.keys(labels).map(name => `${name}="${escapeLabelValue(labels[name])}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // serialized label values -> { labels, ...state }
+  }
+
+  /**
+   * The series of a set of label values, created on first use
+   * @param {Object} labels - A value for each of the metric's label names
+   * @returns {Object} - The series state
+   */
+  getSeries(labels = {}) {
+    const values = this.labelNames.map(name => (labels[name] !== undefined && labels[name] !== null ? String(labels[name]) : ''));
+    const id = JSON.stringify(values);
+
+    let series = this.series.get(id);
+    if (!series) {
+      const seriesLabels = {};
+      this.labelNames.forEach((name, index) => {
+        seriesLabels[name] = values[index];
+      });
+      series = this.createSeries(seriesLabels);
+      this.series.set(id, series);
+    }
+    return series;
+  }
+
+  createSeries(labels) {
+    return { labels, value: 0 };
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  /**
+   * The metric in the text format
+   * @returns {string} - HELP and TYPE lines followed by a line per sample
+   */
+  serialize() {
+    const lines = [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      lines.push(...this.serializeSeries(series));
+    }
+    return lines.join('\n');
+  }
+
+  serializeSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  /**
+   * @param {Object} [labels] - Label values
+   * @param {number} [amount=1] - Amount to add, never negative
+   */
+  inc(labels, amount = 1) {
+    this.getSeries(labels).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+  }
+
+  set(labels, value) {
+    this.getSeries(labels).value = value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(options) {
+    super('histogram', options);
+    this.buckets = options.buckets || DURATION_BUCKETS;
+  }
+
+  createSeries(labels) {
+    return { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - The observed value
+   */
+  observe(labels, value) {
+    const series = this.getSeries(labels);
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Time an operation in seconds
+   * @param {Object} labels - Label values, to which the returned function's labels are added
+   * @returns {Function} - Call it when the operation ends to observe its duration
+   */
+  startTimer(labels = {}) {
+    const startedAt = process.hrtime.bigint();
+    return (endLabels = {}) => {
+      this.observe({ ...labels, ...endLabels }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    };
+  }
+
+  serializeSeries(series) {
+    const lines = this.buckets.map((bound, index) => (
+      `${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`
+    ));
+    lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+    lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+    lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+    this.contentType = CONTENT_TYPE;
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  reset() {
+    for (const metric of this.metrics.values()) {
+      metric.reset();
+    }
+  }
+
+  /**
+   * Every registered metric in the text format
+   * @returns {string} - The exposition, ending with a newline
+   */
+  serialize() {
+    return `${Array.from(this.metrics.values(), metric => metric.serialize()).join('\n')}\n`;
+  }
+}
+
+/**
+ * Register the service's metrics
+ * @param {Registry} registry - Registry to add them to
+ * @returns {Object} - The metrics by name
+ */
+function createMetrics(registry) {
+  return {
+    httpRequests: registry.counter({
+      name: 'http_requests_total',
+      help: 'HTTP requests by method, route and status code',
+      labelNames: ['method', 'route', 'status']
+    }),
+    httpRequestDuration: registry.histogram({
+      name: 'http_request_duration_seconds',
+      help: 'Time to respond to HTTP requests',
+      labelNames: ['method', 'route', 'status']
+    }),
+    renders: registry.counter({
+      name: 'mermaid_renders_total',
+      help: 'Diagram renders (cache misses) by diagram type, format and result',
+      labelNames: ['diagram_type', 'format', 'result']
+    }),
+    renderDuration: registry.histogram({
+      name: 'mermaid_render_duration_seconds',
+      help: 'Time to render a diagram, excluding time waiting in the render queue',
+      labelNames: ['diagram_type', 'format', 'result']
+    }),
+    renderOutputBytes: registry.histogram({
+      name: 'mermaid_render_output_bytes',
+      help: 'Size of rendered images',
+      labelNames: ['diagram_type', 'format'],
+      buckets: SIZE_BUCKETS
+    }),
+    fallbackRenders: registry.counter({
+      name: 'mermaid_fallback_renders_total',
+      help: 'Renders that fell back to a dedicated Gantt or ZenUML page',
+      labelNames: ['diagram_type']
+    }),
+    cacheHits: registry.counter({
+      name: 'mermaid_cache_hits_total',
+      help: 'Cache lookups that found a rendered image',
+      labelNames: ['store']
+    }),
+    cacheMisses: registry.counter({
+      name: 'mermaid_cache_misses_total',
+      help: 'Cache lookups that found no rendered image',
+      labelNames: ['store']
+    }),
+    cacheEvictions: registry.counter({
+      name: 'mermaid_cache_evictions_total',
+      help: 'Cache entries removed because they expired, to stay within size limits, or by an administrator',
+      labelNames: ['store', 'reason']
+    }),
+    renderQueueActive: registry.gauge({
+      name: 'mermaid_render_queue_active',
+      help: 'Renders running'
+    }),
+    renderQueueDepth: registry.gauge({
+      name: 'mermaid_render_queue_depth',
+      help: 'Renders waiting for a free render slot'
+    })
+  };
+}
+
+// Shared by every part of the service and exposed on /metrics
+const registry = new Registry();
+const metrics = createMetrics(registry);
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  Registry,
+  createMetrics,
+  registry,
+  metrics,
+  DURATION_BUCKETS,
+  SIZE_BUCKETS
+};
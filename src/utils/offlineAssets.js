@@ -0,0 +1,74 @@
+const { pathToFileURL } = require('url');
+const { RenderError } = require('./errors');
+const { sandboxPage } = require('./pageSandbox');
+
+// Scripts the Gantt and ZenUML fallback pages load from node_modules, by the
+// global each one defines. Nothing is fetched from a CDN, so the fallbacks
+// render the same in a cluster without internet access.
+const FALLBACK_SCRIPTS = {
+  mermaid: 'mermaid/dist/mermaid.min.js',
+  'mermaid-zenuml': '@mermaid-js/mermaid-zenuml/dist/mermaid-zenuml.min.js'
+};
+
+/**
+ * Path of a locally installed fallback script
+ * @param {string} name - Global the script defines, a key of FALLBACK_SCRIPTS
+ * @returns {string} - Absolute path of the script
+ * @throws {RenderError} - When the package providing it is not installed
+ */
+function resolveScript(name) {
+  const specifier = FALLBACK_SCRIPTS[name];
+  if (!specifier) {
+    throw new RenderError(`Unknown fallback script: ${name}`);
+  }
+
+  try {
+    return require.resolve(specifier);
+  } catch (error) {
+    throw new RenderError(`Fallback renderer asset ${specifier} is not installed; run npm install`);
+  }
+}
+
+/**
+ * Script tags loading fallback scripts from disk, for a page opened from a file:// URL
+ * @param {string[]} names - Globals of the scripts, in load order
+ * @returns {string} - The tags
+ * @throws {RenderError} - When a script is not installed
+ */
+function scriptTags(names) {
+  return names.map(name => `<script src="${pathToFileURL(resolveScript(name)).href}"></script>`).join('\n  ');
+}
+
+/**
+ * Abort every request of a page except for the page itself and the fallback
+ * scripts it loads, so a diagram can never make the renderer reach the network
+ * @param {Page} page - Puppeteer page, before it navigates
+ * @param {string} htmlFile - Absolute path of the page's HTML file
+ * @param {string[]} names - Globals of the scripts the page loads
+ * @param {Function} [onBlocked] - Called with the URL of each aborted request
+ */
+async function blockNetworkRequests(page, htmlFile, names, onBlocked) {
+  await sandboxPage(page, { allowedFiles: [htmlFile, ...names.map(resolveScript)], onBlocked });
+}
+
+/**
+ * Check that a page's fallback scripts ran; a page without them would render
+ * a blank image instead of failing
+ * @param {Page} page - Puppeteer page, after it loaded
+ * @param {string[]} names - Globals of the scripts
+ * @throws {RenderError} - Naming the scripts that did not load
+ */
+async function assertScriptsLoaded(page, names) {
+  const missing = await page.evaluate(globals => globals.filter(name => !window[name]), names);
+  if (missing.length > 0) {
+    throw new RenderError(`Fallback renderer scripts did not load: ${missing.map(name => FALLBACK_SCRIPTS[name]).join(', ')}`);
+  }
+}
+
+module.exports = {
+  FALLBACK_SCRIPTS,
+  resolveScript,
+  scriptTags,
+  blockNetworkRequests,
+  assertScriptsLoaded
+};
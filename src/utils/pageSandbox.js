@@ -0,0 +1,30 @@
+const { pathToFileURL } = require('url');
+
+/**
+ * Confine a Puppeteer page rendering a diagram: every request is aborted
+ * except for data: URLs and the given local files. A diagram can then neither
+ * reach the network (including cloud metadata endpoints) nor read files from
+ * disk, whatever its labels contain
+ * @param {Page} page - Puppeteer page, before it loads anything
+ * @param {Object} [options]
+ * @param {string[]} [options.allowedFiles] - Absolute paths the page may load, e.g. its HTML file
+ * @param {Function} [options.onBlocked] - Called with the URL of each aborted request
+ */
+async function sandboxPage(page, { allowedFiles = [], onBlocked = () => {} } = {}) {
+  const allowedUrls = new Set(allowedFiles.map(file => pathToFileURL(file).href));
+
+  await page.setRequestInterception(true);
+  page.on('request', request => {
+    const url = request.url();
+    if (allowedUrls.has(url) || url.startsWith('data:')) {
+      request.continue();
+      return;
+    }
+    onBlocked(url);
+    request.abort('blockedbyclient');
+  });
+}
+
+module.exports = {
+  sandboxPage
+};
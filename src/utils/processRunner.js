@@ -0,0 +1,122 @@
+const { spawn } = require('child_process');
+
+// Output kept per stream; mermaid-cli only prints progress and errors
+const DEFAULT_MAX_OUTPUT_BYTES = 1024 * 1024;
+
+const isWindows = process.platform === 'win32';
+
+/**
+ * Collects a stream's output up to a size limit, counting what it drops
+ * @param {number} maxBytes - Bytes to keep
+ */
+class OutputCollector {
+  constructor(maxBytes) {
+    this.maxBytes = maxBytes;
+    this.chunks = [];
+    this.keptBytes = 0;
+    this.droppedBytes = 0;
+  }
+
+  push(chunk) {
+    const kept = chunk.subarray(0, Math.max(0, this.maxBytes - this.keptBytes));
+    if (kept.length > 0) {
+      this.chunks.push(kept);
+      this.keptBytes += kept.length;
+    }
+    this.droppedBytes += chunk.length - kept.length;
+  }
+
+  toString() {
+    const text = Buffer.concat(this.chunks).toString('utf8');
+    return this.droppedBytes > 0 ? `${text}\n[${this.droppedBytes} more bytes of output dropped]` : text;
+  }
+}
+
+/**
+ * Kill a process and everything it started. The process leads its own
+ * process group (see runProcess), so one signal reaches e.g. mermaid-cli's
+ * Chromium as well; Windows has taskkill walk the tree instead
+ * @param {ChildProcess} child - The process
+ */
+function killProcessTree(child) {
+  if (isWindows) {
+    spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { windowsHide: true, stdio: 'ignore' }).on('error', () => {});
+    return;
+  }
+
+  try {
+    process.kill(-child.pid, 'SIGKILL');
+  } catch (error) {
+    // The group is already gone; make sure the process itself is
+    child.kill('SIGKILL');
+  }
+}
+
+/**
+ * Run a program with an argument array. No shell is involved, so arguments
+ * reach the program verbatim whatever characters they contain
+ * @param {string} command - Path or name of the executable
+ * @param {string[]} args - Its arguments
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Milliseconds after which the process and its children are killed
+ * @param {number} [options.maxOutputBytes=1048576] - Bytes of stdout and of stderr to keep
+ * @param {string} [options.cwd] - Working directory
+ * @param {Object} [options.env] - Environment variables, instead of the service's
+ * @returns {Promise<{stdout: string, stderr: string}>} - Output of a process exiting with code 0
+ * @throws {Error} - On any other exit, with exitCode, signal, killed (timed out), stdout and stderr
+ */
+function runProcess(command, args, options = {}) {
+  if (typeof command !== 'string' || command === '' || !Array.isArray(args) || !args.every(arg => typeof arg === 'string')) {
+    return Promise.reject(new TypeError('runProcess expects a command and an array of string arguments'));
+  }
+
+  const { timeout, maxOutputBytes = DEFAULT_MAX_OUTPUT_BYTES, cwd, env } = options;
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      cwd,
+      env,
+      shell: false,
+      windowsHide: true,
+      detached: !isWindows, // Lead a new process group, so the whole tree can be killed
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    const stdout = new OutputCollector(maxOutputBytes);
+    const stderr = new OutputCollector(maxOutputBytes);
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', chunk => stderr.push(chunk));
+
+    let timedOut = false;
+    const timer = timeout ? setTimeout(() => {
+      timedOut = true;
+      killProcessTree(child);
+    }, timeout) : null;
+
+    // Spawning failed, e.g. the executable does not exist
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(Object.assign(error, { stdout: stdout.toString(), stderr: stderr.toString(), killed: false }));
+    });
+
+    child.on('close', (exitCode, signal) => {
+      clearTimeout(timer);
+      const output = { stdout: stdout.toString(), stderr: stderr.toString() };
+
+      if (exitCode === 0 && !timedOut) {
+        return resolve(output);
+      }
+
+      const reason = timedOut
+        ? `timed out after ${timeout}ms`
+        : signal ? `was killed with ${signal}` : `exited with code ${exitCode}`;
+      reject(Object.assign(new Error(`${command} ${reason}`), { exitCode, signal, killed: timedOut, ...output }));
+    });
+  });
+}
+
+module.exports = {
+  runProcess,
+  killProcessTree,
+  DEFAULT_MAX_OUTPUT_BYTES
+};
@@ -0,0 +1,104 @@
+const { getOutputFormat, DEFAULT_QUALITY } = require('../config/outputFormats');
+const { DEFAULT_BACKGROUND_COLOR } = require('../config/themes');
+
+// Helper to build the service render options from request parameters
+function getRenderOptions(params) {
+  const width = params.width ? parseInt(params.width) : undefined;
+  const height = params.height ? parseInt(params.height) : undefined;
+  const scaleFactor = params.scaleFactor ? parseFloat(params.scaleFactor) : undefined;
+  const outputFormat = getOutputFormat(params.format);
+  
+  return {
+    width,
+    height,
+    // Set default scale factor for wide diagrams if not explicitly provided
+    scaleFactor: scaleFactor || (hasWideAspectRatio(width, height) ? 2.5 : undefined),
+    format: outputFormat.name,
+    // Encoder quality only applies to lossy formats
+    ...(outputFormat.lossy ? { quality: params.quality ? parseInt(params.quality) : DEFAULT_QUALITY } : {}),
+    // Page layout only applies to PDF output
+    ...(outputFormat.name === 'pdf' ? getPdfOptions(params) : {}),
+    // Themes, theme variables and CSS apply over the configured ones for this render only
+    ...(params.theme ? { theme: params.theme } : {}),
+    ...(params.themeVariables && Object.keys(params.themeVariables).length > 0 ? { themeVariables: params.themeVariables } : {}),
+    ...(params.css ? { css: params.css } : {}),
+    ...(params.backgroundColor ? { backgroundColor: getBackgroundColor(params.backgroundColor, outputFormat) } : {}),
+    // Pass through diagram type for optimizations
+    diagramType: getDiagramType(params.mermaidSyntax)
+  };
+}
+
+// Helper to build service render items from the items of a batch request
+function getBatchItems(items) {
+  return items.map((item, index) => ({
+    id: item.id || `diagram-${index + 1}`,
+    mermaidCode: item.mermaidSyntax,
+    options: getRenderOptions({
+      mermaidSyntax: item.mermaidSyntax,
+      width: item.width,
+      height: item.height,
+      format: item.format,
+      scaleFactor: item.scaleFactor,
+      quality: item.quality,
+      pageSize: item.pageSize,
+      orientation: item.orientation,
+      margin: item.margin,
+      theme: item.theme,
+      themeVariables: item.themeVariables,
+      css: item.css,
+      backgroundColor: item.backgroundColor
+    })
+  }));
+}
+
+// Helper to normalize the background color; JPEG has no alpha channel,
+// so transparent JPEGs are rendered on the default background
+function getBackgroundColor(backgroundColor, outputFormat) {
+  const color = backgroundColor.toLowerCase();
+  return color === 'transparent' && outputFormat.name === 'jpeg' ? DEFAULT_BACKGROUND_COLOR : color;
+}
+
+// Helper to detect requested canvases that are much wider than tall
+function hasWideAspectRatio(width, height) {
+  return Boolean(width && height && (width / height > 2.5));
+}
+
+// Helper to collect the PDF page layout options from the request body
+function getPdfOptions(body) {
+  const pdfOptions = {};
+  
+  if (body.pageSize) pdfOptions.pageSize = body.pageSize;
+  if (body.orientation) pdfOptions.orientation = body.orientation;
+  if (body.margin !== undefined) pdfOptions.margin = parseFloat(body.margin);
+  
+  return pdfOptions;
+}
+
+// Helper to identify the diagram type from the syntax
+function getDiagramType(syntax) {
+  if (!syntax) return 'unknown';
+  
+  if (syntax.trim().startsWith('flowchart')) return 'flowchart';
+  if (syntax.trim().startsWith('graph')) return 'flowchart';
+  if (syntax.trim().startsWith('sequenceDiagram')) return 'sequence';
+  if (syntax.trim().startsWith('classDiagram')) return 'class';
+  if (syntax.trim().startsWith('stateDiagram')) return 'state';
+  if (syntax.trim().startsWith('gantt')) return 'gantt';
+  if (syntax.trim().startsWith('pie')) return 'pie';
+  if (syntax.trim().startsWith('erDiagram')) return 'er';
+  if (syntax.trim().startsWith('journey')) return 'journey';
+  if (syntax.trim().startsWith('gitGraph')) return 'gitgraph';
+  if (syntax.trim().startsWith('mindmap')) return 'mindmap';
+  if (syntax.trim().startsWith('timeline')) return 'timeline';
+  if (syntax.trim().startsWith('quadrantChart')) return 'quadrant';
+  
+  return 'unknown';
+}
+
+module.exports = {
+  getRenderOptions,
+  getBatchItems,
+  hasWideAspectRatio,
+  getPdfOptions,
+  getDiagramType
+};
@@ -55,6 +55,16 @@ async function testCaching() {
   // Initialize the service 
   const mermaidService = new MermaidService({ silent: false });
   
+  try {
+    await runPasses(mermaidService);
+  } finally {
+    // Close the browsers, or the process never exits
+    await mermaidService.close();
+  }
+}
+
+// Convert every diagram four times and print how much the cache saved
+async function runPasses(mermaidService) {
   // First pass - should create cache entries
   console.log('\n=== FIRST PASS (CACHE CREATION) ===');
   const firstPassTimes = {};
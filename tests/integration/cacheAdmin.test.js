@@ -0,0 +1,192 @@
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const CacheAdminController = require('../../src/controllers/cacheAdminController');
+const CacheHelper = require('../../src/utils/cacheHelper');
+const adminAuth = require('../../src/middleware/adminAuth');
+const config = require('../../src/config');
+const { validateBatch, validateCacheList, validateCachePurge } = require('../../src/middleware/validator');
+const { MermaidSyntaxError } = require('../../src/utils/errors');
+
+const cacheHelper = new CacheHelper({ silent: true, store: 'memory' });
+
+// Mock MermaidService around a real in-memory cache
+const mockMermaidService = {
+  cacheHelper,
+  warmCache: jest.fn()
+};
+
+// Create a test app for integration tests
+function createTestApp() {
+  const app = express();
+  app.use(bodyParser.json());
+
+  const controller = new CacheAdminController(mockMermaidService, { silent: true });
+
+  const router = express.Router();
+  router.use(adminAuth);
+  router.get('/stats', controller.getStats.bind(controller));
+  router.get('/entries', validateCacheList, controller.listEntries.bind(controller));
+  router.delete('/entries/:key', controller.evictEntry.bind(controller));
+  router.post('/purge', validateCachePurge, controller.purge.bind(controller));
+  router.post('/warm', validateBatch, controller.warm.bind(controller));
+
+  app.use('/admin/cache', router);
+
+  return app;
+}
+
+const app = createTestApp();
+const auth = { Authorization: 'Bearer test-token' };
+
+// Cache an image the way renders do
+function cacheDiagram(key, diagram, diagramType, format = 'png') {
+  return cacheHelper.cacheItem(key, Buffer.from(`${format} data`), format, {
+    diagram,
+    diagramType,
+    options: cacheHelper.getCacheKeyOptions({ format })
+  });
+}
+
+describe('Cache admin API', () => {
+  const originalToken = config.admin.apiToken;
+
+  beforeEach(async () => {
+    config.admin.apiToken = 'test-token';
+    jest.clearAllMocks();
+    await cacheHelper.store.close();
+    cacheHelper.hits = 0;
+    cacheHelper.misses = 0;
+
+    await cacheDiagram('flow1', 'graph TD; A-->B;', 'flowchart');
+    await cacheDiagram('seq1', 'sequenceDiagram\n  A->>B: Hi', 'sequence', 'svg');
+  });
+
+  afterAll(() => {
+    config.admin.apiToken = originalToken;
+  });
+
+  describe('authentication', () => {
+    it('should reject requests without a valid token', async () => {
+      const missing = await request(app).get('/admin/cache/stats');
+      const wrong = await request(app).get('/admin/cache/stats').set('Authorization', 'Bearer nope');
+
+      expect(missing.status).toBe(401);
+      expect(missing.headers['www-authenticate']).toBe('Bearer');
+      expect(missing.body.error.code).toBe('UNAUTHORIZED');
+      expect(wrong.status).toBe(401);
+    });
+
+    it('should be disabled when no admin token is configured', async () => {
+      config.admin.apiToken = null;
+
+      const response = await request(app).get('/admin/cache/stats').set(auth);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('FORBIDDEN');
+    });
+  });
+
+  it('should report cache statistics', async () => {
+    await cacheHelper.getCachedItem('seq1');
+    await cacheHelper.getCachedItem('missing');
+
+    const response = await request(app).get('/admin/cache/stats').set(auth);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual(expect.objectContaining({
+      success: true,
+      store: 'memory',
+      items: 2,
+      bytes: 16,
+      hits: 1,
+      misses: 1,
+      hitRatio: 0.5
+    }));
+    expect(response.body.oldestEntry).toEqual(expect.objectContaining({ key: 'flow1', diagramType: 'flowchart', format: 'png' }));
+  });
+
+  it('should list entries with their diagram and options', async () => {
+    const response = await request(app).get('/admin/cache/entries?diagramType=sequence').set(auth);
+
+    expect(response.status).toBe(200);
+    expect(response.body.total).toBe(1);
+    expect(response.body.entries).toEqual([expect.objectContaining({
+      key: 'seq1',
+      size: 8,
+      format: 'svg',
+      diagramType: 'sequence',
+      diagram: 'sequenceDiagram\n  A->>B: Hi',
+      options: expect.objectContaining({ format: 'svg' })
+    })]);
+  });
+
+  it('should validate listing parameters', async () => {
+    const response = await request(app).get('/admin/cache/entries?limit=0').set(auth);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('should evict a single entry', async () => {
+    const response = await request(app).delete('/admin/cache/entries/flow1').set(auth);
+    const again = await request(app).delete('/admin/cache/entries/flow1').set(auth);
+
+    expect(response.status).toBe(200);
+    expect(await cacheHelper.getCachedItem('flow1')).toBeNull();
+    expect(again.status).toBe(404);
+    expect(again.body.error.code).toBe('CACHE_ENTRY_NOT_FOUND');
+  });
+
+  it('should purge entries by diagram type', async () => {
+    const response = await request(app).post('/admin/cache/purge').set(auth).send({ diagramType: 'flowchart' });
+
+    expect(response.body).toEqual({ success: true, purged: 1 });
+    expect((await cacheHelper.listEntries()).entries.map(entry => entry.key)).toEqual(['seq1']);
+  });
+
+  it('should purge entries by age', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 60 * 1000);
+
+    const recent = await request(app).post('/admin/cache/purge').set(auth).send({ olderThan: 120 });
+    const old = await request(app).post('/admin/cache/purge').set(auth).send({ olderThan: 30 });
+    Date.now.mockRestore();
+
+    expect(recent.body.purged).toBe(0);
+    expect(old.body.purged).toBe(2);
+  });
+
+  it('should require a purge criterion', async () => {
+    const response = await request(app).post('/admin/cache/purge').set(auth).send({});
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.message).toBe('Purge requires olderThan, diagramType or both');
+  });
+
+  it('should pre-warm the cache from a list of diagrams', async () => {
+    mockMermaidService.warmCache.mockResolvedValue([
+      { key: 'a', status: 'rendered' },
+      { key: 'b', status: 'cached' },
+      { key: 'c', status: 'failed', error: new MermaidSyntaxError('Parse error on line 1', { line: 1 }) }
+    ]);
+
+    const response = await request(app).post('/admin/cache/warm').set(auth).send({
+      items: [
+        { mermaidSyntax: 'graph TD; A-->B;', format: 'svg' },
+        { id: 'known', mermaidSyntax: 'graph TD; B-->C;' },
+        { mermaidSyntax: 'graph TD; A-->' }
+      ]
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual(expect.objectContaining({ rendered: 1, cached: 1, failed: 1 }));
+    expect(response.body.results[1]).toEqual({ id: 'known', key: 'b', status: 'cached' });
+    expect(response.body.results[2].error.code).toBe('SYNTAX_ERROR');
+    expect(mockMermaidService.warmCache).toHaveBeenCalledWith([
+      expect.objectContaining({ id: 'diagram-1', mermaidCode: 'graph TD; A-->B;', options: expect.objectContaining({ format: 'svg' }) }),
+      expect.objectContaining({ id: 'known' }),
+      expect.objectContaining({ id: 'diagram-3' })
+    ]);
+  });
+});
@@ -1,3 +1,4 @@
+const { PassThrough } = require('stream');
 const request = require('supertest');
 const express = require('express');
 const bodyParser = require('body-parser');
@@ -19,11 +20,28 @@ const mockLogger = {
 
 // Mock MermaidService
 const mockMermaidService = {
+  getCacheKey: jest.fn().mockImplementation((mermaidCode, options = {}) => (
+    require('crypto').createHash('sha256').update(JSON.stringify([mermaidCode, options])).digest('hex')
+  )),
   convertMermaidToImage: jest.fn().mockImplementation((mermaidCode, options = {}) => {
     if (!mermaidCode || mermaidCode.includes('invalid syntax')) {
       return Promise.reject(new Error('Invalid Mermaid syntax'));
     }
     return Promise.resolve(Buffer.from('mock image data'));
+  }),
+  convertMermaidBatch: jest.fn().mockImplementation((items) => Promise.all(items.map(item => (
+    mockMermaidService.convertMermaidToImage(item.mermaidCode, item.options)
+      .then(buffer => ({ success: true, buffer }), error => ({ success: false, error }))
+  )))),
+  validateMermaidSyntax: jest.fn().mockImplementation((mermaidCode) => {
+    if (mermaidCode.includes('-->;')) {
+      return Promise.resolve({
+        valid: false,
+        diagramType: 'flowchart-v2',
+        errors: [{ line: 2, column: 4, message: 'Parse error on line 2' }]
+      });
+    }
+    return Promise.resolve({ valid: true, diagramType: 'flowchart-v2', errors: [] });
   })
 };
 
@@ -38,6 +56,9 @@ function createTestApp() {
   // Create the route
   const router = express.Router();
   router.post('/image', validateMermaidSyntax, controller.convertImage.bind(controller));
+  router.get('/image/:encoded', validateMermaidSyntax.validateImageQuery, controller.convertEncodedImage.bind(controller));
+  router.post('/batch', validateMermaidSyntax.validateBatch, controller.convertBatch.bind(controller));
+  router.post('/validate', validateMermaidSyntax.validateSyntaxCheck, controller.validateSyntax.bind(controller));
   
   app.use('/convert', router);
   
@@ -107,7 +128,7 @@ describe('POST /convert/image', () => {
       .set('Content-Type', 'application/json');
 
     expect(response.status).toBe(400);
-    expect(response.body.errors).toBeDefined();
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
     expect(mockMermaidService.convertMermaidToImage).not.toHaveBeenCalled();
   });
 
@@ -123,10 +144,217 @@ describe('POST /convert/image', () => {
       .set('Content-Type', 'application/json');
 
     expect(response.status).toBe(400);
-    expect(response.body.errors).toBeDefined();
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    expect(mockMermaidService.convertMermaidToImage).not.toHaveBeenCalled();
+  });
+
+  it('should return an SVG image when format is svg', async () => {
+    const mermaidSyntax = `
+      graph TD;
+      A-->B;
+    `;
+
+    const response = await request(app)
+      .post('/convert/image')
+      .send({ mermaidSyntax, format: 'svg' })
+      .set('Content-Type', 'application/json');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/image\/svg\+xml/);
+    expect(mockMermaidService.convertMermaidToImage).toHaveBeenCalledWith(
+      mermaidSyntax,
+      expect.objectContaining({ format: 'svg' })
+    );
+    expect(JSON.parse(response.headers['x-rendering-options']).format).toBe('svg');
+  });
+
+  it('should return 400 if format is not supported', async () => {
+    const mermaidSyntax = `
+      graph TD;
+      A-->B;
+    `;
+
+    const response = await request(app)
+      .post('/convert/image')
+      .send({ mermaidSyntax, format: 'gif' })
+      .set('Content-Type', 'application/json');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    expect(mockMermaidService.convertMermaidToImage).not.toHaveBeenCalled();
+  });
+
+  it('should return a PDF with page layout options when format is pdf', async () => {
+    const mermaidSyntax = `
+      graph TD;
+      A-->B;
+    `;
+
+    const response = await request(app)
+      .post('/convert/image')
+      .send({ mermaidSyntax, format: 'pdf', pageSize: 'A4', orientation: 'landscape', margin: 10 })
+      .set('Content-Type', 'application/json');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/application\/pdf/);
+    expect(mockMermaidService.convertMermaidToImage).toHaveBeenCalledWith(
+      mermaidSyntax,
+      expect.objectContaining({ format: 'pdf', pageSize: 'A4', orientation: 'landscape', margin: 10 })
+    );
+  });
+
+  it('should return 400 if PDF page size is not supported', async () => {
+    const mermaidSyntax = `
+      graph TD;
+      A-->B;
+    `;
+
+    const response = await request(app)
+      .post('/convert/image')
+      .send({ mermaidSyntax, format: 'pdf', pageSize: 'Tabloid' })
+      .set('Content-Type', 'application/json');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    expect(mockMermaidService.convertMermaidToImage).not.toHaveBeenCalled();
+  });
+
+  it('should return a JPEG with the requested quality when format is jpeg', async () => {
+    const mermaidSyntax = `
+      graph TD;
+      A-->B;
+    `;
+
+    const response = await request(app)
+      .post('/convert/image')
+      .send({ mermaidSyntax, format: 'jpeg', quality: 75 })
+      .set('Content-Type', 'application/json');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/image\/jpeg/);
+    expect(mockMermaidService.convertMermaidToImage).toHaveBeenCalledWith(
+      mermaidSyntax,
+      expect.objectContaining({ format: 'jpeg', quality: 75 })
+    );
+    expect(JSON.parse(response.headers['x-rendering-options'])).toEqual(
+      expect.objectContaining({ format: 'jpeg', quality: 75 })
+    );
+  });
+
+  it('should use the default quality for WebP when none is provided', async () => {
+    const mermaidSyntax = `
+      graph TD;
+      A-->B;
+    `;
+
+    const response = await request(app)
+      .post('/convert/image')
+      .send({ mermaidSyntax, format: 'webp' })
+      .set('Content-Type', 'application/json');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/image\/webp/);
+    expect(mockMermaidService.convertMermaidToImage).toHaveBeenCalledWith(
+      mermaidSyntax,
+      expect.objectContaining({ format: 'webp', quality: 90 })
+    );
+  });
+
+  it('should return 400 if quality is out of range', async () => {
+    const mermaidSyntax = `
+      graph TD;
+      A-->B;
+    `;
+
+    const response = await request(app)
+      .post('/convert/image')
+      .send({ mermaidSyntax, format: 'jpeg', quality: 150 })
+      .set('Content-Type', 'application/json');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
     expect(mockMermaidService.convertMermaidToImage).not.toHaveBeenCalled();
   });
 
+  it('should pass the theme, theme variables and CSS to the service', async () => {
+    const mermaidSyntax = 'graph TD; A-->B;';
+    const themeVariables = { primaryColor: '#1f2937', fontSize: 16 };
+
+    const response = await request(app)
+      .post('/convert/image')
+      .send({ mermaidSyntax, theme: 'dark', themeVariables, css: '.node rect { rx: 4px; }' });
+
+    expect(response.status).toBe(200);
+    expect(mockMermaidService.convertMermaidToImage).toHaveBeenCalledWith(
+      mermaidSyntax,
+      expect.objectContaining({ theme: 'dark', themeVariables, css: '.node rect { rx: 4px; }' })
+    );
+  });
+
+  it('should return 400 if theme variables are not named scalar values', async () => {
+    const response = await request(app)
+      .post('/convert/image')
+      .send({ mermaidSyntax: 'graph TD; A-->B;', themeVariables: { primaryColor: { nested: true } } });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.details[0].field).toBe('themeVariables');
+  });
+
+  it('should return 400 if the CSS imports other resources', async () => {
+    const response = await request(app)
+      .post('/convert/image')
+      .send({ mermaidSyntax: 'graph TD; A-->B;', css: '@import url("https://example.com/x.css");' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.details[0].field).toBe('css');
+  });
+
+  it('should return 400 if the CSS or theme variables load resources', async () => {
+    const cssResponse = await request(app)
+      .post('/convert/image')
+      .send({ mermaidSyntax: 'graph TD; A-->B;', css: '.node rect { fill: url("file:///etc/passwd"); }' });
+    const variablesResponse = await request(app)
+      .post('/convert/image')
+      .send({ mermaidSyntax: 'graph TD; A-->B;', themeVariables: { primaryColor: 'url(http://169.254.169.254/)' } });
+
+    expect(cssResponse.status).toBe(400);
+    expect(cssResponse.body.error.details[0].field).toBe('css');
+    expect(variablesResponse.status).toBe(400);
+    expect(variablesResponse.body.error.details[0].field).toBe('themeVariables');
+  });
+
+  it('should pass the background color to the service', async () => {
+    const response = await request(app)
+      .post('/convert/image')
+      .send({ mermaidSyntax: 'graph TD; A-->B;', backgroundColor: 'rgba(0, 0, 0, 0.5)' });
+
+    expect(response.status).toBe(200);
+    expect(mockMermaidService.convertMermaidToImage).toHaveBeenCalledWith(
+      'graph TD; A-->B;',
+      expect.objectContaining({ backgroundColor: 'rgba(0, 0, 0, 0.5)' })
+    );
+  });
+
+  it('should render transparent JPEGs on the default background', async () => {
+    await request(app)
+      .post('/convert/image')
+      .send({ mermaidSyntax: 'graph TD; A-->B;', format: 'jpeg', backgroundColor: 'transparent' });
+
+    expect(mockMermaidService.convertMermaidToImage).toHaveBeenCalledWith(
+      'graph TD; A-->B;',
+      expect.objectContaining({ backgroundColor: '#ffffff' })
+    );
+  });
+
+  it('should return 400 if the background color is invalid', async () => {
+    const response = await request(app)
+      .post('/convert/image')
+      .send({ mermaidSyntax: 'graph TD; A-->B;', backgroundColor: 'red; rm -rf /' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.details[0].field).toBe('backgroundColor');
+  });
+
   it('should return 500 for invalid Mermaid syntax', async () => {
     const invalidMermaidSyntax = `
       invalid syntax
@@ -141,6 +369,60 @@ describe('POST /convert/image', () => {
     expect(response.body.error).toBeDefined();
   });
 
+  it('should return 422 with the parser message and location for syntax errors', async () => {
+    const { MermaidSyntaxError } = require('../../src/utils/errors');
+    mockMermaidService.convertMermaidToImage.mockRejectedValueOnce(
+      new MermaidSyntaxError("Parse error on line 2:\nA-->\n---^\nExpecting 'NODE_STRING', got 'EOF'", { line: 2, column: 4 })
+    );
+
+    const response = await request(app)
+      .post('/convert/image')
+      .send({ mermaidSyntax: 'graph TD;\n A-->' })
+      .set('Content-Type', 'application/json');
+
+    expect(response.status).toBe(422);
+    expect(response.body).toEqual({
+      success: false,
+      error: {
+        code: 'SYNTAX_ERROR',
+        message: expect.stringContaining('Parse error on line 2'),
+        line: 2,
+        column: 4
+      }
+    });
+  });
+
+  it('should return 504 when the render times out', async () => {
+    const { RenderTimeoutError } = require('../../src/utils/errors');
+    mockMermaidService.convertMermaidToImage.mockRejectedValueOnce(
+      new RenderTimeoutError('Render timed out after 120000ms')
+    );
+
+    const response = await request(app)
+      .post('/convert/image')
+      .send({ mermaidSyntax: 'graph TD;\n A-->B;' })
+      .set('Content-Type', 'application/json');
+
+    expect(response.status).toBe(504);
+    expect(response.body.error.code).toBe('RENDER_TIMEOUT');
+  });
+
+  it('should return 503 with Retry-After when the render queue is full', async () => {
+    const { QueueFullError } = require('../../src/utils/errors');
+    mockMermaidService.convertMermaidToImage.mockRejectedValueOnce(
+      new QueueFullError('Render queue is full, try again later', 5)
+    );
+
+    const response = await request(app)
+      .post('/convert/image')
+      .send({ mermaidSyntax: 'graph TD;\n A-->B;' })
+      .set('Content-Type', 'application/json');
+
+    expect(response.status).toBe(503);
+    expect(response.headers['retry-after']).toBe('5');
+    expect(response.body.error.code).toBe('QUEUE_FULL');
+  });
+
   it('should return 400 if Mermaid syntax is missing', async () => {
     const response = await request(app)
       .post('/convert/image')
@@ -150,4 +432,344 @@ describe('POST /convert/image', () => {
     expect(response.status).toBe(400);
     expect(response.body.error).toBeDefined();
   });
-});
\ No newline at end of file
+});
+
+describe('GET /convert/image/:encoded', () => {
+  const mermaidSyntax = 'graph TD;\n  A-->B;';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should render a base64url encoded diagram with query options', async () => {
+    const encoded = Buffer.from(mermaidSyntax).toString('base64url');
+
+    const response = await request(app)
+      .get(`/convert/image/${encoded}?width=1200&height=800&format=svg&theme=dark`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/image\/svg\+xml/);
+    expect(mockMermaidService.convertMermaidToImage).toHaveBeenCalledWith(
+      mermaidSyntax,
+      expect.objectContaining({ width: 1200, height: 800, format: 'svg', theme: 'dark' })
+    );
+  });
+
+  it('should render mermaid.live pako links with their saved theme', async () => {
+    const state = JSON.stringify({ code: mermaidSyntax, mermaid: JSON.stringify({ theme: 'forest' }) });
+    const encoded = require('zlib').deflateSync(Buffer.from(state)).toString('base64url');
+
+    const response = await request(app).get(`/convert/image/pako:${encoded}`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/image\/png/);
+    expect(mockMermaidService.convertMermaidToImage).toHaveBeenCalledWith(
+      mermaidSyntax,
+      expect.objectContaining({ format: 'png', theme: 'forest' })
+    );
+  });
+
+  it('should return 400 for links that cannot be decoded', async () => {
+    const response = await request(app).get('/convert/image/pako:AAAA');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    expect(mockMermaidService.convertMermaidToImage).not.toHaveBeenCalled();
+  });
+
+  it('should return 400 if the theme is not supported', async () => {
+    const encoded = Buffer.from(mermaidSyntax).toString('base64url');
+
+    const response = await request(app).get(`/convert/image/${encoded}?theme=sepia`);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.details[0].field).toBe('theme');
+  });
+});
+
+describe('HTTP caching', () => {
+  const body = { mermaidSyntax: 'graph TD;\n  A-->B;', format: 'svg' };
+  const encoded = Buffer.from(body.mermaidSyntax).toString('base64url');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should send the cache key as a strong ETag with a Cache-Control max-age', async () => {
+    const response = await request(app).post('/convert/image').send(body);
+
+    expect(response.status).toBe(200);
+    expect(response.headers.etag).toMatch(/^"[0-9a-f]{64}"$/);
+    expect(response.headers['cache-control']).toBe('public, max-age=86400');
+  });
+
+  it('should give different renders different ETags', async () => {
+    const svg = await request(app).post('/convert/image').send(body);
+    const png = await request(app).post('/convert/image').send({ ...body, format: 'png' });
+
+    expect(svg.headers.etag).not.toBe(png.headers.etag);
+  });
+
+  it('should answer matching If-None-Match requests with 304 without rendering', async () => {
+    const first = await request(app).get(`/convert/image/${encoded}?format=svg`);
+    jest.clearAllMocks();
+
+    const response = await request(app)
+      .get(`/convert/image/${encoded}?format=svg`)
+      .set('If-None-Match', `"other", W/${first.headers.etag}`);
+
+    expect(response.status).toBe(304);
+    expect(response.headers.etag).toBe(first.headers.etag);
+    expect(response.headers['cache-control']).toBe('public, max-age=86400');
+    expect(mockMermaidService.convertMermaidToImage).not.toHaveBeenCalled();
+  });
+
+  it('should honor If-None-Match on POST renders', async () => {
+    const first = await request(app).post('/convert/image').send(body);
+
+    const response = await request(app).post('/convert/image').set('If-None-Match', first.headers.etag).send(body);
+    const changed = await request(app).post('/convert/image').set('If-None-Match', first.headers.etag).send({ ...body, width: 1200 });
+
+    expect(response.status).toBe(304);
+    expect(changed.status).toBe(200);
+  });
+
+  it('should answer HEAD requests with the headers of the image', async () => {
+    const response = await request(app).head(`/convert/image/${encoded}?format=svg`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/image\/svg\+xml/);
+    expect(response.headers['content-length']).toBe(String(Buffer.from('mock image data').length));
+    expect(response.headers.etag).toBeDefined();
+    expect(response.body).toEqual({});
+  });
+
+  it('should never cache errors', async () => {
+    const response = await request(app).post('/convert/image').send({ mermaidSyntax: 'invalid syntax' });
+
+    expect(response.status).toBe(500);
+    expect(response.headers['cache-control']).toBe('no-store');
+  });
+
+  it('should make clients revalidate when the max-age is 0', async () => {
+    const revalidatingApp = express();
+    revalidatingApp.use(bodyParser.json());
+    const controller = new ConvertController(mockMermaidService, { silent: true, cacheMaxAge: 0 });
+    revalidatingApp.post('/convert/image', validateMermaidSyntax, controller.convertImage.bind(controller));
+
+    const response = await request(revalidatingApp).post('/convert/image').send(body);
+
+    expect(response.headers['cache-control']).toBe('no-cache');
+  });
+});
+
+describe('POST /convert/batch', () => {
+  const items = [
+    { id: 'first', mermaidSyntax: 'graph TD; A-->B;' },
+    { mermaidSyntax: 'graph TD; invalid syntax', format: 'svg' },
+    { id: 'third', mermaidSyntax: 'graph TD; C-->D;', format: 'svg', width: 1200 }
+  ];
+
+  // Collect binary response bodies
+  const binaryParser = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return base64 images with a status for every item', async () => {
+    const response = await request(app)
+      .post('/convert/batch')
+      .send({ items });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual(expect.objectContaining({ success: true, succeeded: 2, failed: 1 }));
+    expect(response.body.results[0]).toEqual({
+      id: 'first',
+      success: true,
+      format: 'png',
+      contentType: 'image/png',
+      data: Buffer.from('mock image data').toString('base64')
+    });
+    expect(response.body.results[1]).toEqual({
+      id: 'diagram-2',
+      success: false,
+      error: { code: 'INTERNAL_ERROR', message: 'Failed to convert Mermaid syntax to image' }
+    });
+    expect(mockMermaidService.convertMermaidToImage).toHaveBeenCalledWith(
+      'graph TD; C-->D;',
+      expect.objectContaining({ format: 'svg', width: 1200 })
+    );
+  });
+
+  it('should return a ZIP archive with a manifest when output is zip', async () => {
+    const response = await request(app)
+      .post('/convert/batch')
+      .send({ items, output: 'zip' })
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/application\/zip/);
+    expect(response.body.slice(0, 2).toString()).toBe('PK');
+
+    // Entry names are stored uncompressed in the archive directory
+    const listing = response.body.toString('latin1');
+    expect(listing).toContain('first.png');
+    expect(listing).toContain('third.svg');
+    expect(listing).toContain('manifest.json');
+    expect(listing).not.toContain('diagram-2.svg');
+  });
+
+  it('should report an archive that fails before it is sent', async () => {
+    const sendBatchArchive = jest.spyOn(ConvertController.prototype, 'sendBatchArchive')
+      .mockRejectedValueOnce(new Error('Archive failed'));
+
+    try {
+      const response = await request(app)
+        .post('/convert/batch')
+        .send({ items, output: 'zip' });
+
+      expect(response.status).toBe(500);
+      expect(response.body.error).toEqual({ code: 'INTERNAL_ERROR', message: 'Failed to convert diagram batch' });
+    } finally {
+      sendBatchArchive.mockRestore();
+    }
+  });
+
+  it('should abort the archive when the client goes away', async () => {
+    const abort = jest.spyOn(require('archiver/lib/core').prototype, 'abort');
+    const controller = new ConvertController(mockMermaidService, { silent: true, logger: mockLogger });
+    const res = Object.assign(new PassThrough(), { set: jest.fn() });
+
+    try {
+      const archived = controller.sendBatchArchive(res, [
+        { id: 'first', success: true, file: 'first.png', buffer: Buffer.from('mock image data') }
+      ]);
+      res.destroy();
+      await archived;
+
+      expect(abort).toHaveBeenCalled();
+    } finally {
+      abort.mockRestore();
+    }
+  });
+
+  it('should return 400 if items are missing or empty', async () => {
+    const response = await request(app)
+      .post('/convert/batch')
+      .send({ items: [] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('should return 400 if an item is invalid', async () => {
+    const response = await request(app)
+      .post('/convert/batch')
+      .send({ items: [{ id: 'first', mermaidSyntax: 'graph TD; A-->B;', width: 50 }] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.details[0].field).toBe('items[0].width');
+  });
+
+  it('should pass the encoder, scale and PDF page options of each item', async () => {
+    const response = await request(app)
+      .post('/convert/batch')
+      .send({
+        items: [
+          { id: 'photo', mermaidSyntax: 'graph TD; A-->B;', format: 'jpeg', quality: 60, scaleFactor: 2 },
+          { id: 'print', mermaidSyntax: 'graph TD; C-->D;', format: 'pdf', pageSize: 'Letter', orientation: 'landscape', margin: 5 }
+        ]
+      });
+
+    expect(response.status).toBe(200);
+    expect(mockMermaidService.convertMermaidToImage).toHaveBeenCalledWith(
+      'graph TD; A-->B;',
+      expect.objectContaining({ format: 'jpeg', quality: 60, scaleFactor: 2 })
+    );
+    expect(mockMermaidService.convertMermaidToImage).toHaveBeenCalledWith(
+      'graph TD; C-->D;',
+      expect.objectContaining({ format: 'pdf', pageSize: 'Letter', orientation: 'landscape', margin: 5 })
+    );
+  });
+
+  it('should return 400 if an item has invalid encoder or page options', async () => {
+    const response = await request(app)
+      .post('/convert/batch')
+      .send({
+        items: [
+          { id: 'photo', mermaidSyntax: 'graph TD; A-->B;', format: 'jpeg', quality: 0 },
+          { id: 'print', mermaidSyntax: 'graph TD; C-->D;', format: 'pdf', margin: 80 }
+        ]
+      });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.details.map(detail => detail.field)).toEqual(['items[0].quality', 'items[1].margin']);
+  });
+
+  it('should return 400 if item ids are not unique', async () => {
+    const response = await request(app)
+      .post('/convert/batch')
+      .send({ items: [items[0], items[0]] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.message).toBe('Item ids must be unique');
+  });
+});
+
+describe('POST /convert/validate', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should report valid syntax with the diagram type', async () => {
+    const response = await request(app)
+      .post('/convert/validate')
+      .send({ mermaidSyntax: 'graph TD;\nA-->B;' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ valid: true, diagramType: 'flowchart', errors: [] });
+    expect(mockMermaidService.convertMermaidToImage).not.toHaveBeenCalled();
+  });
+
+  it('should report syntax errors with their location', async () => {
+    const response = await request(app)
+      .post('/convert/validate')
+      .send({ mermaidSyntax: 'graph TD;\nA-->;' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.valid).toBe(false);
+    expect(response.body.errors).toEqual([{ line: 2, column: 4, message: 'Parse error on line 2' }]);
+  });
+
+  it('should pass the clean option to the service', async () => {
+    await request(app)
+      .post('/convert/validate')
+      .send({ mermaidSyntax: 'graph TD;\nA-->B;', clean: false });
+
+    expect(mockMermaidService.validateMermaidSyntax).toHaveBeenCalledWith('graph TD;\nA-->B;', { clean: false });
+  });
+
+  it('should return 400 if clean is not a boolean', async () => {
+    const response = await request(app)
+      .post('/convert/validate')
+      .send({ mermaidSyntax: 'graph TD;\nA-->B;', clean: 'sometimes' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('should return 400 if Mermaid syntax is missing', async () => {
+    const response = await request(app)
+      .post('/convert/validate')
+      .send({});
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+  });
+});
@@ -0,0 +1,74 @@
+const request = require('supertest');
+const express = require('express');
+const HealthController = require('../../src/controllers/healthController');
+
+// Mock HealthService reporting whatever the test sets
+const mockHealthService = {
+  checkReadiness: jest.fn()
+};
+
+// Create a test app for integration tests
+function createTestApp() {
+  const app = express();
+
+  const controller = new HealthController(mockHealthService, { silent: true });
+
+  app.get('/live', controller.live.bind(controller));
+  app.get('/ready', controller.ready.bind(controller));
+
+  return app;
+}
+
+const app = createTestApp();
+
+describe('Health endpoints', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should report liveness without checking the renderer', async () => {
+    const response = await request(app).get('/live');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ status: 'ok', uptime: expect.any(Number) });
+    expect(mockHealthService.checkReadiness).not.toHaveBeenCalled();
+  });
+
+  it('should report readiness with per-component status', async () => {
+    const checks = {
+      renderer: { status: 'ok', durationMs: 40, renderer: 'pool' },
+      cache: { status: 'ok', durationMs: 1, store: 'disk' },
+      disk: { status: 'ok', durationMs: 1, freeBytes: 1e9 }
+    };
+    mockHealthService.checkReadiness.mockResolvedValue({ ready: true, checks });
+
+    const response = await request(app).get('/ready');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ status: 'ok', checks });
+  });
+
+  it('should respond with 503 when a component is broken', async () => {
+    mockHealthService.checkReadiness.mockResolvedValue({
+      ready: false,
+      checks: { renderer: { status: 'error', durationMs: 5, error: 'Browser closed' } }
+    });
+
+    const response = await request(app).get('/ready');
+
+    expect(response.status).toBe(503);
+    expect(response.body.status).toBe('error');
+    expect(response.body.checks.renderer.error).toBe('Browser closed');
+  });
+
+  it('should mount the health routes on the application', async () => {
+    const application = require('../../src/app');
+
+    const health = await request(application).get('/health');
+    const live = await request(application).get('/live');
+
+    expect(health.status).toBe(200);
+    expect(health.body.status).toBe('ok');
+    expect(live.status).toBe(200);
+  });
+});
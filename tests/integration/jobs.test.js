@@ -0,0 +1,117 @@
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const JobController = require('../../src/controllers/jobController');
+const JobService = require('../../src/services/jobService');
+const { validateJob } = require('../../src/middleware/validator');
+
+// Mock MermaidService whose renders finish when the test says so
+let finishRender;
+const mockMermaidService = {
+  convertMermaidToImage: jest.fn().mockImplementation((mermaidCode) => new Promise((resolve, reject) => {
+    finishRender = () => mermaidCode.includes('invalid syntax')
+      ? reject(new Error('Invalid Mermaid syntax'))
+      : resolve(Buffer.from('mock image data'));
+  }))
+};
+
+const jobService = new JobService(mockMermaidService, { silent: true });
+
+// Create a test app for integration tests
+function createTestApp() {
+  const app = express();
+  app.use(bodyParser.json());
+
+  const controller = new JobController(jobService, { silent: true });
+
+  const router = express.Router();
+  router.post('/', validateJob, controller.createJob.bind(controller));
+  router.get('/:id', controller.getJob.bind(controller));
+  router.get('/:id/result', controller.getJobResult.bind(controller));
+
+  app.use('/jobs', router);
+
+  return app;
+}
+
+const app = createTestApp();
+
+describe('Render jobs API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should create a job, report its progress and serve the result', async () => {
+    const created = await request(app)
+      .post('/jobs')
+      .send({ mermaidSyntax: 'gantt\n  title Big plan', format: 'svg' });
+
+    expect(created.status).toBe(202);
+    expect(created.headers.location).toBe(`/jobs/${created.body.id}`);
+    expect(created.body.resultUrl).toMatch(new RegExp(`^http://127\\.0\\.0\\.1:\\d+/jobs/${created.body.id}/result$`));
+
+    const running = await request(app).get(`/jobs/${created.body.id}`);
+    expect(running.body).toEqual(expect.objectContaining({ status: 'running', progress: 50, format: 'svg' }));
+
+    const early = await request(app).get(`/jobs/${created.body.id}/result`);
+    expect(early.status).toBe(409);
+    expect(early.body.error.code).toBe('JOB_NOT_FINISHED');
+
+    finishRender();
+    await jobService.drain();
+
+    const result = await request(app).get(`/jobs/${created.body.id}/result`);
+    expect(result.status).toBe(200);
+    expect(result.headers['content-type']).toMatch(/image\/svg\+xml/);
+    expect(mockMermaidService.convertMermaidToImage).toHaveBeenCalledWith(
+      'gantt\n  title Big plan',
+      expect.objectContaining({ format: 'svg', diagramType: 'gantt' })
+    );
+  });
+
+  it('should report failed jobs with their error', async () => {
+    const created = await request(app)
+      .post('/jobs')
+      .send({ mermaidSyntax: 'graph TD; invalid syntax' });
+
+    finishRender();
+    await jobService.drain();
+
+    const status = await request(app).get(`/jobs/${created.body.id}`);
+    expect(status.body).toEqual(expect.objectContaining({
+      status: 'failed',
+      error: { code: 'INTERNAL_ERROR', message: 'Failed to convert Mermaid syntax to image' }
+    }));
+
+    const result = await request(app).get(`/jobs/${created.body.id}/result`);
+    expect(result.status).toBe(409);
+    expect(result.body.error.code).toBe('JOB_FAILED');
+  });
+
+  it('should return 404 for unknown jobs', async () => {
+    const response = await request(app).get('/jobs/unknown-job');
+
+    expect(response.status).toBe(404);
+    expect(response.body.error.code).toBe('JOB_NOT_FOUND');
+  });
+
+  it('should return 400 if the callback URL is invalid', async () => {
+    const response = await request(app)
+      .post('/jobs')
+      .send({ mermaidSyntax: 'graph TD; A-->B;', callbackUrl: 'ftp://example.com/hook' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.details[0].field).toBe('callbackUrl');
+    expect(mockMermaidService.convertMermaidToImage).not.toHaveBeenCalled();
+  });
+
+  it('should return 400 if the callback URL points at a non-public address', async () => {
+    const response = await request(app)
+      .post('/jobs')
+      .send({ mermaidSyntax: 'graph TD; A-->B;', callbackUrl: 'http://169.254.169.254/latest/meta-data/' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.details[0].field).toBe('callbackUrl');
+    expect(mockMermaidService.convertMermaidToImage).not.toHaveBeenCalled();
+  });
+});
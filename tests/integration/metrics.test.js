@@ -0,0 +1,66 @@
+const request = require('supertest');
+const express = require('express');
+const MetricsController = require('../../src/controllers/metricsController');
+const requestMetrics = require('../../src/middleware/requestMetrics');
+const { registry, metrics } = require('../../src/utils/metrics');
+
+// Mock MermaidService with a render queue that has work waiting
+const mockMermaidService = {
+  renderQueue: {
+    getStats: jest.fn().mockReturnValue({ active: 2, queued: 5 })
+  }
+};
+
+// Create a test app for integration tests
+function createTestApp() {
+  const app = express();
+  app.use(requestMetrics);
+
+  const controller = new MetricsController(mockMermaidService, { silent: true });
+
+  const router = express.Router();
+  router.get('/:id', (req, res) => res.status(req.params.id === 'missing' ? 404 : 200).json({ id: req.params.id }));
+  app.use('/jobs', router);
+  app.get('/metrics', controller.getMetrics.bind(controller));
+
+  return app;
+}
+
+const app = createTestApp();
+
+describe('Metrics endpoint', () => {
+  beforeEach(() => {
+    registry.reset();
+  });
+
+  it('should expose metrics in the Prometheus text format', async () => {
+    metrics.renders.inc({ diagram_type: 'flowchart', format: 'png', result: 'success' });
+    metrics.cacheHits.inc({ store: 'disk' });
+    metrics.fallbackRenders.inc({ diagram_type: 'gantt' });
+
+    const response = await request(app).get('/metrics');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    expect(response.text).toContain('mermaid_renders_total{diagram_type="flowchart",format="png",result="success"} 1');
+    expect(response.text).toContain('mermaid_cache_hits_total{store="disk"} 1');
+    expect(response.text).toContain('mermaid_fallback_renders_total{diagram_type="gantt"} 1');
+    expect(response.text).toContain('mermaid_render_queue_active 2');
+    expect(response.text).toContain('mermaid_render_queue_depth 5');
+  });
+
+  it('should count requests by route pattern and status', async () => {
+    await request(app).get('/jobs/abc');
+    await request(app).get('/jobs/def');
+    await request(app).get('/jobs/missing');
+    await request(app).get('/nowhere/123');
+
+    const response = await request(app).get('/metrics');
+
+    expect(response.text).toContain('http_requests_total{method="GET",route="/jobs/:id",status="200"} 2');
+    expect(response.text).toContain('http_requests_total{method="GET",route="/jobs/:id",status="404"} 1');
+    expect(response.text).toContain('http_requests_total{method="GET",route="unmatched",status="404"} 1');
+    expect(response.text).toContain('http_request_duration_seconds_count{method="GET",route="/jobs/:id",status="200"} 2');
+    expect(response.text).not.toContain('/jobs/abc');
+  });
+});
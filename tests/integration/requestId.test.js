@@ -0,0 +1,44 @@
+const request = require('supertest');
+const express = require('express');
+const requestId = require('../../src/middleware/requestId');
+const { getContext } = require('../../src/config/logger');
+
+// Create a test app for integration tests
+function createTestApp() {
+  const app = express();
+  app.use(requestId);
+
+  // Report the request context seen after async work, as a render would log it
+  app.get('/context', async (req, res) => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    res.json({ id: req.id, context: getContext() });
+  });
+
+  return app;
+}
+
+const app = createTestApp();
+
+describe('Request IDs', () => {
+  it('should keep the X-Request-Id of the request', async () => {
+    const response = await request(app).get('/context').set('X-Request-Id', 'trace-42.a:b');
+
+    expect(response.headers['x-request-id']).toBe('trace-42.a:b');
+    expect(response.body).toEqual({ id: 'trace-42.a:b', context: { requestId: 'trace-42.a:b' } });
+  });
+
+  it('should generate an ID when the request has none or an unusable one', async () => {
+    const missing = await request(app).get('/context');
+    const invalid = await request(app).get('/context').set('X-Request-Id', 'x'.repeat(200));
+
+    expect(missing.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    expect(missing.body.context.requestId).toBe(missing.headers['x-request-id']);
+    expect(invalid.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('should keep concurrent requests apart', async () => {
+    const responses = await Promise.all(['a', 'b', 'c'].map(id => request(app).get('/context').set('X-Request-Id', id)));
+
+    expect(responses.map(response => response.body.context.requestId)).toEqual(['a', 'b', 'c']);
+  });
+});
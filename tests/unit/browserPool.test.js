@@ -0,0 +1,214 @@
+const EventEmitter = require('events');
+const BrowserPool = require('../../src/services/browserPool');
+
+// Fake page that "renders" by returning the evaluate result the test configures
+function createMockPage(renderResult) {
+  const page = new EventEmitter();
+  page.setRequestInterception = jest.fn().mockResolvedValue();
+  page.setContent = jest.fn().mockResolvedValue();
+  page.addScriptTag = jest.fn().mockResolvedValue();
+  page.setViewport = jest.fn().mockResolvedValue();
+  // Registering the ZenUML plugin while the page is created always succeeds
+  page.evaluate = jest.fn().mockImplementation(fn => Promise.resolve(fn.name === 'registerZenUml' ? undefined : renderResult()));
+  page.pdf = jest.fn().mockResolvedValue(Uint8Array.from([1, 2, 3]));
+  page.$ = jest.fn().mockResolvedValue({
+    screenshot: jest.fn().mockResolvedValue(Uint8Array.from([4, 5, 6]))
+  });
+  page.close = jest.fn().mockResolvedValue();
+  return page;
+}
+
+function createMockBrowser(renderResult) {
+  const browser = new EventEmitter();
+  browser.pages = [];
+  browser.newPage = jest.fn().mockImplementation(async () => {
+    const page = createMockPage(renderResult);
+    browser.pages.push(page);
+    return page;
+  });
+  browser.close = jest.fn().mockResolvedValue();
+  return browser;
+}
+
+let renderResult;
+let browsers;
+
+jest.mock('puppeteer', () => ({
+  launch: jest.fn()
+}));
+
+const puppeteer = require('puppeteer');
+
+describe('BrowserPool', () => {
+  let pool;
+
+  beforeEach(() => {
+    renderResult = () => ({ svg: '<svg></svg>', width: 200, height: 100 });
+    browsers = [];
+    puppeteer.launch.mockReset();
+    puppeteer.launch.mockImplementation(async () => {
+      const browser = createMockBrowser(() => renderResult());
+      browsers.push(browser);
+      return browser;
+    });
+    pool = new BrowserPool({ silent: true, size: 2, maxRendersPerPage: 3 });
+  });
+
+  afterEach(async () => {
+    await pool.close();
+  });
+
+  it('should launch the browser lazily and preload mermaid into pages', async () => {
+    expect(puppeteer.launch).not.toHaveBeenCalled();
+
+    await pool.render('graph TD; A-->B;', { format: 'png' });
+
+    expect(puppeteer.launch).toHaveBeenCalledTimes(1);
+    const page = browsers[0].pages[0];
+    expect(page.setContent).toHaveBeenCalled();
+    expect(page.addScriptTag).toHaveBeenCalledWith({ path: expect.stringMatching(/mermaid\.min\.js$/) });
+  });
+
+  it('should register the ZenUML plugin before rendering ZenUML diagrams', async () => {
+    const buffer = await pool.render('zenuml\n  A->B: hello', { format: 'svg' });
+
+    const page = browsers[0].pages[0];
+    expect(page.addScriptTag).toHaveBeenCalledWith({ path: require.resolve('@mermaid-js/mermaid-zenuml/dist/mermaid-zenuml.min.js') });
+    // Registered once, when the page was created, then the diagram was rendered
+    const [registration, render] = page.evaluate.mock.calls;
+    expect(registration[0].name).toBe('registerZenUml');
+    expect(render[1]).toBe('zenuml\n  A->B: hello');
+    expect(buffer.toString()).toBe('<svg></svg>');
+  });
+
+  it('should block every request a diagram makes', async () => {
+    await pool.render('graph TD; A-->B;');
+    const page = browsers[0].pages[0];
+    const request = url => ({ url: () => url, continue: jest.fn(), abort: jest.fn() });
+    const remote = request('https://example.com/tracker.png');
+    const local = request('file:///etc/passwd');
+    const inline = request('data:image/png;base64,AAAA');
+
+    [remote, local, inline].forEach(r => page.emit('request', r));
+
+    expect(page.setRequestInterception).toHaveBeenCalledWith(true);
+    expect(remote.abort).toHaveBeenCalledWith('blockedbyclient');
+    expect(local.abort).toHaveBeenCalledWith('blockedbyclient');
+    expect(inline.continue).toHaveBeenCalled();
+  });
+
+  it('should render at the strict security level unless configured otherwise', async () => {
+    const loosePool = new BrowserPool({ silent: true, securityLevel: 'loose' });
+
+    expect(pool.mermaidConfig.securityLevel).toBe('strict');
+    expect(loosePool.mermaidConfig.securityLevel).toBe('loose');
+    await loosePool.close();
+  });
+
+  it('should reuse warm pages across renders', async () => {
+    await pool.render('graph TD; A-->B;');
+    await pool.render('graph TD; B-->C;');
+
+    expect(browsers[0].newPage).toHaveBeenCalledTimes(1);
+  });
+
+  it('should return SVG markup for svg output', async () => {
+    const result = await pool.render('graph TD; A-->B;', { format: 'svg' });
+
+    expect(result.toString('utf8')).toBe('<svg></svg>');
+  });
+
+  it('should screenshot the diagram with the requested quality for lossy formats', async () => {
+    const result = await pool.render('graph TD; A-->B;', { format: 'jpeg', quality: 70 });
+    const element = await browsers[0].pages[0].$.mock.results[0].value;
+
+    expect(Buffer.isBuffer(result)).toBe(true);
+    expect(element.screenshot).toHaveBeenCalledWith({ type: 'jpeg', quality: 70, omitBackground: false });
+  });
+
+  it('should render on the requested background and keep transparency in PNG output', async () => {
+    await pool.render('graph TD; A-->B;', { format: 'png', backgroundColor: 'transparent' });
+    const page = browsers[0].pages[0];
+    const element = await page.$.mock.results[0].value;
+
+    expect(page.evaluate).toHaveBeenCalledWith(expect.any(Function), 'graph TD; A-->B;', expect.any(Object), expect.any(String), 'transparent');
+    expect(element.screenshot).toHaveBeenCalledWith({ type: 'png', omitBackground: true });
+  });
+
+  it('should size fit-to-diagram PDF pages from the diagram and margins', async () => {
+    await pool.render('graph TD; A-->B;', { format: 'pdf', pdf: { pageSize: 'fit', margin: 0 } });
+
+    expect(browsers[0].pages[0].pdf).toHaveBeenCalledWith(expect.objectContaining({
+      width: '200px',
+      height: '100px',
+      printBackground: true
+    }));
+  });
+
+  it('should use the paper format and orientation for fixed-size PDF pages', () => {
+    const settings = pool.getPdfSettings({ width: 200, height: 100 }, { pageSize: 'A4', orientation: 'landscape', margin: 10 });
+
+    expect(settings).toEqual(expect.objectContaining({
+      format: 'A4',
+      landscape: true,
+      margin: { top: '10mm', right: '10mm', bottom: '10mm', left: '10mm' }
+    }));
+  });
+
+  it('should never open more pages than the pool size', async () => {
+    await Promise.all([
+      pool.render('graph TD; A-->B;'),
+      pool.render('graph TD; B-->C;'),
+      pool.render('graph TD; C-->D;'),
+      pool.render('graph TD; D-->E;')
+    ]);
+
+    expect(browsers[0].newPage).toHaveBeenCalledTimes(2);
+  });
+
+  it('should recycle pages after the configured number of renders', async () => {
+    for (let i = 0; i < 4; i++) {
+      await pool.render('graph TD; A-->B;');
+    }
+
+    expect(browsers[0].pages[0].close).toHaveBeenCalled();
+    expect(browsers[0].newPage).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reject diagram errors and keep the page', async () => {
+    renderResult = () => ({ error: 'Parse error on line 1' });
+
+    await expect(pool.render('graph TD; A-->')).rejects.toThrow('Parse error on line 1');
+
+    expect(browsers[0].pages[0].close).not.toHaveBeenCalled();
+  });
+
+  it('should relaunch the browser after a crash', async () => {
+    await pool.render('graph TD; A-->B;');
+
+    browsers[0].emit('disconnected');
+    await pool.render('graph TD; A-->B;');
+
+    expect(puppeteer.launch).toHaveBeenCalledTimes(2);
+    expect(browsers[1].newPage).toHaveBeenCalledTimes(1);
+  });
+
+  it('should parse diagrams on a pooled page without rendering', async () => {
+    renderResult = () => ({ valid: false, diagramType: 'flowchart-v2', error: 'Parse error on line 1', line: 1, column: 7 });
+
+    const result = await pool.parse('graph TD; A-->');
+
+    expect(result).toEqual(expect.objectContaining({ valid: false, line: 1, column: 7 }));
+    expect(browsers[0].pages[0].$).not.toHaveBeenCalled();
+    expect(browsers[0].pages[0].close).not.toHaveBeenCalled();
+  });
+
+  it('should time out renders and discard their page', async () => {
+    pool.renderTimeout = 20;
+    renderResult = () => new Promise(() => {});
+
+    await expect(pool.render('graph TD; A-->B;')).rejects.toThrow('Render timed out after 20ms');
+
+    expect(browsers[0].pages[0].close).toHaveBeenCalled();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,430 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const CacheHelper = require('../../src/utils/cacheHelper');
+const { MemoryCacheStore, DiskCacheStore, RedisCacheStore, createCacheStore } = require('../../src/utils/cacheStores');
+const RespClient = require('../../src/utils/cacheStores/respClient');
+
+const { encodeCommand, parseReply } = RespClient;
+
+// Stand-in for a Redis server: enough of the protocol for the cache store
+function createRespServer({ password } = {}) {
+  const data = new Map();
+  const commands = [];
+
+  const server = net.createServer(socket => {
+    let received = Buffer.alloc(0);
+    let authenticated = !password;
+
+    socket.on('data', chunk => {
+      received = Buffer.concat([received, chunk]);
+
+      let request;
+      while ((request = parseReply(received))) {
+        received = received.subarray(request.offset);
+        const [name, ...args] = request.value;
+        const command = name.toString().toUpperCase();
+        commands.push([command, ...args.map(arg => arg.toString())]);
+
+        if (command === 'AUTH') {
+          authenticated = args[args.length - 1].toString() === password;
+          socket.write(authenticated ? '+OK\r\n' : '-WRONGPASS invalid password\r\n');
+        } else if (!authenticated) {
+          socket.write('-NOAUTH Authentication required.\r\n');
+        } else if (command === 'GET') {
+          const value = data.get(args[0].toString());
+          socket.write(value ? Buffer.concat([Buffer.from(`$${value.length}\r\n`), value, Buffer.from('\r\n')]) : '$-1\r\n');
+        } else if (command === 'SET') {
+          data.set(args[0].toString(), Buffer.from(args[1]));
+          socket.write('+OK\r\n');
+        } else if (command === 'DEL' || command === 'EXISTS') {
+          const keys = args.map(arg => arg.toString()).filter(key => data.has(key));
+          if (command === 'DEL') keys.forEach(key => data.delete(key));
+          socket.write(`:${keys.length}\r\n`);
+        } else if (command === 'PEXPIRE') {
+          socket.write(`:${data.has(args[0].toString()) ? 1 : 0}\r\n`);
+        } else if (command === 'SCAN') {
+          // Everything in one page; MATCH patterns are a literal prefix followed by *
+          const prefix = args[2].toString().replace(/\\(.)/g, '$1').slice(0, -1);
+          const keys = [...data.keys()].filter(key => key.startsWith(prefix));
+          socket.write(`*2\r\n$1\r\n0\r\n*${keys.length}\r\n${keys.map(key => `$${key.length}\r\n${key}\r\n`).join('')}`);
+        } else if (command === 'MGET') {
+          const values = args.map(arg => data.get(arg.toString()));
+          socket.write(Buffer.concat([
+            Buffer.from(`*${values.length}\r\n`),
+            ...values.map(value => (value ? Buffer.concat([Buffer.from(`$${value.length}\r\n`), value, Buffer.from('\r\n')]) : Buffer.from('$-1\r\n')))
+          ]));
+        } else {
+          socket.write(`-ERR unknown command '${command}'\r\n`);
+        }
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, data, commands, port: server.address().port });
+    });
+  });
+}
+
+describe('Cache stores', () => {
+  describe('MemoryCacheStore', () => {
+    it('should evict the least recently used images beyond the byte limit', async () => {
+      const store = new MemoryCacheStore({ maxBytes: 10 });
+
+      await store.set('a', Buffer.alloc(4));
+      await store.set('b', Buffer.alloc(4));
+      await store.get('a');
+      await store.set('c', Buffer.alloc(4));
+
+      expect(await store.get('a')).not.toBeNull();
+      expect(await store.get('b')).toBeNull();
+      expect(await store.get('c')).not.toBeNull();
+      expect(store.totalBytes).toBe(8);
+    });
+
+    it('should list entries with their metadata', async () => {
+      const store = new MemoryCacheStore();
+
+      await store.set('a', Buffer.from('png'), { metadata: { diagramType: 'pie' } });
+
+      expect(await store.entries()).toEqual([
+        { key: 'a', size: 3, createdAt: expect.any(Number), lastAccessedAt: expect.any(Number), metadata: { diagramType: 'pie' } }
+      ]);
+      expect(await store.has('a')).toBe(true);
+      expect(await store.delete('a')).toBe(true);
+      expect(await store.delete('a')).toBe(false);
+    });
+
+    it('should not store images larger than the whole cache', async () => {
+      const store = new MemoryCacheStore({ maxBytes: 10 });
+
+      expect(await store.set('big', Buffer.alloc(11))).toBe(false);
+      expect(store.totalBytes).toBe(0);
+    });
+
+    it('should expire entries after the TTL', async () => {
+      const store = new MemoryCacheStore({ ttl: 1000 });
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+
+      await store.set('a', Buffer.from('png'));
+      Date.now.mockReturnValue(now + 1001);
+
+      expect(await store.get('a')).toBeNull();
+      Date.now.mockRestore();
+    });
+
+    it('should drop expired entries when swept', async () => {
+      const store = new MemoryCacheStore({ ttl: 1000 });
+      await store.set('a', Buffer.from('png'));
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + 1001);
+
+      await store.sweep();
+      Date.now.mockRestore();
+
+      expect(store.items.size).toBe(0);
+      expect(store.totalBytes).toBe(0);
+    });
+  });
+
+  describe('DiskCacheStore', () => {
+    let cacheDir;
+
+    beforeEach(() => {
+      cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mermaid-cache-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+    });
+
+    it('should store images as files named by key and extension', async () => {
+      const store = new DiskCacheStore({ silent: true, cacheDir });
+
+      await store.set('abc', Buffer.from('svg data'), { extension: 'svg' });
+
+      expect(fs.readFileSync(path.join(cacheDir, 'abc.svg'), 'utf8')).toBe('svg data');
+      expect((await store.get('abc')).toString()).toBe('svg data');
+    });
+
+    it('should remove the least recently used files beyond the byte limit', async () => {
+      const store = new DiskCacheStore({ silent: true, cacheDir, maxBytes: 10 });
+
+      await store.set('a', Buffer.alloc(4));
+      await store.set('b', Buffer.alloc(4));
+      await store.get('a');
+      await store.set('c', Buffer.alloc(4));
+
+      expect(fs.readdirSync(cacheDir).sort()).toEqual(['a.png', 'c.png', 'index.json']);
+      expect(store.totalBytes).toBe(8);
+    });
+
+    it('should index files cached before a restart', async () => {
+      fs.writeFileSync(path.join(cacheDir, 'abc.png'), 'png data');
+      fs.writeFileSync(path.join(cacheDir, 'notes.txt'), 'not a cached image');
+
+      const store = new DiskCacheStore({ silent: true, cacheDir });
+
+      expect((await store.get('abc')).toString()).toBe('png data');
+      expect(store.items.size).toBe(1);
+    });
+
+    it('should restore LRU order and access times from the saved index', async () => {
+      const store = new DiskCacheStore({ silent: true, cacheDir });
+      await store.set('a', Buffer.alloc(4));
+      await store.set('b', Buffer.alloc(4));
+      await store.get('a');
+      await store.close();
+
+      expect(JSON.parse(fs.readFileSync(path.join(cacheDir, 'index.json'), 'utf8')).entries.map(entry => entry.key))
+        .toEqual(['b', 'a']);
+
+      const restarted = new DiskCacheStore({ silent: true, cacheDir, maxBytes: 10 });
+      await restarted.set('c', Buffer.alloc(4));
+
+      expect(Array.from(restarted.items.keys())).toEqual(['a', 'c']);
+      expect(restarted.items.get('a').timestamp).toBe(store.items.get('a').timestamp);
+      await restarted.close();
+    });
+
+    it('should keep entry metadata next to the image, out of the saved index', async () => {
+      const store = new DiskCacheStore({ silent: true, cacheDir });
+      await store.set('abc', Buffer.from('png data'), { metadata: { diagram: 'pie\n  "A": 1', diagramType: 'pie' } });
+      await store.get('abc');
+      await store.close();
+
+      expect(JSON.parse(fs.readFileSync(path.join(cacheDir, 'abc.meta.json'), 'utf8')).diagramType).toBe('pie');
+      expect(JSON.parse(fs.readFileSync(path.join(cacheDir, 'index.json'), 'utf8')).entries[0]).not.toHaveProperty('metadata');
+
+      const restarted = new DiskCacheStore({ silent: true, cacheDir });
+
+      expect(await restarted.entries()).toEqual([expect.objectContaining({
+        key: 'abc',
+        size: 8,
+        metadata: { diagram: 'pie\n  "A": 1', diagramType: 'pie' }
+      })]);
+
+      await restarted.delete('abc');
+      expect(fs.existsSync(path.join(cacheDir, 'abc.meta.json'))).toBe(false);
+    });
+
+    it('should move the metadata of version 1 indexes into metadata files', async () => {
+      const timestamp = Date.now();
+      fs.writeFileSync(path.join(cacheDir, 'abc.png'), 'png data');
+      fs.writeFileSync(path.join(cacheDir, 'index.json'), JSON.stringify({
+        version: 1,
+        entries: [{ key: 'abc', file: 'abc.png', size: 8, createdAt: timestamp, timestamp, metadata: { diagramType: 'pie' } }]
+      }));
+
+      const store = new DiskCacheStore({ silent: true, cacheDir });
+      await store.close();
+
+      expect((await store.entries())[0].metadata).toEqual({ diagramType: 'pie' });
+      expect(store.items.get('abc').timestamp).toBe(timestamp);
+      const index = JSON.parse(fs.readFileSync(path.join(cacheDir, 'index.json'), 'utf8'));
+      expect(index.version).toBe(2);
+      expect(index.entries[0]).not.toHaveProperty('metadata');
+    });
+
+    it('should drop index entries without files and delete files missing from the index', async () => {
+      const store = new DiskCacheStore({ silent: true, cacheDir });
+      await store.set('kept', Buffer.from('png data'));
+      await store.set('lost', Buffer.from('png data'));
+      await store.close();
+
+      fs.unlinkSync(path.join(cacheDir, 'lost.png'));
+      fs.writeFileSync(path.join(cacheDir, 'orphan.png'), 'png data');
+      fs.writeFileSync(path.join(cacheDir, 'lost.meta.json'), '{}');
+      fs.writeFileSync(path.join(cacheDir, 'index.json.123.tmp'), '{');
+
+      const restarted = new DiskCacheStore({ silent: true, cacheDir });
+      await restarted.ready;
+
+      expect(Array.from(restarted.items.keys())).toEqual(['kept']);
+      expect(fs.readdirSync(cacheDir).sort()).toEqual(['index.json', 'kept.png']);
+      expect(restarted.totalBytes).toBe(8);
+    });
+
+    it('should rebuild a corrupt index from the cache files', async () => {
+      fs.writeFileSync(path.join(cacheDir, 'abc.png'), 'png data');
+      fs.writeFileSync(path.join(cacheDir, 'index.json'), '{"version":1,"entries":[');
+
+      const store = new DiskCacheStore({ silent: true, cacheDir });
+
+      expect((await store.get('abc')).toString()).toBe('png data');
+      await store.close();
+      expect(JSON.parse(fs.readFileSync(path.join(cacheDir, 'index.json'), 'utf8')).entries)
+        .toEqual([expect.objectContaining({ key: 'abc', file: 'abc.png', size: 8 })]);
+    });
+
+    it('should remove expired files when swept', async () => {
+      const store = new DiskCacheStore({ silent: true, cacheDir, ttl: 1000 });
+      await store.set('abc', Buffer.from('png data'));
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + 1001);
+
+      await store.sweep();
+      Date.now.mockRestore();
+
+      expect(store.items.size).toBe(0);
+      expect(fs.existsSync(path.join(cacheDir, 'abc.png'))).toBe(false);
+    });
+  });
+
+  describe('RedisCacheStore', () => {
+    let stub;
+    let store;
+
+    beforeEach(async () => {
+      stub = await createRespServer({ password: 'secret' });
+      store = new RedisCacheStore({ url: `redis://:secret@127.0.0.1:${stub.port}`, ttl: 60000 });
+    });
+
+    afterEach(async () => {
+      await store.close();
+      await new Promise(resolve => stub.server.close(resolve));
+    });
+
+    it('should store binary images under prefixed keys with an expiry', async () => {
+      const image = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+      await store.set('abc', image);
+
+      expect(stub.data.get('mermaid:cache:abc').equals(image)).toBe(true);
+      expect(JSON.parse(stub.data.get('mermaid:cache:meta:abc'))).toEqual({ size: 8, createdAt: expect.any(Number), metadata: null });
+      expect(stub.commands).toContainEqual(['SET', 'mermaid:cache:abc', image.toString(), 'PX', '60000']);
+      expect((await store.get('abc')).equals(image)).toBe(true);
+    });
+
+    it('should authenticate once and pipeline concurrent commands', async () => {
+      await Promise.all([store.set('a', Buffer.from('1')), store.set('b', Buffer.from('2'))]);
+      const [a, b, missing] = await Promise.all([store.get('a'), store.get('b'), store.get('missing')]);
+
+      expect(a.toString()).toBe('1');
+      expect(b.toString()).toBe('2');
+      expect(missing).toBeNull();
+      expect(stub.commands.filter(([command]) => command === 'AUTH')).toHaveLength(1);
+    });
+
+    it('should refresh the expiry of entries that are read and delete entries', async () => {
+      await store.set('abc', Buffer.from('png'));
+      await store.get('abc');
+      await store.delete('abc');
+
+      expect(stub.commands).toContainEqual(['PEXPIRE', 'mermaid:cache:abc', '60000']);
+      expect(stub.commands).toContainEqual(['PEXPIRE', 'mermaid:cache:meta:abc', '60000']);
+      expect(stub.data.has('mermaid:cache:abc')).toBe(false);
+    });
+
+    it('should list entries with their metadata and report whether entries exist', async () => {
+      await store.set('abc', Buffer.from('png data'), { metadata: { diagramType: 'flowchart' } });
+
+      expect(await store.has('abc')).toBe(true);
+      expect(await store.has('missing')).toBe(false);
+      expect(await store.entries()).toEqual([
+        { key: 'abc', size: 8, createdAt: expect.any(Number), lastAccessedAt: null, metadata: { diagramType: 'flowchart' } }
+      ]);
+      expect(await store.delete('abc')).toBe(true);
+      expect(stub.data.size).toBe(0);
+    });
+
+    it('should reject when the server refuses the credentials', async () => {
+      const rejected = new RedisCacheStore({ url: `redis://:wrong@127.0.0.1:${stub.port}` });
+
+      await expect(rejected.get('abc')).rejects.toThrow('WRONGPASS');
+      await rejected.close();
+    });
+  });
+
+  describe('RESP encoding', () => {
+    it('should round-trip commands with binary arguments', () => {
+      const encoded = encodeCommand(['SET', 'key', Buffer.from([0, 13, 10, 255])]);
+      const { value, offset } = parseReply(encoded);
+
+      expect(offset).toBe(encoded.length);
+      expect(value.map(part => [...part])).toEqual([[...Buffer.from('SET')], [...Buffer.from('key')], [0, 13, 10, 255]]);
+    });
+
+    it('should wait for the rest of incomplete replies', () => {
+      expect(parseReply(Buffer.from('$5\r\nab'))).toBeNull();
+      expect(parseReply(Buffer.from('*2\r\n:1\r\n'))).toBeNull();
+    });
+
+    it('should reject malformed replies', () => {
+      expect(() => parseReply(Buffer.from('?what\r\n'))).toThrow('Unexpected RESP reply type: ?');
+      expect(() => parseReply(Buffer.from('$abc\r\n'))).toThrow('Invalid RESP length: abc');
+      expect(() => parseReply(Buffer.from('*-2\r\n'))).toThrow('Invalid RESP length: -2');
+    });
+
+    it('should fail pending commands and reconnect after a malformed reply', async () => {
+      // Answers the first connection with garbage and later ones properly
+      let connections = 0;
+      const server = net.createServer(socket => {
+        const garbage = connections++ === 0;
+        socket.on('data', () => socket.write(garbage ? '?garbage\r\n' : '+PONG\r\n'));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      const client = new RespClient({ url: `redis://127.0.0.1:${server.address().port}` });
+
+      try {
+        await expect(client.command('PING')).rejects.toThrow('Invalid reply from 127.0.0.1');
+        await expect(client.command('PING')).resolves.toBe('PONG');
+        expect(connections).toBe(2);
+      } finally {
+        await client.close();
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+
+  describe('CacheHelper', () => {
+    it('should select the store by name', () => {
+      const helper = new CacheHelper({ silent: true, store: 'memory', maxBytes: 1024 });
+
+      expect(helper.store).toBeInstanceOf(MemoryCacheStore);
+      expect(helper.store.maxBytes).toBe(1024);
+      expect(() => createCacheStore('nope')).toThrow('Unsupported cache store: nope');
+    });
+
+    it('should treat store failures as cache misses', async () => {
+      const store = {
+        get: jest.fn().mockRejectedValue(new Error('Connection refused')),
+        set: jest.fn().mockRejectedValue(new Error('Connection refused')),
+        close: jest.fn().mockResolvedValue()
+      };
+      const helper = new CacheHelper({ silent: true, store });
+
+      await expect(helper.getCachedItem('abc')).resolves.toBeNull();
+      await expect(helper.cacheItem('abc', Buffer.from('png'))).resolves.toBe(false);
+    });
+
+    it('should sweep stores that support it periodically', async () => {
+      jest.useFakeTimers();
+      const store = { sweep: jest.fn().mockResolvedValue(), close: jest.fn().mockResolvedValue() };
+      const helper = new CacheHelper({ silent: true, store, sweepInterval: 1000 });
+
+      jest.advanceTimersByTime(2500);
+      await helper.close();
+      jest.advanceTimersByTime(2000);
+      jest.useRealTimers();
+
+      expect(store.sweep).toHaveBeenCalledTimes(2);
+    });
+
+    it('should miss when the Redis server is unreachable', async () => {
+      const server = net.createServer();
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      const { port } = server.address();
+      await new Promise(resolve => server.close(resolve));
+
+      const helper = new CacheHelper({ silent: true, store: 'redis', redisUrl: `redis://127.0.0.1:${port}` });
+
+      await expect(helper.getCachedItem('abc')).resolves.toBeNull();
+      await helper.close();
+    });
+  });
+});
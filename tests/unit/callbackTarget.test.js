@@ -0,0 +1,72 @@
+const {
+  isPrivateAddress,
+  parseHostList,
+  resolveCallbackTarget,
+  pinnedLookup
+} = require('../../src/utils/callbackTarget');
+const { ValidationError } = require('../../src/utils/errors');
+
+describe('callbackTarget', () => {
+  describe('isPrivateAddress', () => {
+    it('should flag loopback, private, link-local and reserved addresses', () => {
+      const addresses = [
+        '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+        '0.0.0.0', '224.0.0.1', '255.255.255.255', '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1'
+      ];
+
+      addresses.forEach(address => expect([address, isPrivateAddress(address)]).toEqual([address, true]));
+    });
+
+    it('should allow public addresses', () => {
+      ['8.8.8.8', '93.184.216.34', '2001:4860:4860::8888', '::ffff:8.8.8.8'].forEach(address => {
+        expect([address, isPrivateAddress(address)]).toEqual([address, false]);
+      });
+    });
+  });
+
+  describe('parseHostList', () => {
+    it('should parse comma-separated hosts', () => {
+      expect(parseHostList(' hooks.internal , 10.0.0.5,,')).toEqual(['hooks.internal', '10.0.0.5']);
+      expect(parseHostList('')).toEqual([]);
+      expect(parseHostList(['Hooks.Internal'])).toEqual(['hooks.internal']);
+    });
+  });
+
+  describe('resolveCallbackTarget', () => {
+    it('should return the addresses of a public host', async () => {
+      await expect(resolveCallbackTarget('https://8.8.8.8/hook')).resolves.toEqual([{ address: '8.8.8.8', family: 4 }]);
+    });
+
+    it('should reject hosts resolving to non-public addresses', async () => {
+      const urls = ['http://169.254.169.254/', 'http://[::1]:8080/', 'http://[::ffff:127.0.0.1]/', 'http://2130706433/', 'http://localhost/'];
+
+      for (const url of urls) {
+        const error = await resolveCallbackTarget(url).catch(e => e);
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.details[0].field).toBe('callbackUrl');
+      }
+    });
+
+    it('should allow non-public addresses of allowed hosts', async () => {
+      await expect(resolveCallbackTarget('http://127.0.0.1:3000/hook', ['127.0.0.1'])).resolves.toEqual([{ address: '127.0.0.1', family: 4 }]);
+    });
+
+    it('should reject hosts that do not resolve', async () => {
+      await expect(resolveCallbackTarget('http://unresolvable.invalid/hook')).rejects.toThrow('could not be resolved');
+    });
+  });
+
+  describe('pinnedLookup', () => {
+    it('should answer with the given addresses', () => {
+      const lookup = pinnedLookup([{ address: '93.184.216.34', family: 4 }]);
+      const single = jest.fn();
+      const all = jest.fn();
+
+      lookup('example.com', {}, single);
+      lookup('example.com', { all: true }, all);
+
+      expect(single).toHaveBeenCalledWith(null, '93.184.216.34', 4);
+      expect(all).toHaveBeenCalledWith(null, [{ address: '93.184.216.34', family: 4 }]);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const loadConfig = require('../../src/config/loadConfig');
+const { ConfigError } = require('../../src/utils/errors');
+
+const projectRoot = path.resolve(__dirname, '../..');
+
+describe('loadConfig', () => {
+  let configDir;
+
+  // Write a config file into the temporary directory
+  const writeConfig = (name, content) => {
+    const file = path.join(configDir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  // The error loadConfig throws, for assertions on its problems
+  const getError = options => {
+    try {
+      loadConfig(options);
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected the configuration to be rejected');
+  };
+
+  beforeEach(() => {
+    configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mermaid-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(configDir, { recursive: true, force: true });
+  });
+
+  it('should use the defaults without a config file or environment variables', () => {
+    const config = loadConfig({ env: {} });
+
+    expect(config.server).toEqual({ port: 3000, jsonBodyLimit: '5mb' });
+    expect(config.render).toEqual(expect.objectContaining({ renderer: 'pool', defaultWidth: 1920, timeout: 120000 }));
+    expect(config.cache).toEqual(expect.objectContaining({ store: 'disk', ttl: 86400000, dir: path.join(projectRoot, 'temp/cache') }));
+    expect(config.tempDir).toBe(path.join(projectRoot, 'temp'));
+    expect(config.admin.apiToken).toBeNull();
+    expect(config.logging).toEqual({ level: 'info', format: 'json' });
+    expect(loadConfig({ env: { NODE_ENV: 'development' } }).logging).toEqual({ level: 'debug', format: 'pretty' });
+  });
+
+  it('should read settings from a JSON config file', () => {
+    const file = writeConfig('config.json', JSON.stringify({ render: { timeout: 60000 }, cache: { store: 'memory' } }));
+
+    const config = loadConfig({ env: {}, file });
+
+    expect(config.render.timeout).toBe(60000);
+    expect(config.render.defaultWidth).toBe(1920);
+    expect(config.cache.store).toBe('memory');
+  });
+
+  it('should read settings from a YAML config file named in CONFIG_FILE', () => {
+    const file = writeConfig('config.yaml', 'server:\n  port: 8080\ncache:\n  dir: /var/cache/mermaid\n');
+
+    const config = loadConfig({ env: { CONFIG_FILE: file } });
+
+    expect(config.server.port).toBe(8080);
+    expect(config.cache.dir).toBe('/var/cache/mermaid');
+  });
+
+  it('should let environment variables override the config file', () => {
+    const file = writeConfig('config.yml', 'render:\n  maxConcurrency: 4\n  maxQueueLength: 50\n');
+
+    const config = loadConfig({ env: { RENDER_MAX_CONCURRENCY: '8', RENDER_MAX_QUEUE: '0', ADMIN_API_TOKEN: '' }, file });
+
+    expect(config.render.maxConcurrency).toBe(8);
+    expect(config.render.maxQueueLength).toBe(0);
+    expect(config.admin.apiToken).toBeNull();
+  });
+
+  it('should report every invalid setting with where it came from', () => {
+    const file = writeConfig('config.json', JSON.stringify({ cache: { store: 'sqlite', sweepIntervall: 1000 }, render: 'fast' }));
+
+    const error = getError({ env: { PORT: 'eighty', CACHE_TTL: '-1', CACHE_REDIS_URL: 'http://cache' }, file });
+
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.problems).toEqual([
+      'server.port (PORT): must be an integer between 1 and 65535, got "eighty"',
+      'render (config file): must be a group of settings, got "fast"',
+      'cache.store (config file): must be one of disk, memory, redis, got "sqlite"',
+      'cache.ttl (CACHE_TTL): must be an integer of at least 1, got -1',
+      'cache.redisUrl (CACHE_REDIS_URL): must be a redis:// or rediss:// URL, got "http://cache"',
+      'cache.sweepIntervall (config file): unknown setting'
+    ]);
+    expect(error.message).toMatch(/^Invalid configuration \(config file: .*config\.json\):\n {2}- server\.port/);
+  });
+
+  it('should render strictly unless a deployment opts into another security level', () => {
+    expect(loadConfig({ env: {} }).render.securityLevel).toBe('strict');
+    expect(loadConfig({ env: { MERMAID_SECURITY_LEVEL: 'loose' } }).render.securityLevel).toBe('loose');
+    expect(getError({ env: { MERMAID_SECURITY_LEVEL: 'sandbox' } }).problems).toEqual([
+      'render.securityLevel (MERMAID_SECURITY_LEVEL): must be one of strict, antiscript, loose, got "sandbox"'
+    ]);
+  });
+
+  it('should reject inconsistent limits', () => {
+    const error = getError({ env: { RENDER_MIN_WIDTH: '2000', RENDER_MAX_WIDTH: '1000' } });
+
+    expect(error.problems).toEqual(['render.minWidth (2000) must not exceed render.maxWidth (1000)']);
+  });
+
+  it('should reject unreadable config files', () => {
+    const broken = writeConfig('config.json', '{ "server": ');
+
+    expect(() => loadConfig({ env: {}, file: broken })).toThrow(/^Cannot read config file .*config\.json: /);
+    expect(() => loadConfig({ env: {}, file: path.join(configDir, 'missing.yaml') })).toThrow(ConfigError);
+    expect(() => loadConfig({ env: {}, file: writeConfig('config.toml', '') })).toThrow('expected a .json, .yaml or .yml file');
+    expect(() => loadConfig({ env: {}, file: writeConfig('list.yaml', '- a\n- b\n') })).toThrow('expected an object of settings');
+  });
+});
@@ -0,0 +1,42 @@
+const zlib = require('zlib');
+const { decodeDiagram } = require('../../src/utils/diagramEncoding');
+
+// Encode editor state the way mermaid.live share links do
+function pakoLink(state) {
+  return 'pako:' + zlib.deflateSync(Buffer.from(JSON.stringify(state)), { level: 9 }).toString('base64url');
+}
+
+describe('decodeDiagram', () => {
+  const code = 'graph TD;\n  A-->B;';
+
+  it('should decode mermaid.live pako links with their theme', () => {
+    const encoded = pakoLink({ code, mermaid: JSON.stringify({ theme: 'dark' }), autoSync: true });
+
+    expect(decodeDiagram(encoded)).toEqual({ code, theme: 'dark' });
+  });
+
+  it('should decode bare and prefixed base64url diagram source', () => {
+    const encoded = Buffer.from(code).toString('base64url');
+
+    expect(decodeDiagram(encoded)).toEqual({ code, theme: undefined });
+    expect(decodeDiagram(`base64:${encoded}`)).toEqual({ code, theme: undefined });
+  });
+
+  it('should read the diagram from base64 encoded editor state', () => {
+    const encoded = Buffer.from(JSON.stringify({ code, mermaid: { theme: 'forest' } })).toString('base64url');
+
+    expect(decodeDiagram(encoded)).toEqual({ code, theme: 'forest' });
+  });
+
+  it('should reject malformed and unsupported encodings', () => {
+    expect(() => decodeDiagram('pako:bm90LWRlZmxhdGU')).toThrow('Encoded diagram could not be decompressed');
+    expect(() => decodeDiagram('not base64!')).toThrow('Encoded diagram is not valid base64');
+    expect(() => decodeDiagram('gzip:abcd')).toThrow('Unsupported diagram encoding: gzip');
+  });
+
+  it('should reject links that expand beyond the size limit', () => {
+    const bomb = zlib.deflateSync(Buffer.alloc(2 * 1024 * 1024, 'a')).toString('base64url');
+
+    expect(() => decodeDiagram(`pako:${bomb}`)).toThrow('Encoded diagram is too large');
+  });
+});
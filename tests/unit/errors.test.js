@@ -0,0 +1,101 @@
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+const errorHandler = require('../../src/middleware/errorHandler');
+const {
+  MermaidSyntaxError,
+  QueueTimeoutError,
+  isSyntaxErrorMessage,
+  parseSyntaxErrorLocation,
+  createSyntaxError
+} = require('../../src/utils/errors');
+
+describe('Error classification', () => {
+  const parseError = [
+    'Parse error on line 2:',
+    'graph TD; A-->',
+    '--------------^',
+    "Expecting 'AMP', 'START_LINK', got 'EOF'"
+  ].join('\n');
+
+  it('should recognise Mermaid parser messages as syntax errors', () => {
+    expect(isSyntaxErrorMessage(parseError)).toBe(true);
+    expect(isSyntaxErrorMessage('No diagram type detected matching given configuration for text: foo')).toBe(true);
+    expect(isSyntaxErrorMessage('Protocol error: Target closed')).toBe(false);
+  });
+
+  it('should extract the line and column from a parser message', () => {
+    expect(parseSyntaxErrorLocation(parseError)).toEqual({ line: 2, column: 15 });
+  });
+
+  it('should not guess a column when the excerpt is elided', () => {
+    const elided = 'Parse error on line 3:\n...A-->B; B-->\n----------^\nExpecting something';
+
+    expect(parseSyntaxErrorLocation(elided)).toEqual({ line: 3, column: undefined });
+  });
+
+  it('should strip the mermaid-cli prefix and stack trace from stderr', () => {
+    const stderr = `Error: ${parseError}\n    at Parser.parseError (mermaid.js:1:1)\n    at Parser.parse (mermaid.js:2:2)`;
+
+    const error = createSyntaxError(stderr);
+
+    expect(error).toBeInstanceOf(MermaidSyntaxError);
+    expect(error.message).toBe(parseError);
+    expect(error.toJSON()).toEqual({
+      code: 'SYNTAX_ERROR',
+      message: parseError,
+      line: 2,
+      column: 15
+    });
+  });
+});
+
+describe('errorHandler', () => {
+  function createTestApp(routeError) {
+    const app = express();
+    app.use(bodyParser.json());
+    app.post('/fail', (req, res, next) => next(routeError));
+    app.use(errorHandler);
+    return app;
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('should send service errors in the JSON error envelope', async () => {
+    const response = await request(createTestApp(new QueueTimeoutError('Waited too long', 3)))
+      .post('/fail')
+      .send({});
+
+    expect(response.status).toBe(503);
+    expect(response.headers['retry-after']).toBe('3');
+    expect(response.body).toEqual({
+      success: false,
+      error: { code: 'QUEUE_TIMEOUT', message: 'Waited too long' }
+    });
+  });
+
+  it('should report malformed JSON bodies as invalid requests', async () => {
+    const response = await request(createTestApp(new Error('unused')))
+      .post('/fail')
+      .set('Content-Type', 'application/json')
+      .send('{"mermaidSyntax":');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('INVALID_REQUEST');
+  });
+
+  it('should hide the message of unexpected errors', async () => {
+    const response = await request(createTestApp(new Error('database password is hunter2')))
+      .post('/fail')
+      .send({});
+
+    expect(response.status).toBe(500);
+    expect(response.body.error).toEqual({ code: 'INTERNAL_ERROR', message: 'Internal Server Error' });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HealthService = require('../../src/services/healthService');
+
+// fs.statfs arrived in Node.js 18.15; older versions skip the free space check
+const hasStatfs = typeof fs.promises.statfs === 'function';
+
+describe('HealthService', () => {
+  let tempDir;
+  let mermaidService;
+  let healthService;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mermaid-health-'));
+    mermaidService = {
+      renderer: 'pool',
+      checkRenderer: jest.fn().mockResolvedValue(),
+      cacheHelper: {
+        storeName: 'disk',
+        checkHealth: jest.fn().mockResolvedValue()
+      }
+    };
+    healthService = new HealthService(mermaidService, { silent: true, tempDir, minFreeDiskBytes: 1 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should report every component as ok when renders can work', async () => {
+    const { ready, checks } = await healthService.checkReadiness();
+
+    expect(ready).toBe(true);
+    expect(checks.renderer).toEqual(expect.objectContaining({ status: 'ok', renderer: 'pool' }));
+    expect(checks.cache).toEqual(expect.objectContaining({ status: 'ok', store: 'disk' }));
+    expect(checks.disk).toEqual(expect.objectContaining({
+      status: 'ok',
+      freeBytes: hasStatfs ? expect.any(Number) : null
+    }));
+    expect(fs.readdirSync(tempDir)).toEqual([]);
+  });
+
+  it('should report a broken renderer', async () => {
+    mermaidService.checkRenderer.mockRejectedValue(new Error('Browser closed'));
+
+    const { ready, checks } = await healthService.checkReadiness();
+
+    expect(ready).toBe(false);
+    expect(checks.renderer).toEqual(expect.objectContaining({ status: 'error', error: 'Browser closed' }));
+    expect(checks.cache.status).toBe('ok');
+  });
+
+  it('should time out checks that hang', async () => {
+    healthService.checkTimeout = 20;
+    mermaidService.cacheHelper.checkHealth.mockReturnValue(new Promise(() => {}));
+
+    const { checks } = await healthService.checkReadiness();
+
+    expect(checks.cache).toEqual(expect.objectContaining({ status: 'error', error: 'cache check timed out after 20ms' }));
+  });
+
+  it('should fail when the temporary directory is low on space', async () => {
+    healthService.minFreeDiskBytes = Number.MAX_SAFE_INTEGER;
+
+    const { ready, checks } = await healthService.checkReadiness();
+
+    if (hasStatfs) {
+      expect(ready).toBe(false);
+      expect(checks.disk.error).toMatch(/bytes free/);
+    } else {
+      expect(ready).toBe(true);
+      expect(checks.disk.freeSpace).toBe('skipped');
+    }
+  });
+
+  it('should skip the free space check where fs.statfs is not available', async () => {
+    const { statfs } = fs.promises;
+    delete fs.promises.statfs;
+    // Even a threshold no disk can meet does not fail readiness when it cannot be checked
+    healthService.minFreeDiskBytes = Number.MAX_SAFE_INTEGER;
+
+    try {
+      const { ready, checks } = await healthService.checkReadiness();
+
+      expect(ready).toBe(true);
+      expect(checks.disk).toEqual(expect.objectContaining({ status: 'ok', freeBytes: null, freeSpace: 'skipped' }));
+    } finally {
+      if (statfs) {
+        fs.promises.statfs = statfs;
+      }
+    }
+  });
+
+    it('should reuse recent results instead of rendering a canary for every probe', async () => {
+    await Promise.all([healthService.checkReadiness(), healthService.checkReadiness()]);
+    await healthService.checkReadiness();
+
+    expect(mermaidService.checkRenderer).toHaveBeenCalledTimes(1);
+
+    healthService.lastCheckedAt = 0;
+    await healthService.checkReadiness();
+
+    expect(mermaidService.checkRenderer).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,196 @@
+const http = require('http');
+const JobService = require('../../src/services/jobService');
+const MemoryJobStore = require('../../src/services/jobStore');
+const { MermaidSyntaxError, ValidationError, TooManyJobsError } = require('../../src/utils/errors');
+
+// Local server recording the callbacks it receives
+function createCallbackServer(statusCodes = []) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.statusCode = statusCodes.shift() || 200;
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, received, url: `http://127.0.0.1:${server.address().port}/hook` });
+    });
+  });
+}
+
+describe('JobService', () => {
+  let mermaidService;
+  let jobService;
+
+  beforeEach(() => {
+    mermaidService = {
+      convertMermaidToImage: jest.fn().mockResolvedValue(Buffer.from('png data'))
+    };
+    // The callback server listens on loopback, which callbacks may only reach when allowed
+    jobService = new JobService(mermaidService, { silent: true, callbackRetryDelay: 1, callbackAllowedHosts: '127.0.0.1' });
+  });
+
+  it('should queue a job and complete it in the background', async () => {
+    const job = await jobService.createJob('graph TD; A-->B;', { format: 'png' }, { baseUrl: 'http://localhost/jobs' });
+
+    expect(job).toEqual(expect.objectContaining({ status: 'queued', progress: 0, format: 'png' }));
+    expect(job.resultUrl).toBe(`http://localhost/jobs/${job.id}/result`);
+
+    await jobService.drain();
+    const finished = await jobService.getJob(job.id);
+
+    expect(finished).toEqual(expect.objectContaining({ status: 'completed', progress: 100 }));
+    expect(finished.result.toString()).toBe('png data');
+    expect(jobService.toStatus(finished)).not.toHaveProperty('result');
+  });
+
+  it('should let job renders wait for a render slot instead of failing when the queue is busy', async () => {
+    await jobService.createJob('graph TD; A-->B;', { format: 'svg' });
+    await jobService.drain();
+
+    expect(mermaidService.convertMermaidToImage).toHaveBeenCalledWith('graph TD; A-->B;', { format: 'svg', waitForSlot: true });
+  });
+
+  it('should record the error of a failed render', async () => {
+    mermaidService.convertMermaidToImage.mockRejectedValue(
+      new MermaidSyntaxError('Parse error on line 1', { line: 1, column: 5 })
+    );
+
+    const job = await jobService.createJob('graph TD; A-->', {});
+    await jobService.drain();
+
+    expect((await jobService.getJob(job.id)).error).toEqual({
+      code: 'SYNTAX_ERROR',
+      message: 'Parse error on line 1',
+      line: 1,
+      column: 5
+    });
+  });
+
+  it('should mark a job failed when the store fails while it runs', async () => {
+    const store = new MemoryJobStore();
+    const update = store.update.bind(store);
+    jest.spyOn(store, 'update').mockImplementationOnce(() => Promise.reject(new Error('Store unavailable')));
+    store.update.mockImplementation(update);
+    const logger = { error: jest.fn(), warn: jest.fn() };
+    jobService = new JobService(mermaidService, { silent: true, store, logger });
+
+    const job = await jobService.createJob('graph TD; A-->B;', {});
+    await jobService.drain();
+
+    expect(await jobService.getJob(job.id)).toEqual(expect.objectContaining({
+      status: 'failed',
+      error: expect.objectContaining({ message: 'Failed to process render job' })
+    }));
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('Store unavailable'));
+  });
+
+  it('should not reject when the job cannot be marked failed either', async () => {
+    const store = new MemoryJobStore();
+    jest.spyOn(store, 'update').mockRejectedValue(new Error('Store unavailable'));
+    const logger = { error: jest.fn(), warn: jest.fn() };
+    jobService = new JobService(mermaidService, { silent: true, store, logger });
+
+    const job = await jobService.createJob('graph TD; A-->B;', {});
+    await expect(jobService.drain()).resolves.toBeUndefined();
+
+    expect((await jobService.getJob(job.id)).status).toBe('queued');
+    expect(logger.error).toHaveBeenCalledWith(`Could not mark render job ${job.id} as failed: Store unavailable`);
+  });
+
+  it('should POST the finished job to its callback URL', async () => {
+    const { server, received, url } = await createCallbackServer();
+
+    try {
+      const job = await jobService.createJob('graph TD; A-->B;', {}, { callbackUrl: url });
+      await jobService.drain();
+
+      expect(received).toEqual([expect.objectContaining({ id: job.id, status: 'completed' })]);
+      expect((await jobService.getJob(job.id)).callback).toEqual({ status: 'delivered', attempts: 1 });
+    } finally {
+      server.close();
+    }
+  });
+
+  it('should refuse callback URLs that point at non-public addresses', async () => {
+    jobService = new JobService(mermaidService, { silent: true });
+
+    for (const callbackUrl of ['http://127.0.0.1:3000/hook', 'http://169.254.169.254/latest/meta-data/', 'http://[::1]/hook', 'http://localhost/hook']) {
+      await expect(jobService.createJob('graph TD; A-->B;', {}, { callbackUrl })).rejects.toThrow(ValidationError);
+    }
+    expect(mermaidService.convertMermaidToImage).not.toHaveBeenCalled();
+  });
+
+  it('should check the callback host again when delivering', async () => {
+    const { server, received, url } = await createCallbackServer();
+
+    try {
+      const job = await jobService.createJob('graph TD; A-->B;', {}, { callbackUrl: url });
+      // As if the host resolved to a private address only after the job was created
+      jobService.callbackAllowedHosts = [];
+      await jobService.drain();
+
+      expect(received).toHaveLength(0);
+      expect((await jobService.getJob(job.id)).callback).toEqual({ status: 'failed', attempts: 3 });
+    } finally {
+      server.close();
+    }
+  });
+
+  it('should retry failed callbacks and record when they give up', async () => {
+    const { server, received, url } = await createCallbackServer([500, 500, 500]);
+
+    try {
+      const job = await jobService.createJob('graph TD; A-->B;', {}, { callbackUrl: url });
+      await jobService.drain();
+
+      expect(received).toHaveLength(3);
+      expect((await jobService.getJob(job.id)).callback).toEqual({ status: 'failed', attempts: 3 });
+    } finally {
+      server.close();
+    }
+  });
+});
+
+describe('MemoryJobStore', () => {
+  it('should drop finished jobs once they expire', async () => {
+    const store = new MemoryJobStore({ ttl: 1000 });
+    await store.create({ id: 'old', status: 'completed', finishedAt: new Date(Date.now() - 2000).toISOString() });
+    await store.create({ id: 'running', status: 'running' });
+
+    expect(await store.get('old')).toBeNull();
+    expect(await store.get('running')).toEqual({ id: 'running', status: 'running' });
+  });
+
+  it('should drop the oldest finished jobs when it is full', async () => {
+    const store = new MemoryJobStore({ maxJobs: 2 });
+    await store.create({ id: 'finished', status: 'completed', finishedAt: new Date().toISOString() });
+    await store.create({ id: 'running', status: 'running' });
+    await store.create({ id: 'new', status: 'queued' });
+
+    expect(await store.get('finished')).toBeNull();
+    expect(await store.get('running')).not.toBeNull();
+    expect(await store.get('new')).not.toBeNull();
+  });
+
+  it('should refuse new jobs while every stored job is unfinished', async () => {
+    const store = new MemoryJobStore({ maxJobs: 1 });
+    await store.create({ id: 'running', status: 'running' });
+
+    await expect(store.create({ id: 'new', status: 'queued' })).rejects.toThrow(TooManyJobsError);
+    expect(await store.get('new')).toBeNull();
+  });
+
+  it('should return copies so callers cannot change stored jobs', async () => {
+    const store = new MemoryJobStore();
+    const job = await store.create({ id: 'a', status: 'queued' });
+    job.status = 'changed';
+
+    expect((await store.get('a')).status).toBe('queued');
+  });
+});
@@ -0,0 +1,61 @@
+const { Logger, runWithContext } = require('../../src/config/logger');
+
+describe('Logger', () => {
+  let lines;
+  let logger;
+
+  const write = (line, level) => lines.push({ level, entry: JSON.parse(line) });
+
+  beforeEach(() => {
+    lines = [];
+    logger = new Logger({ level: 'info', write });
+  });
+
+  it('should write one JSON object per line', () => {
+    logger.log('Converted diagram', { bytes: 1024 });
+
+    expect(lines).toEqual([{
+      level: 'info',
+      entry: { time: expect.any(String), level: 'info', msg: 'Converted diagram', bytes: 1024 }
+    }]);
+    expect(new Date(lines[0].entry.time).toISOString()).toBe(lines[0].entry.time);
+  });
+
+  it('should skip levels below the configured one', () => {
+    logger.debug('Details');
+    logger.warn('Careful');
+    logger.error('Broken');
+
+    expect(lines.map(line => line.level)).toEqual(['warn', 'error']);
+    expect(new Logger({ level: 'silent', write }).isLevelEnabled('error')).toBe(false);
+    expect(() => new Logger({ level: 'verbose' })).toThrow('Unsupported log level: verbose');
+  });
+
+  it('should add child logger fields to every line', () => {
+    const jobLogger = logger.child({ jobId: 'job-1' }).child({ attempt: 2 });
+
+    jobLogger.warn('Callback failed', { attempt: 3 });
+
+    expect(lines[0].entry).toEqual(expect.objectContaining({ jobId: 'job-1', attempt: 3, msg: 'Callback failed' }));
+  });
+
+  it('should add the request context to lines logged during async work', async () => {
+    await runWithContext({ requestId: 'req-1' }, async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      logger.log('Rendering');
+    });
+    logger.log('Idle');
+
+    expect(lines[0].entry.requestId).toBe('req-1');
+    expect(lines[1].entry.requestId).toBeUndefined();
+  });
+
+  it('should serialize errors', () => {
+    const error = new Error('Browser closed');
+    error.code = 'RENDER_FAILED';
+
+    logger.error('Render failed', { error });
+
+    expect(lines[0].entry.error).toEqual({ message: 'Browser closed', code: 'RENDER_FAILED', stack: expect.any(String) });
+  });
+});
@@ -2,6 +2,9 @@ const fs = require('fs').promises;
 const path = require('path');
 const MermaidService = require('../../src/services/mermaidService');
 const fileHelper = require('../../src/utils/fileHelper');
+const CacheHelper = require('../../src/utils/cacheHelper');
+const RenderQueue = require('../../src/services/renderQueue');
+const { QueueTimeoutError } = require('../../src/utils/errors');
 
 // Configure file helper to be silent during tests
 fileHelper.configure({ silent: true });
@@ -33,20 +36,8 @@ jest.mock('fs', () => ({
   mkdirSync: jest.fn()
 }));
 
-jest.mock('child_process', () => ({
-  exec: jest.fn((cmd, callback) => {
-    if (callback && typeof callback === 'function') {
-      callback(null, { stdout: 'success' });
-    }
-    return { stdout: 'success' };
-  })
-}));
-
-jest.mock('util', () => ({
-  promisify: jest.fn(fn => async (...args) => {
-    // Return a successful result from the promisified exec
-    return { stdout: 'success', stderr: '' };
-  })
+jest.mock('../../src/utils/processRunner', () => ({
+  runProcess: jest.fn().mockResolvedValue({ stdout: 'success', stderr: '' })
 }));
 
 describe('MermaidService', () => {
@@ -70,34 +61,350 @@ describe('MermaidService', () => {
   });
 
   describe('convertToPng', () => {
-    it('should execute mmdc command to convert mermaid to png with default dimensions', async () => {
-      const inputFile = '/tmp/test.mmd';
-      const outputFile = '/tmp/test.png';
-      const { promisify } = require('util');
+    it('should run mermaid-cli with default dimensions', async () => {
+      const cliService = new MermaidService({ silent: true, renderer: 'cli' });
+      const { runProcess } = require('../../src/utils/processRunner');
+      fs.readFile.mockResolvedValueOnce('graph TD; A-->B;');
       
-      const result = await mermaidService.convertToPng(inputFile, outputFile);
+      const result = await cliService.convertToPng('/tmp/test.mmd', '/tmp/test.png');
       
       expect(result).toBe(true);
       // Verify that the default Full HD dimensions are used
       expect(mermaidService.defaultWidth).toBe(1920);
       expect(mermaidService.defaultHeight).toBe(1080);
+      
+      const [command, args, options] = runProcess.mock.calls[0];
+      expect(command).toBe(process.execPath);
+      expect(args[0]).toBe(cliService.mermaidCliPath);
+      expect(args).toEqual(expect.arrayContaining(['-i', '/tmp/test.mmd', '-o', '/tmp/test.png', '-w', '1920', '-H', '1080']));
+      expect(options).toEqual({ timeout: cliService.renderTimeout });
     });
 
-    it('should execute mmdc command with custom dimensions when provided', async () => {
-      const inputFile = '/tmp/test.mmd';
-      const outputFile = '/tmp/test.png';
-      const customOptions = { width: 1920, height: 1080 };
-      const { promisify } = require('util');
+    it('should run mermaid-cli with custom dimensions when provided', async () => {
+      const cliService = new MermaidService({ silent: true, renderer: 'cli' });
+      const { runProcess } = require('../../src/utils/processRunner');
+      fs.readFile.mockResolvedValueOnce('graph TD; A-->B;');
+      
+      const result = await cliService.convertToPng('/tmp/test.mmd', '/tmp/test.png', { width: 2400, height: 1200 });
+      
+      expect(result).toBe(true);
+      const [, args] = runProcess.mock.calls[0];
+      expect(args).toEqual(expect.arrayContaining(['-w', '2400', '-H', '1200']));
+    });
+    
+    it('should pass request values to mermaid-cli verbatim, without a shell', async () => {
+      const cliService = new MermaidService({ silent: true, renderer: 'cli' });
+      const { runProcess } = require('../../src/utils/processRunner');
+      fs.readFile.mockResolvedValueOnce('graph TD; A-->B;');
+      const outputFile = '/tmp/"; touch pwned; ".png';
+      
+      await cliService.convertToPng('/tmp/test.mmd', outputFile);
+      
+      const [, args] = runProcess.mock.calls[0];
+      expect(args[args.indexOf('-o') + 1]).toBe(outputFile);
+    });
+    
+    it('should run a configured mermaid-cli executable directly', async () => {
+      const cliService = new MermaidService({ silent: true, renderer: 'cli', mermaidCliPath: '/usr/local/bin/mmdc' });
+      const { runProcess } = require('../../src/utils/processRunner');
+      
+      await cliService.runMermaidCli(['-i', '/tmp/test.mmd']);
+      
+      expect(runProcess).toHaveBeenCalledWith('/usr/local/bin/mmdc', ['-i', '/tmp/test.mmd'], { timeout: cliService.renderTimeout });
+    });
+    
+    it('should report a killed mermaid-cli process as a render timeout', async () => {
+      const cliService = new MermaidService({ silent: true, renderer: 'cli' });
+      const { runProcess } = require('../../src/utils/processRunner');
+      fs.readFile.mockResolvedValueOnce('graph TD; A-->B;');
+      runProcess.mockRejectedValueOnce(Object.assign(new Error('timed out'), { killed: true, stderr: '' }));
+      
+      await expect(cliService.convertToPng('/tmp/test.mmd', '/tmp/test.png')).rejects.toMatchObject({ code: 'RENDER_TIMEOUT' });
+    });
+  });
+  
+  describe('getMermaidCliArgs', () => {
+    const baseOptions = { inputFile: '/tmp/test.mmd', outputFile: '/tmp/test.png', width: 1920, height: 1080 };
+    
+    it('should build arguments from checked values', () => {
+      const args = mermaidService.getMermaidCliArgs({
+        ...baseOptions,
+        width: 1920.4,
+        scale: 2,
+        backgroundColor: 'transparent',
+        puppeteerConfigPath: '/app/puppeteer-config.json',
+        mermaidConfigPath: '/app/mermaid.config.json',
+        pdfFit: true
+      });
+      
+      expect(args).toEqual([
+        '-i', '/tmp/test.mmd', '-o', '/tmp/test.png', '-w', '1920', '-H', '1080',
+        '-p', '/app/puppeteer-config.json', '-c', '/app/mermaid.config.json',
+        '--backgroundColor', 'transparent', '--scale', '2', '--pdfFit'
+      ]);
+    });
+    
+    it('should reject values of the wrong type or out of range', () => {
+      const invalidOptions = [
+        { inputFile: 'relative.mmd' },
+        { outputFile: '--help' },
+        { width: '1920' },
+        { width: 100000 },
+        { height: NaN },
+        { scale: Infinity },
+        { scale: '2; rm -rf /' },
+        { backgroundColor: 'red" --foo "' },
+        { mermaidConfigPath: 42 },
+        { pdfFit: 'yes' }
+      ];
+      
+      for (const options of invalidOptions) {
+        expect(() => mermaidService.getMermaidCliArgs({ ...baseOptions, ...options })).toThrow(TypeError);
+      }
+    });
+  });
+
+  describe('browser pool rendering', () => {
+    it('should render on the browser pool by default', async () => {
+      mermaidService.browserPool.render = jest.fn().mockResolvedValue(Buffer.from('<svg></svg>'));
+      fs.readFile.mockResolvedValueOnce('graph TD; A-->B;');
+      
+      const result = await mermaidService.convertToPng('/tmp/test.mmd', '/tmp/test.svg', { width: 1920, height: 1080 });
+      
+      expect(result).toBe(true);
+      expect(mermaidService.browserPool.render).toHaveBeenCalledWith(
+        'graph TD; A-->B;',
+        expect.objectContaining({ width: 1920, height: 1080, format: 'svg' })
+      );
+      expect(fs.writeFile).toHaveBeenCalledWith('/tmp/test.svg', expect.any(Buffer));
+    });
+
+    it('should render ZenUML diagrams on the browser pool', async () => {
+      const zenumlCode = 'zenuml\n  title Order\n  Client->Server: request';
+      mermaidService.browserPool.render = jest.fn().mockResolvedValue(Buffer.from('png'));
+      mermaidService.renderZenUmlWithFallback = jest.fn();
+      fs.readFile.mockResolvedValueOnce(zenumlCode);
+      
+      const result = await mermaidService.convertToPng('/tmp/test.mmd', '/tmp/test.png');
       
-      // Store original implementation to spy on it
-      const origExecPromise = promisify(require('child_process').exec);
+      expect(result).toBe(true);
+      expect(mermaidService.browserPool.render).toHaveBeenCalledWith(zenumlCode, expect.objectContaining({ format: 'png' }));
+      expect(mermaidService.renderZenUmlWithFallback).not.toHaveBeenCalled();
+    });
+    
+    it('should fall back to the Gantt page when the pool render fails', async () => {
+      const ganttCode = 'gantt\n  title Test\n  dateFormat YYYY-MM-DD\n  section A\n  Task 1: a1, 2024-01-01, 30d';
+      mermaidService.browserPool.render = jest.fn().mockRejectedValue(new Error('render failed'));
+      mermaidService.renderGanttWithFallback = jest.fn().mockResolvedValue(true);
+      fs.readFile.mockResolvedValueOnce(ganttCode);
       
-      const result = await mermaidService.convertToPng(inputFile, outputFile, customOptions);
+      const result = await mermaidService.convertToPng('/tmp/test.mmd', '/tmp/test.png', { theme: 'dark', css: '.task { stroke-width: 2px; }' });
       
       expect(result).toBe(true);
+      expect(mermaidService.renderGanttWithFallback).toHaveBeenCalledWith(
+        ganttCode, '/tmp/test.png', expect.any(Number), expect.any(Number), expect.any(Number), undefined,
+        expect.objectContaining({ theme: 'dark', css: '.task { stroke-width: 2px; }' })
+      );
+    });
+
+    it('should not create a browser pool for the cli renderer', () => {
+      const cliService = new MermaidService({ silent: true, renderer: 'cli' });
       
-      // We can only verify that promisify was called, but we can't easily verify the exact command string without more complex mocking
-      expect(promisify).toHaveBeenCalled();
+      expect(cliService.browserPool).toBeNull();
+    });
+  });
+
+  describe('PDF output', () => {
+    beforeEach(() => {
+      // Page layout and encoding through mermaid-cli
+      mermaidService = new MermaidService({ silent: true, renderer: 'cli' });
+    });
+
+    it('should default to a fit-to-diagram page without margins', () => {
+      expect(mermaidService.getPdfOptions()).toEqual({
+        pageSize: 'fit',
+        orientation: 'portrait',
+        margin: 0
+      });
+    });
+
+    it('should lay out fixed page sizes with Puppeteer', async () => {
+      mermaidService.convertToLaidOutPdf = jest.fn().mockResolvedValue(true);
+      fs.readFile.mockResolvedValueOnce('graph TD; A-->B;');
+      const options = { format: 'pdf', pageSize: 'Letter', orientation: 'landscape' };
+      
+      const result = await mermaidService.convertToPng('/tmp/test.mmd', '/tmp/test.pdf', options);
+      
+      expect(result).toBe(true);
+      expect(mermaidService.convertToLaidOutPdf).toHaveBeenCalledWith(
+        '/tmp/test.mmd',
+        '/tmp/test.pdf',
+        options,
+        { pageSize: 'Letter', orientation: 'landscape', margin: 0 }
+      );
+    });
+
+    it('should cache PDFs separately per page layout', () => {
+      const mermaidCode = 'graph TD; A-->B;';
+      const pngKey = mermaidService.cacheHelper.generateCacheKey(mermaidCode, { format: 'png' });
+      const a4Key = mermaidService.cacheHelper.generateCacheKey(mermaidCode, { format: 'pdf', pageSize: 'A4' });
+      const letterKey = mermaidService.cacheHelper.generateCacheKey(mermaidCode, { format: 'pdf', pageSize: 'Letter' });
+      
+      expect(a4Key).not.toBe(pngKey);
+      expect(a4Key).not.toBe(letterKey);
+    });
+  });
+
+  describe('JPEG and WebP output', () => {
+    beforeEach(() => {
+      // Page layout and encoding through mermaid-cli
+      mermaidService = new MermaidService({ silent: true, renderer: 'cli' });
+    });
+
+    it('should encode JPEG output from an intermediate PNG', async () => {
+      mermaidService.convertToEncodedRaster = jest.fn().mockResolvedValue(true);
+      fs.readFile.mockResolvedValueOnce('graph TD; A-->B;');
+      const options = { format: 'jpeg', quality: 80 };
+      
+      const result = await mermaidService.convertToPng('/tmp/test.mmd', '/tmp/test.jpg', options);
+      
+      expect(result).toBe(true);
+      expect(mermaidService.convertToEncodedRaster).toHaveBeenCalledWith('/tmp/test.mmd', '/tmp/test.jpg', options);
+    });
+
+    it('should cache lossy formats separately per quality', () => {
+      const mermaidCode = 'graph TD; A-->B;';
+      const highKey = mermaidService.cacheHelper.generateCacheKey(mermaidCode, { format: 'webp', quality: 90 });
+      const lowKey = mermaidService.cacheHelper.generateCacheKey(mermaidCode, { format: 'webp', quality: 50 });
+      
+      expect(highKey).not.toBe(lowKey);
+    });
+  });
+
+  describe('cache keys', () => {
+    const mermaidCode = 'graph TD; A-->B;';
+
+    it('should cache renders separately per scale factor', () => {
+      const key = options => mermaidService.cacheHelper.generateCacheKey(mermaidCode, { format: 'png', width: 1200, ...options });
+
+      expect(key({ scaleFactor: 2.5 })).not.toBe(key({}));
+      expect(key({ scaleFactor: 2.5 })).toBe(key({ scaleFactor: 2.5 }));
+    });
+
+    it('should share cache entries between omitted and default options', () => {
+      const key = options => mermaidService.cacheHelper.generateCacheKey(mermaidCode, options);
+
+      expect(key({})).toBe(key({ format: 'png', backgroundColor: '#FFFFFF' }));
+      expect(key({ format: 'jpeg' })).toBe(key({ format: 'jpeg', quality: 90 }));
+      expect(key({ format: 'pdf' })).toBe(key({ format: 'pdf', pageSize: 'fit', orientation: 'portrait', margin: 0 }));
+      expect(key({ format: 'png', quality: 50 })).toBe(key({ format: 'png' }));
+    });
+
+    it('should change when the renderer, package versions or Mermaid config change', () => {
+      const environment = mermaidService.cacheHelper.renderEnvironment;
+      const key = overrides => new CacheHelper({ silent: true, renderEnvironment: { ...environment, ...overrides } })
+        .generateCacheKey(mermaidCode, {});
+
+      expect(mermaidService.cacheHelper.generateCacheKey(mermaidCode, {})).toBe(key({}));
+      expect(key({ mermaid: '0.0.1' })).not.toBe(key({}));
+      expect(key({ mermaidCli: '0.0.1' })).not.toBe(key({}));
+      expect(key({ config: 'changed' })).not.toBe(key({}));
+      expect(key({ renderer: 'cli' })).not.toBe(key({}));
+    });
+
+    it('should record the installed mermaid version and a hash of the Mermaid config', () => {
+      const environment = mermaidService.cacheHelper.renderEnvironment;
+
+      expect(environment.mermaid).toBe(require('mermaid/package.json').version);
+      expect(environment.config).toMatch(/^[0-9a-f]{64}$/);
+      expect(environment.renderer).toBe('pool');
+    });
+  });
+
+  describe('themes', () => {
+    it('should render on the pool with the requested theme', async () => {
+      mermaidService.browserPool.render = jest.fn().mockResolvedValue(Buffer.from('png'));
+      fs.readFile.mockResolvedValueOnce('graph TD; A-->B;');
+      
+      await mermaidService.convertToPng('/tmp/test.mmd', '/tmp/test.png', { theme: 'dark' });
+      
+      expect(mermaidService.browserPool.render).toHaveBeenCalledWith(
+        'graph TD; A-->B;',
+        expect.objectContaining({ theme: 'dark' })
+      );
+    });
+
+    it('should write a per-render config file for mermaid-cli', async () => {
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({ theme: 'default', startOnLoad: true }));
+      
+      const configPath = await mermaidService.getMermaidConfigFile('/tmp/test.mmd', { theme: 'forest' });
+      
+      expect(configPath).toBe('/tmp/test.config.json');
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        '/tmp/test.config.json',
+        JSON.stringify({ theme: 'forest', startOnLoad: true }),
+        'utf8'
+      );
+    });
+
+    it('should use the base config file when no theme is requested', async () => {
+      const configPath = await mermaidService.getMermaidConfigFile('/tmp/test.mmd', {});
+      
+      expect(configPath).toMatch(/src[\\/]config[\\/]mermaid\.config\.json$/);
+    });
+
+    it('should write theme variables and CSS into the per-render config file', async () => {
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({ theme: 'default', themeVariables: { primaryColor: '#4682B4' } }));
+      
+      await mermaidService.getMermaidConfigFile('/tmp/test.mmd', {
+        themeVariables: { lineColor: '#ffffff' },
+        css: '.label { font-weight: bold; }'
+      });
+      
+      expect(JSON.parse(fs.writeFile.mock.calls[0][1])).toEqual({
+        theme: 'default',
+        themeVariables: { primaryColor: '#4682B4', lineColor: '#ffffff' },
+        themeCSS: '.label { font-weight: bold; }'
+      });
+    });
+
+    it('should cache renders per theme variables and CSS', () => {
+      const mermaidCode = 'graph TD; A-->B;';
+      const key = options => mermaidService.cacheHelper.generateCacheKey(mermaidCode, { format: 'png', ...options });
+      
+      expect(key({ themeVariables: { primaryColor: '#000', lineColor: '#fff' } }))
+        .toBe(key({ themeVariables: { lineColor: '#fff', primaryColor: '#000' } }));
+      expect(key({ themeVariables: { primaryColor: '#000' } })).not.toBe(key({ themeVariables: { primaryColor: '#111' } }));
+      expect(key({ css: '.a {}' })).not.toBe(key({ css: '.b {}' }));
+      expect(key({ css: '.a {}' })).not.toBe(key({}));
+    });
+
+    it('should render on the pool with the requested background color', async () => {
+      mermaidService.browserPool.render = jest.fn().mockResolvedValue(Buffer.from('png'));
+      fs.readFile.mockResolvedValueOnce('graph TD; A-->B;');
+      
+      await mermaidService.convertToPng('/tmp/test.mmd', '/tmp/test.png', { backgroundColor: 'transparent' });
+      
+      expect(mermaidService.browserPool.render).toHaveBeenCalledWith(
+        'graph TD; A-->B;',
+        expect.objectContaining({ backgroundColor: 'transparent' })
+      );
+    });
+
+    it('should cache renders per background color', () => {
+      const mermaidCode = 'graph TD; A-->B;';
+      const key = options => mermaidService.cacheHelper.generateCacheKey(mermaidCode, { format: 'png', ...options });
+      
+      expect(key({ backgroundColor: 'transparent' })).not.toBe(key({}));
+      expect(key({ backgroundColor: '#000000' })).not.toBe(key({ backgroundColor: 'transparent' }));
+    });
+
+    it('should cache themed renders separately', () => {
+      const mermaidCode = 'graph TD; A-->B;';
+      const defaultKey = mermaidService.cacheHelper.generateCacheKey(mermaidCode, { format: 'png' });
+      const darkKey = mermaidService.cacheHelper.generateCacheKey(mermaidCode, { format: 'png', theme: 'dark' });
+      
+      expect(defaultKey).not.toBe(darkKey);
     });
   });
 
@@ -158,6 +465,116 @@ describe('MermaidService', () => {
       expect(result).toEqual(expect.any(Buffer));
     });
 
+    it('should write SVG output and cache it per format when format is svg', async () => {
+      const mermaidCode = 'graph TD; A-->B;';
+      const options = { format: 'svg' };
+      
+      mermaidService.createTempMermaidFile = jest.fn().mockResolvedValue();
+      mermaidService.convertToPng = jest.fn().mockResolvedValue(true);
+      mermaidService.cacheHelper.cacheItem = jest.fn().mockResolvedValue(true);
+      
+      await mermaidService.convertMermaidToImage(mermaidCode, options);
+      
+      expect(mermaidService.convertToPng).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.stringMatching(/\.svg$/),
+        options
+      );
+      expect(mermaidService.cacheHelper.cacheItem).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.any(Buffer),
+        'svg',
+        expect.objectContaining({ diagram: mermaidCode, diagramType: 'flowchart' })
+      );
+    });
+
+    it('should use different cache keys for different formats', () => {
+      const mermaidCode = 'graph TD; A-->B;';
+      const pngKey = mermaidService.cacheHelper.generateCacheKey(mermaidCode, { format: 'png' });
+      const svgKey = mermaidService.cacheHelper.generateCacheKey(mermaidCode, { format: 'svg' });
+      
+      expect(pngKey).not.toBe(svgKey);
+    });
+
+    it('should render cache misses through the render queue', async () => {
+      mermaidService.createTempMermaidFile = jest.fn().mockResolvedValue();
+      mermaidService.convertToPng = jest.fn().mockResolvedValue(true);
+      jest.spyOn(mermaidService.renderQueue, 'run');
+      
+      await mermaidService.convertMermaidToImage('graph TD; A-->B;');
+      
+      expect(mermaidService.renderQueue.run).toHaveBeenCalledTimes(1);
+    });
+
+    it('should share one render between concurrent identical requests', async () => {
+      let finishRender;
+      mermaidService.createTempMermaidFile = jest.fn().mockResolvedValue();
+      mermaidService.convertToPng = jest.fn(() => new Promise(resolve => {
+        finishRender = () => resolve(true);
+      }));
+      
+      const requests = [1, 2, 3].map(() => mermaidService.convertMermaidToImage('graph TD; X-->Y;', { format: 'svg' }));
+      
+      // Let every request pass the cache lookup before the render finishes
+      await new Promise(resolve => setImmediate(resolve));
+      finishRender();
+      const results = await Promise.all(requests);
+      
+      expect(mermaidService.convertToPng).toHaveBeenCalledTimes(1);
+      expect(results[1]).toBe(results[0]);
+      expect(results[2]).toBe(results[0]);
+      expect(mermaidService.inFlightRenders.size).toBe(0);
+    });
+
+    it('should queue its own render when the render it joined was turned away', async () => {
+      mermaidService.renderQueue = new RenderQueue({ silent: true, maxConcurrency: 1, maxQueueLength: 1, queueTimeout: 20 });
+      let finishRunning;
+      mermaidService.renderQueue.run(() => new Promise(resolve => {
+        finishRunning = resolve;
+      }));
+      mermaidService.createTempMermaidFile = jest.fn().mockResolvedValue();
+      mermaidService.convertToPng = jest.fn().mockResolvedValue(true);
+      
+      const request = mermaidService.convertMermaidToImage('graph TD; X-->Y;', { format: 'svg' });
+      await new Promise(resolve => setImmediate(resolve));
+      const job = mermaidService.convertMermaidToImage('graph TD; X-->Y;', { format: 'svg', waitForSlot: true });
+      
+      await expect(request).rejects.toBeInstanceOf(QueueTimeoutError);
+      finishRunning();
+      await expect(job).resolves.toBeDefined();
+      expect(mermaidService.convertToPng).toHaveBeenCalledTimes(1);
+    });
+    
+    it('should use unique temporary files for each render', async () => {
+      mermaidService.createTempMermaidFile = jest.fn().mockResolvedValue();
+      mermaidService.convertToPng = jest.fn().mockResolvedValue(true);
+      const cacheKey = mermaidService.cacheHelper.generateCacheKey('graph TD; A-->B;', {});
+      
+      await mermaidService.renderDiagram('graph TD; A-->B;', cacheKey, {});
+      await mermaidService.renderDiagram('graph TD; A-->B;', cacheKey, {});
+      
+      const [firstInput] = mermaidService.createTempMermaidFile.mock.calls[0].slice(1);
+      const [secondInput] = mermaidService.createTempMermaidFile.mock.calls[1].slice(1);
+      expect(firstInput).not.toBe(secondInput);
+    });
+
+    it('should report syntax error lines relative to the submitted diagram', async () => {
+      const { MermaidSyntaxError } = require('../../src/utils/errors');
+      const mermaidCode = 'flowchart TD\n  A-->';
+      const injectedLines = mermaidService.getInjectedLineCount(mermaidCode);
+      mermaidService.createTempMermaidFile = jest.fn().mockResolvedValue();
+      mermaidService.convertToPng = jest.fn().mockRejectedValue(
+        new MermaidSyntaxError('Parse error on line 2', { line: injectedLines + 2, column: 7 })
+      );
+      
+      await expect(mermaidService.convertMermaidToImage(mermaidCode)).rejects.toMatchObject({
+        code: 'SYNTAX_ERROR',
+        line: 2,
+        column: 7
+      });
+      expect(injectedLines).toBeGreaterThan(0);
+    });
+
     it('should throw an error if conversion fails', async () => {
       const mermaidCode = 'graph TD; A-->B;';
       
@@ -170,6 +587,138 @@ describe('MermaidService', () => {
     });
   });
 
+  describe('metrics', () => {
+    const { Registry, createMetrics } = require('../../src/utils/metrics');
+    let metrics;
+    let registry;
+    
+    beforeEach(() => {
+      registry = new Registry();
+      metrics = createMetrics(registry);
+      mermaidService = new MermaidService({ silent: true, metrics, cache: { store: 'memory' } });
+      mermaidService.createTempMermaidFile = jest.fn().mockResolvedValue();
+    });
+    
+    it('should record render duration, output size and cache lookups by diagram type', async () => {
+      mermaidService.convertToPng = jest.fn().mockResolvedValue(true);
+      
+      await mermaidService.convertMermaidToImage('sequenceDiagram\n  A->>B: Hi', { format: 'svg' });
+      await mermaidService.convertMermaidToImage('sequenceDiagram\n  A->>B: Hi', { format: 'svg' });
+      const exposition = registry.serialize();
+      
+      expect(exposition).toContain('mermaid_renders_total{diagram_type="sequence",format="svg",result="success"} 1');
+      expect(exposition).toContain('mermaid_render_duration_seconds_count{diagram_type="sequence",format="svg",result="success"} 1');
+      expect(exposition).toContain('mermaid_render_output_bytes_sum{diagram_type="sequence",format="svg"} 15');
+      expect(exposition).toContain('mermaid_cache_misses_total{store="memory"} 1');
+      expect(exposition).toContain('mermaid_cache_hits_total{store="memory"} 1');
+    });
+    
+    it('should record failed renders by error code', async () => {
+      const { MermaidSyntaxError } = require('../../src/utils/errors');
+      mermaidService.convertToPng = jest.fn().mockRejectedValue(new MermaidSyntaxError('Parse error on line 1'));
+      
+      await expect(mermaidService.convertMermaidToImage('graph TD; A-->')).rejects.toThrow('Parse error');
+      
+      expect(registry.serialize()).toContain('mermaid_renders_total{diagram_type="flowchart",format="png",result="SYNTAX_ERROR"} 1');
+    });
+    
+    it('should count evictions by administrators', async () => {
+      await mermaidService.cacheHelper.cacheItem('a', Buffer.from('x'));
+      await mermaidService.cacheHelper.evict('a');
+      
+      expect(registry.serialize()).toContain('mermaid_cache_evictions_total{store="memory",reason="admin"} 1');
+    });
+  });
+  
+  describe('validateMermaidSyntax', () => {
+    it('should parse the cleaned diagram without rendering or caching', async () => {
+      mermaidService.browserPool.parse = jest.fn().mockResolvedValue({ valid: true, diagramType: 'flowchart-v2' });
+      mermaidService.browserPool.render = jest.fn();
+      mermaidService.cacheHelper.getCachedItem = jest.fn();
+      
+      const result = await mermaidService.validateMermaidSyntax('graph TD; A-->B;');
+      
+      expect(result).toEqual({ valid: true, diagramType: 'flowchart-v2', errors: [] });
+      expect(mermaidService.browserPool.parse).toHaveBeenCalledWith(mermaidService.cleanMermaidSyntax('graph TD; A-->B;'));
+      expect(mermaidService.browserPool.render).not.toHaveBeenCalled();
+      expect(mermaidService.cacheHelper.getCachedItem).not.toHaveBeenCalled();
+    });
+
+    it('should report error lines in the submitted diagram', async () => {
+      const mermaidCode = 'graph TD;\nA-->;';
+      const injectedLines = mermaidService.getInjectedLineCount(mermaidCode);
+      mermaidService.browserPool.parse = jest.fn().mockResolvedValue({
+        valid: false,
+        error: 'Parse error on line 2',
+        line: injectedLines + 2,
+        column: 4
+      });
+      
+      const result = await mermaidService.validateMermaidSyntax(mermaidCode);
+      
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([{ line: 2, column: 4, message: 'Parse error on line 2' }]);
+    });
+
+    it('should parse the diagram as submitted when clean is false', async () => {
+      mermaidService.browserPool.parse = jest.fn().mockResolvedValue({
+        valid: false,
+        error: 'No diagram type detected matching given configuration for text: A-->B'
+      });
+      
+      const result = await mermaidService.validateMermaidSyntax('A-->B', { clean: false });
+      
+      expect(mermaidService.browserPool.parse).toHaveBeenCalledWith('A-->B');
+      expect(result.errors).toEqual([{
+        line: null,
+        column: null,
+        message: 'No diagram type detected matching given configuration for text: A-->B'
+      }]);
+    });
+  });
+
+  describe('convertMermaidBatch', () => {
+    it('should settle every item and never exceed the queue concurrency', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      mermaidService.convertMermaidToImage = jest.fn().mockImplementation(async (code) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+        if (code === 'bad') throw new Error('render failed');
+        return Buffer.from(code);
+      });
+      const items = ['a', 'bad', 'c', 'd', 'e'].map(code => ({ mermaidCode: code, options: {} }));
+      
+      const results = await mermaidService.convertMermaidBatch(items);
+      
+      expect(maxRunning).toBe(mermaidService.renderQueue.maxConcurrency);
+      expect(results.map(result => result.success)).toEqual([true, false, true, true, true]);
+      expect(results[2].buffer.toString()).toBe('c');
+      expect(results[1].error.message).toBe('render failed');
+    });
+  });
+
+  describe('warmCache', () => {
+    it('should render only the diagrams that are not cached yet', async () => {
+      const items = ['cached', 'new', 'bad'].map(code => ({ mermaidCode: code, options: {} }));
+      const cachedKey = mermaidService.cacheHelper.generateCacheKey('cached', {});
+      mermaidService.cacheHelper.isCached = jest.fn().mockImplementation(async key => key === cachedKey);
+      mermaidService.convertMermaidToImage = jest.fn().mockImplementation(async code => {
+        if (code === 'bad') throw new Error('render failed');
+        return Buffer.from(code);
+      });
+      
+      const results = await mermaidService.warmCache(items);
+      
+      expect(results.map(result => result.status)).toEqual(['cached', 'rendered', 'failed']);
+      expect(results[0].key).toBe(cachedKey);
+      expect(results[2].error.message).toBe('render failed');
+      expect(mermaidService.convertMermaidToImage).toHaveBeenCalledTimes(2);
+    });
+  });
+
   describe('fixGanttSyntax', () => {
     it('should fix missing dateFormat in Gantt charts', async () => {
       const ganttCode = 'gantt\n  title Test Gantt\n  section A\n  Task 1: a1, 2024-01-01, 30d';
@@ -197,40 +746,215 @@ describe('MermaidService', () => {
   });
 
   describe('renderGanttWithFallback', () => {
-    it('should attempt to render Gantt with fallback method', async () => {
-      // Mock the puppeteer and file system operations
-      const puppeteer = {
-        launch: jest.fn().mockResolvedValue({
-          newPage: jest.fn().mockResolvedValue({
-            setViewport: jest.fn().mockResolvedValue(),
-            goto: jest.fn().mockResolvedValue(),
-            waitForSelector: jest.fn().mockResolvedValue(),
-            waitForTimeout: jest.fn().mockResolvedValue(),
-            screenshot: jest.fn().mockResolvedValue(),
-          }),
-          close: jest.fn().mockResolvedValue()
-        })
+    // Puppeteer stand-in whose fallback page renders right away; jest keeps
+    // the first instance of a mocked module, so each test reconfigures this one
+    const puppeteerMock = { launch: jest.fn() };
+    const createPuppeteerMock = () => {
+      const page = {
+        setViewport: jest.fn().mockResolvedValue(),
+        setRequestInterception: jest.fn().mockResolvedValue(),
+        on: jest.fn(),
+        goto: jest.fn().mockResolvedValue(),
+        evaluate: jest.fn().mockResolvedValue([]),
+        waitForFunction: jest.fn().mockResolvedValue(),
+        screenshot: jest.fn().mockResolvedValue()
       };
-      
-      // Mock require for puppeteer
-      const originalRequire = global.require;
-      global.require = jest.fn((moduleName) => {
-        if (moduleName === 'puppeteer') return puppeteer;
-        return originalRequire(moduleName);
-      });
+      const browser = {
+        newPage: jest.fn().mockResolvedValue(page),
+        close: jest.fn().mockResolvedValue()
+      };
+      puppeteerMock.launch.mockResolvedValue(browser);
+      return { page, browser };
+    };
+    
+    beforeEach(() => {
+      jest.doMock('puppeteer', () => puppeteerMock);
+    });
+    
+    afterEach(() => {
+      jest.dontMock('puppeteer');
+    });
+    
+    it('should render Gantt charts on the fallback page', async () => {
+      const puppeteer = createPuppeteerMock();
+      const { runProcess } = require('../../src/utils/processRunner');
       
       const ganttCode = 'gantt\n  title Test Gantt\n  dateFormat YYYY-MM-DD\n  section A\n  Task 1: a1, 2024-01-01, 30d';
       const outputFile = '/tmp/test.png';
       
       const result = await mermaidService.renderGanttWithFallback(ganttCode, outputFile, 1920, 1080);
       
-      // Restore the original require
-      global.require = originalRequire;
-      
-      // Verify the result
+      // The page itself produced the image; mermaid-cli was not needed
       expect(result).toBe(true);
+      expect(puppeteer.page.screenshot).toHaveBeenCalledWith(expect.objectContaining({ path: outputFile }));
+      expect(runProcess).not.toHaveBeenCalled();
+      expect(puppeteer.browser.close).toHaveBeenCalled();
       expect(fs.writeFile).toHaveBeenCalled();
       expect(fs.unlink).toHaveBeenCalled();
     });
+    
+    it('should render ZenUML diagrams on the fallback page', async () => {
+      const puppeteer = createPuppeteerMock();
+      const { runProcess } = require('../../src/utils/processRunner');
+      
+      const result = await mermaidService.renderZenUmlWithFallback('zenuml\n  A->B: hello', '/tmp/zenuml.png', 1920, 1080);
+      
+      expect(result).toBe(true);
+      expect(puppeteer.page.screenshot).toHaveBeenCalledWith(expect.objectContaining({ path: '/tmp/zenuml.png' }));
+      expect(runProcess).not.toHaveBeenCalled();
+    });
+    
+    it('should encode JPEG and WebP output of fallback pages at the requested quality', async () => {
+      const puppeteer = createPuppeteerMock();
+      
+      await mermaidService.renderGanttWithFallback('gantt\n  title Lossy', '/tmp/lossy.jpg', 1920, 1080, 2, 'white', { quality: 70 });
+      await mermaidService.renderZenUmlWithFallback('zenuml\n  A->B: hello', '/tmp/lossy.webp', 1920, 1080);
+      
+      expect(puppeteer.page.screenshot).toHaveBeenCalledWith({ path: '/tmp/lossy.jpg', type: 'jpeg', quality: 70, omitBackground: false });
+      expect(puppeteer.page.screenshot).toHaveBeenCalledWith({ path: '/tmp/lossy.webp', type: 'webp', quality: 90, omitBackground: true });
+    });
+    
+    it('should render fallback pages with the requested theme, theme variables and CSS', async () => {
+      createPuppeteerMock();
+      const options = { theme: 'dark', themeVariables: { primaryColor: '#ff0000' }, css: '.task { stroke-width: 2px; }' };
+      
+      await mermaidService.renderGanttWithFallback('gantt\n  title Themed', '/tmp/themed.png', 1920, 1080, 2, 'white', options);
+      
+      const html = fs.writeFile.mock.calls[0][1];
+      const initialize = html.match(/\.\.\.(\{.*\}),\n/)[1];
+      expect(JSON.parse(initialize)).toEqual({
+        theme: 'dark',
+        themeVariables: { fontSize: 14, fontFamily: 'Arial, sans-serif', primaryColor: '#ff0000' },
+        themeCSS: '.task { stroke-width: 2px; }'
+      });
+    });
+    
+    it('should give the mermaid-cli last resort the Mermaid and Puppeteer configs', async () => {
+      puppeteerMock.launch.mockRejectedValue(new Error('Failed to launch the browser process'));
+      const { runProcess } = require('../../src/utils/processRunner');
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({ theme: 'default', securityLevel: 'strict' }));
+      
+      const result = await mermaidService.renderGanttWithFallback('gantt\n  title Themed', '/tmp/themed.png', 1920, 1080, 2, '#ffffff', { theme: 'dark' });
+      
+      expect(result).toBe(true);
+      const [, args] = runProcess.mock.calls[0];
+      const configPath = args[args.indexOf('-c') + 1];
+      expect(configPath).toMatch(/-fallback\.config\.json$/);
+      expect(args[args.indexOf('-p') + 1]).toBe(path.resolve(__dirname, '../../src/config/puppeteer-config.json'));
+      expect(JSON.parse(fs.writeFile.mock.calls.find(([file]) => file === configPath)[1]).theme).toBe('dark');
+      expect(fs.unlink).toHaveBeenCalledWith(configPath);
+    });
+    
+    it('should remove the config of a failed mermaid-cli last resort', async () => {
+      puppeteerMock.launch.mockRejectedValue(new Error('Failed to launch the browser process'));
+      const { runProcess } = require('../../src/utils/processRunner');
+      runProcess.mockRejectedValueOnce(Object.assign(new Error('mmdc failed'), { stderr: '' }));
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({ theme: 'default', securityLevel: 'strict' }));
+      
+      const result = await mermaidService.renderZenUmlWithFallback('zenuml\n  A->B: hello', '/tmp/zenuml.png', 1920, 1080, 2, '#ffffff', { theme: 'forest' });
+      
+      expect(result).toBe(false);
+      const [, args] = runProcess.mock.calls[0];
+      expect(args).toContain('-p');
+      expect(fs.unlink).toHaveBeenCalledWith(args[args.indexOf('-c') + 1]);
+    });
+    
+    it('should render fallback pages with the configured theme by default', () => {
+      expect(mermaidService.getFallbackThemeConfig()).toEqual({
+        theme: 'default',
+        themeVariables: expect.objectContaining({ fontFamily: 'Arial, sans-serif', primaryColor: '#4682B4' })
+      });
+    });
+  });
+  
+  describe('security level', () => {
+    const writtenConfig = () => JSON.parse(fs.writeFile.mock.calls[0][1]);
+    
+    it('should render with the strict security level by default', async () => {
+      const configPath = await mermaidService.getMermaidConfigFile('/tmp/test.mmd', {});
+      
+      expect(mermaidService.securityLevel).toBe('strict');
+      expect(mermaidService.browserPool.mermaidConfig.securityLevel).toBe('strict');
+      expect(require(configPath).securityLevel).toBe('strict');
+    });
+    
+    it('should write the opted-in security level into the mermaid-cli config', async () => {
+      const looseService = new MermaidService({ silent: true, renderer: 'cli', securityLevel: 'loose' });
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({ theme: 'default', securityLevel: 'strict' }));
+      
+      const configPath = await looseService.getMermaidConfigFile('/tmp/test.mmd', {});
+      
+      expect(configPath).toBe('/tmp/test.config.json');
+      expect(writtenConfig()).toEqual({ theme: 'default', securityLevel: 'loose' });
+    });
+    
+    it('should delete the per-render config file of unthemed renders at another security level', async () => {
+      const looseService = new MermaidService({ silent: true, renderer: 'cli', securityLevel: 'loose' });
+      looseService.createTempMermaidFile = jest.fn().mockResolvedValue();
+      looseService.convertToPng = jest.fn().mockResolvedValue(true);
+      const cacheKey = looseService.cacheHelper.generateCacheKey('graph TD; A-->B;', {});
+      
+      await looseService.renderDiagram('graph TD; A-->B;', cacheKey, {});
+      
+      const [inputFile] = looseService.convertToPng.mock.calls[0];
+      expect(fs.unlink).toHaveBeenCalledWith(looseService.getRenderConfigPath(inputFile));
+    });
+    
+    it('should cache renders per security level', () => {
+      const looseService = new MermaidService({ silent: true, securityLevel: 'loose' });
+      const key = service => service.cacheHelper.generateCacheKey('graph TD; A-->B;', { format: 'png' });
+      
+      expect(key(looseService)).not.toBe(key(mermaidService));
+    });
+    
+    it('should keep diagram markup out of fallback pages', async () => {
+      const ganttCode = 'gantt\n  title <img src=x onerror="alert(1)">\n  Task: a1, 2024-01-01, 1d';
+      
+      await mermaidService.renderGanttWithFallback(ganttCode, '/tmp/gantt.png', 1920, 1080);
+      
+      const [, page] = fs.writeFile.mock.calls.find(([file]) => file.endsWith('.html'));
+      expect(page).not.toContain('<img');
+      expect(page).toContain('title &lt;img src=x onerror="alert(1)"&gt;');
+      expect(page).toContain('securityLevel: "strict"');
+    });
+    
+    it('should not weaken the browser security of mermaid-cli', () => {
+      const puppeteerConfig = require('../../src/config/puppeteer-config.json');
+      
+      expect(puppeteerConfig.args).not.toEqual(expect.arrayContaining(['--disable-web-security']));
+      expect(puppeteerConfig.args).not.toEqual(expect.arrayContaining(['--allow-file-access-from-files']));
+    });
+  });
+  
+  describe('offline fallback pages', () => {
+    const htmlWrites = () => fs.writeFile.mock.calls.filter(([file]) => file.endsWith('.html'));
+    
+    it('should load mermaid and the ZenUML plugin from node_modules, never a CDN', async () => {
+      await mermaidService.renderGanttWithFallback('gantt\n  dateFormat YYYY-MM-DD\n  Task: a1, 2024-01-01, 1d', '/tmp/gantt.png', 1920, 1080);
+      await mermaidService.renderZenUmlWithFallback('zenuml\n  A->B: hello', '/tmp/zenuml.png', 1920, 1080);
+      
+      const pages = htmlWrites().map(([, content]) => content);
+      expect(pages).toHaveLength(2);
+      pages.forEach(content => {
+        expect(content).not.toMatch(/src="https?:/);
+        expect(content).toContain('node_modules/mermaid/dist/mermaid.min.js');
+      });
+      expect(pages[1]).toContain('mermaid-zenuml.min.js');
+    });
+    
+    it('should fail loudly when a fallback script is not installed', async () => {
+      const { FALLBACK_SCRIPTS } = require('../../src/utils/offlineAssets');
+      const { RenderError } = require('../../src/utils/errors');
+      const original = FALLBACK_SCRIPTS.mermaid;
+      FALLBACK_SCRIPTS.mermaid = 'not-an-installed-package/mermaid.min.js';
+      
+      try {
+        await expect(mermaidService.renderGanttWithFallback('gantt', '/tmp/gantt.png', 1920, 1080)).rejects.toThrow(RenderError);
+        await expect(mermaidService.renderZenUmlWithFallback('zenuml', '/tmp/zenuml.png', 1920, 1080)).rejects.toThrow(RenderError);
+      } finally {
+        FALLBACK_SCRIPTS.mermaid = original;
+      }
+      expect(htmlWrites()).toHaveLength(0);
+    });
   });
 });
\ No newline at end of file
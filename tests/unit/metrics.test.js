@@ -0,0 +1,79 @@
+const { Registry, createMetrics } = require('../../src/utils/metrics');
+const MemoryCacheStore = require('../../src/utils/cacheStores/memoryCacheStore');
+
+describe('metrics', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new Registry();
+  });
+
+  it('should expose counters and gauges in the Prometheus text format', () => {
+    const requests = registry.counter({ name: 'requests_total', help: 'Requests', labelNames: ['method', 'status'] });
+    const depth = registry.gauge({ name: 'queue_depth', help: 'Queued work' });
+
+    requests.inc({ method: 'GET', status: 200 });
+    requests.inc({ method: 'GET', status: 200 }, 2);
+    requests.inc({ method: 'POST', status: 422 });
+    depth.set({}, 3);
+
+    expect(registry.serialize()).toBe([
+      '# HELP requests_total Requests',
+      '# TYPE requests_total counter',
+      'requests_total{method="GET",status="200"} 3',
+      'requests_total{method="POST",status="422"} 1',
+      '# HELP queue_depth Queued work',
+      '# TYPE queue_depth gauge',
+      'queue_depth 3',
+      ''
+    ].join('\n'));
+  });
+
+  it('should expose cumulative histogram buckets with their sum and count', () => {
+    const sizes = registry.histogram({ name: 'size_bytes', help: 'Sizes', labelNames: ['format'], buckets: [10, 100] });
+
+    sizes.observe({ format: 'png' }, 5);
+    sizes.observe({ format: 'png' }, 50);
+    sizes.observe({ format: 'png' }, 500);
+
+    expect(registry.serialize()).toContain([
+      'size_bytes_bucket{format="png",le="10"} 1',
+      'size_bytes_bucket{format="png",le="100"} 2',
+      'size_bytes_bucket{format="png",le="+Inf"} 3',
+      'size_bytes_sum{format="png"} 555',
+      'size_bytes_count{format="png"} 3'
+    ].join('\n'));
+  });
+
+  it('should escape label values', () => {
+    const counter = registry.counter({ name: 'odd_total', help: 'Odd labels', labelNames: ['route'] });
+
+    counter.inc({ route: 'a"b\\c\nd' });
+
+    expect(registry.serialize()).toContain('odd_total{route="a\\"b\\\\c\\nd"} 1');
+  });
+
+  it('should reject metrics registered twice', () => {
+    createMetrics(registry);
+
+    expect(() => createMetrics(registry)).toThrow('Metric http_requests_total is already registered');
+  });
+
+  it('should report why stores evict entries', async () => {
+    const onEvict = jest.fn();
+    const store = new MemoryCacheStore({ maxBytes: 10, ttl: 1000, onEvict });
+
+    await store.set('a', Buffer.alloc(6));
+    await store.set('b', Buffer.alloc(6));
+    await store.delete('b');
+
+    expect(onEvict.mock.calls).toEqual([['size']]);
+
+    await store.set('c', Buffer.alloc(1));
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2000);
+    await store.sweep();
+    Date.now.mockRestore();
+
+    expect(onEvict.mock.calls).toEqual([['size'], ['expired']]);
+  });
+});
@@ -0,0 +1,99 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const {
+  FALLBACK_SCRIPTS,
+  resolveScript,
+  scriptTags,
+  blockNetworkRequests,
+  assertScriptsLoaded
+} = require('../../src/utils/offlineAssets');
+const { RenderError } = require('../../src/utils/errors');
+
+// Minimal stand-in for a Puppeteer page with request interception
+const createPage = () => {
+  const page = new EventEmitter();
+  page.setRequestInterception = jest.fn().mockResolvedValue();
+  return page;
+};
+
+const createRequest = url => ({
+  url: () => url,
+  continue: jest.fn(),
+  abort: jest.fn()
+});
+
+describe('offlineAssets', () => {
+  describe('resolveScript', () => {
+    it('should resolve every fallback script to an installed file', () => {
+      for (const name of Object.keys(FALLBACK_SCRIPTS)) {
+        const file = resolveScript(name);
+
+        expect(path.isAbsolute(file)).toBe(true);
+        expect(fs.existsSync(file)).toBe(true);
+      }
+    });
+
+    it('should fail loudly when a script is not installed', () => {
+      FALLBACK_SCRIPTS.missing = 'not-an-installed-package/dist/missing.min.js';
+      try {
+        expect(() => resolveScript('missing')).toThrow(RenderError);
+        expect(() => resolveScript('missing')).toThrow('not-an-installed-package/dist/missing.min.js is not installed');
+      } finally {
+        delete FALLBACK_SCRIPTS.missing;
+      }
+    });
+  });
+
+  describe('scriptTags', () => {
+    it('should load scripts from file URLs only', () => {
+      const tags = scriptTags(['mermaid', 'mermaid-zenuml']);
+
+      expect(tags).toContain(pathToFileURL(resolveScript('mermaid')).href);
+      expect(tags).toContain(pathToFileURL(resolveScript('mermaid-zenuml')).href);
+      expect(tags).not.toMatch(/https?:\/\//);
+    });
+  });
+
+  describe('blockNetworkRequests', () => {
+    it('should allow the page and its scripts and abort everything else', async () => {
+      const page = createPage();
+      const onBlocked = jest.fn();
+      await blockNetworkRequests(page, '/tmp/diagram.html', ['mermaid'], onBlocked);
+
+      const allowed = [
+        createRequest(pathToFileURL('/tmp/diagram.html').href),
+        createRequest(pathToFileURL(resolveScript('mermaid')).href),
+        createRequest('data:image/png;base64,AAAA')
+      ];
+      const blocked = [
+        createRequest('https://cdn.jsdelivr.net/npm/mermaid@10/dist/mermaid.min.js'),
+        createRequest('http://169.254.169.254/latest/meta-data/'),
+        createRequest(pathToFileURL('/etc/passwd').href)
+      ];
+      [...allowed, ...blocked].forEach(request => page.emit('request', request));
+
+      expect(page.setRequestInterception).toHaveBeenCalledWith(true);
+      allowed.forEach(request => expect(request.continue).toHaveBeenCalled());
+      blocked.forEach(request => expect(request.abort).toHaveBeenCalledWith('blockedbyclient'));
+      expect(onBlocked.mock.calls.map(([url]) => url)).toEqual(blocked.map(request => request.url()));
+    });
+  });
+
+  describe('assertScriptsLoaded', () => {
+    it('should pass when every script defined its global', async () => {
+      const page = { evaluate: jest.fn().mockResolvedValue([]) };
+
+      await expect(assertScriptsLoaded(page, ['mermaid'])).resolves.toBeUndefined();
+    });
+
+    it('should name the scripts that did not load', async () => {
+      const page = { evaluate: jest.fn().mockResolvedValue(['mermaid-zenuml']) };
+
+      await expect(assertScriptsLoaded(page, ['mermaid', 'mermaid-zenuml'])).rejects.toThrow(
+        new RenderError(`Fallback renderer scripts did not load: ${FALLBACK_SCRIPTS['mermaid-zenuml']}`)
+      );
+    });
+  });
+});
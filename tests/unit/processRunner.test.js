@@ -0,0 +1,80 @@
+const fs = require('fs');
+const { runProcess } = require('../../src/utils/processRunner');
+
+const node = process.execPath;
+
+// Whether a process is still running. A killed process whose parent is gone
+// stays a zombie until init reaps it, which some containers never do
+const isRunning = pid => {
+  try {
+    process.kill(pid, 0);
+  } catch (error) {
+    return false;
+  }
+  try {
+    return fs.readFileSync(`/proc/${pid}/stat`, 'utf8').split(') ')[1][0] !== 'Z';
+  } catch (error) {
+    return true;
+  }
+};
+
+const waitFor = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('runProcess', () => {
+  it('should resolve with the output of a successful process', async () => {
+    const result = await runProcess(node, ['-e', 'console.log("out"); console.error("err")']);
+
+    expect(result).toEqual({ stdout: 'out\n', stderr: 'err\n' });
+  });
+
+  it('should pass arguments verbatim, without a shell', async () => {
+    const argument = '"; echo injected; $(whoami) `id` | & > /tmp/x';
+
+    const { stdout } = await runProcess(node, ['-e', 'process.stdout.write(process.argv[1])', argument]);
+
+    expect(stdout).toBe(argument);
+  });
+
+  it('should reject with the exit code and output of a failing process', async () => {
+    await expect(runProcess(node, ['-e', 'console.error("Parse error on line 2"); process.exit(3)'])).rejects.toMatchObject({
+      exitCode: 3,
+      killed: false,
+      stderr: 'Parse error on line 2\n'
+    });
+  });
+
+  it('should reject when the executable does not exist', async () => {
+    await expect(runProcess('/nonexistent/mmdc', [])).rejects.toMatchObject({ code: 'ENOENT', killed: false });
+  });
+
+  it('should reject arguments that are not strings', async () => {
+    await expect(runProcess(node, ['-e', 42])).rejects.toThrow(TypeError);
+    await expect(runProcess(node, '-e 1')).rejects.toThrow(TypeError);
+  });
+
+  it('should cap the output kept per stream', async () => {
+    const { stdout } = await runProcess(node, ['-e', 'process.stdout.write("x".repeat(5000))'], { maxOutputBytes: 100 });
+
+    expect(stdout).toBe(`${'x'.repeat(100)}\n[4900 more bytes of output dropped]`);
+  });
+
+  (process.platform === 'win32' ? it.skip : it)('should kill the process and its children on timeout', async () => {
+    // The child starts a grandchild, prints its PID, and both wait forever
+    const script = `
+      const { spawn } = require('child_process');
+      const grandchild = spawn(process.execPath, ['-e', 'setInterval(() => {}, 1000)'], { stdio: 'ignore' });
+      console.log(grandchild.pid);
+      setInterval(() => {}, 1000);
+    `;
+
+    const error = await runProcess(node, ['-e', script], { timeout: 1000 }).catch(e => e);
+
+    expect(error.killed).toBe(true);
+    expect(error.message).toContain('timed out after 1000ms');
+
+    const grandchildPid = Number(error.stdout.trim());
+    expect(grandchildPid).toBeGreaterThan(0);
+    await waitFor(100);
+    expect(isRunning(grandchildPid)).toBe(false);
+  }, 10000);
+});
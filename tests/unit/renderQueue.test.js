@@ -0,0 +1,118 @@
+const RenderQueue = require('../../src/services/renderQueue');
+const { QueueFullError, QueueTimeoutError } = require('../../src/utils/errors');
+const { Logger, runWithContext } = require('../../src/config/logger');
+
+// Task that resolves only when the test releases it
+function createDeferredTask(value) {
+  let release;
+  const done = new Promise(resolve => {
+    release = () => resolve(value);
+  });
+  const task = jest.fn(() => done);
+  return { task, release };
+}
+
+describe('RenderQueue', () => {
+  it('should run tasks immediately while under the concurrency limit', async () => {
+    const queue = new RenderQueue({ silent: true, maxConcurrency: 2 });
+
+    const result = await queue.run(async () => 'rendered');
+
+    expect(result).toBe('rendered');
+    expect(queue.getStats()).toEqual({ active: 0, queued: 0 });
+  });
+
+  it('should never run more tasks than the concurrency limit', async () => {
+    const queue = new RenderQueue({ silent: true, maxConcurrency: 1, maxQueueLength: 5 });
+    const first = createDeferredTask('first');
+    const second = createDeferredTask('second');
+
+    const firstResult = queue.run(first.task);
+    const secondResult = queue.run(second.task);
+
+    expect(first.task).toHaveBeenCalled();
+    expect(second.task).not.toHaveBeenCalled();
+    expect(queue.getStats()).toEqual({ active: 1, queued: 1 });
+
+    first.release();
+    await expect(firstResult).resolves.toBe('first');
+    expect(second.task).toHaveBeenCalled();
+
+    second.release();
+    await expect(secondResult).resolves.toBe('second');
+  });
+
+  it('should reject with a Retry-After hint when the queue is full', async () => {
+    const queue = new RenderQueue({ silent: true, maxConcurrency: 1, maxQueueLength: 1, retryAfter: 7 });
+    const running = createDeferredTask();
+    const waiting = createDeferredTask();
+
+    queue.run(running.task);
+    const waitingResult = queue.run(waiting.task);
+
+    const rejected = queue.run(async () => 'never');
+    await expect(rejected).rejects.toBeInstanceOf(QueueFullError);
+    await expect(rejected).rejects.toMatchObject({ status: 503, retryAfter: 7 });
+
+    running.release();
+    waiting.release();
+    await waitingResult;
+  });
+
+  it('should reject tasks that wait longer than the queue timeout', async () => {
+    const queue = new RenderQueue({ silent: true, maxConcurrency: 1, queueTimeout: 20 });
+    const running = createDeferredTask();
+    const waiting = jest.fn(async () => 'never');
+
+    queue.run(running.task);
+
+    await expect(queue.run(waiting)).rejects.toBeInstanceOf(QueueTimeoutError);
+    expect(waiting).not.toHaveBeenCalled();
+    expect(queue.getStats()).toEqual({ active: 1, queued: 0 });
+
+    running.release();
+  });
+
+  it('should let tasks that wait queue past the length limit and the timeout', async () => {
+    const queue = new RenderQueue({ silent: true, maxConcurrency: 1, maxQueueLength: 1, queueTimeout: 20 });
+    const running = createDeferredTask();
+
+    queue.run(running.task);
+    const waiting = [1, 2].map(n => queue.run(async () => n, { wait: true }));
+    const limited = queue.run(async () => 'limited');
+
+    await expect(limited).rejects.toBeInstanceOf(QueueTimeoutError);
+    expect(queue.getStats()).toEqual({ active: 1, queued: 2 });
+
+    running.release();
+    await expect(Promise.all(waiting)).resolves.toEqual([1, 2]);
+  });
+
+  it('should free the slot when a task fails', async () => {
+    const queue = new RenderQueue({ silent: true, maxConcurrency: 1 });
+
+    await expect(queue.run(async () => {
+      throw new Error('render failed');
+    })).rejects.toThrow('render failed');
+
+    await expect(queue.run(async () => 'next')).resolves.toBe('next');
+  });
+
+  it('should run queued tasks in the request context they were queued from', async () => {
+    const lines = [];
+    const logger = new Logger({ level: 'info', write: line => lines.push(JSON.parse(line)) });
+    const queue = new RenderQueue({ silent: true, maxConcurrency: 1, maxQueueLength: 5 });
+    const running = createDeferredTask();
+
+    const first = runWithContext({ requestId: 'req-a' }, () => queue.run(async () => {
+      logger.log('Rendering A');
+      return running.task();
+    }));
+    const second = runWithContext({ requestId: 'req-b' }, () => queue.run(async () => logger.log('Rendering B')));
+
+    running.release();
+    await Promise.all([first, second]);
+
+    expect(lines.map(line => [line.msg, line.requestId])).toEqual([['Rendering A', 'req-a'], ['Rendering B', 'req-b']]);
+  });
+});
\ No newline at end of file
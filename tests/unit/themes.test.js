@@ -0,0 +1,45 @@
+const { getRenderConfig, hasConfigOverrides, loadsCssResources } = require('../../src/config/themes');
+
+describe('getRenderConfig', () => {
+  const baseConfig = {
+    theme: 'default',
+    themeVariables: { primaryColor: '#4682B4', nodeTextColor: '#000000' },
+    securityLevel: 'strict'
+  };
+
+  it('should return the base config when nothing is overridden', () => {
+    expect(getRenderConfig(baseConfig, { width: 800 })).toBe(baseConfig);
+    expect(hasConfigOverrides({ width: 800 })).toBe(false);
+  });
+
+  it('should merge theme variables over the configured ones', () => {
+    const config = getRenderConfig(baseConfig, { themeVariables: { primaryColor: '#1f2937' } });
+
+    expect(config.themeVariables).toEqual({ primaryColor: '#1f2937', nodeTextColor: '#000000' });
+    expect(baseConfig.themeVariables.primaryColor).toBe('#4682B4');
+  });
+
+  it('should not carry the configured theme variables into another theme', () => {
+    const config = getRenderConfig(baseConfig, { theme: 'dark', themeVariables: { fontSize: 18 } });
+
+    expect(config).toEqual({ theme: 'dark', themeVariables: { fontSize: 18 }, securityLevel: 'strict' });
+  });
+
+  it('should add request CSS as theme CSS', () => {
+    const config = getRenderConfig(baseConfig, { css: '.node rect { rx: 4px; }' });
+
+    expect(config.themeCSS).toBe('.node rect { rx: 4px; }');
+    expect(config.theme).toBe('default');
+  });
+
+  it('should detect CSS that loads resources, however it is spelled', () => {
+    expect(loadsCssResources('.node rect { fill: #fff; rx: 4px; }')).toBe(false);
+    expect(loadsCssResources('.label { font-family: "Inter", sans-serif; }')).toBe(false);
+    expect(loadsCssResources('.node { background: url(file:///etc/passwd); }')).toBe(true);
+    expect(loadsCssResources('.node { background: URL ("http://169.254.169.254/"); }')).toBe(true);
+    expect(loadsCssResources('.node { background: u\\72l(http://example.com/x.png); }')).toBe(true);
+    expect(loadsCssResources('.node { background: u/**/rl(http://example.com/x.png); }')).toBe(false);
+    expect(loadsCssResources('.node { background: -webkit-image-set("x.png" 1x); }')).toBe(true);
+    expect(loadsCssResources('.node { background: image-set("x.png" 1x); }')).toBe(true);
+  });
+});